@@ -1,41 +1,54 @@
 // app.js
 const express = require('express');
-const mongoose = require('mongoose');
-const requestRoutes = require('./routes/requestRoutes');
-const transactionRoutes = require('./routes/transactionRoutes');
+const { router: apiRoutes } = require('./routes');
+const healthRoutes = require('./routes/healthRoutes');
 //const forgetPassword = require('./routes/forget-passwordRoutes'); // Import user routes
 const cors = require('cors');
 const swaggerUI = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
-const app = express();
-const PORT = 7000;
-require('dotenv').config();
-
-// Middleware to parse JSON
-app.use(express.json());
-app.use('/api-docs', swaggerUI.serve, swaggerUI.setup(swaggerSpec));
-
-// Connect to MongoDB
-mongoose.connect('mongodb://localhost:27017/ScalableReques', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-})
-.then(() => console.log('Connected to MongoDB'))
-.catch((err) => console.error('Failed to connect to MongoDB', err));
-
-//const User = require('../models/User');
-app.use(cors());
-// Use the user routes
-app.use('/api/request', requestRoutes);
-app.use('/api/transaction', transactionRoutes);
-//app.use('/api/forget-password', forgetPassword);
-
-
-// Sample route
-app.get('/Test', (req, res) => {
-  res.send('Hello, MongoDB with Express!');
-});
-
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-});
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const httpMetrics = require('./middleware/httpMetrics');
+const requestContext = require('./middleware/requestContext');
+const config = require('./config');
+
+// Builds the Express app. Connecting to MongoDB, the background jobs and
+// listening are left to server.js, so tests can drive the app on their own.
+const createApp = () => {
+  const app = express();
+
+  // TRUST_PROXY says which proxies' X-Forwarded-For to believe, so req.ip, and
+  // the per-IP rate limits keyed on it, see the client rather than the proxy
+  app.set('trust proxy', config.trustProxy);
+
+  // Time every call, including the ones that end in an error
+  app.use(httpMetrics);
+  // Tag the call with its X-Request-Id for logs and the audit trail
+  app.use(requestContext);
+
+  // Middleware to parse JSON
+  app.use(express.json());
+  app.use('/api-docs', swaggerUI.serve, swaggerUI.setup(swaggerSpec));
+
+  // CORS_ORIGINS lists the browser origins allowed to call the API
+  app.use(cors({ origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins }));
+  // Liveness, readiness and Prometheus metrics
+  app.use(healthRoutes);
+  // Use the API routes
+  app.use('/api', apiRoutes);
+  //app.use('/api/forget-password', forgetPassword);
+
+  // Sample route
+  app.get('/Test', (req, res) => {
+    res.send('Hello, MongoDB with Express!');
+  });
+
+  // Unknown routes and errors from every route answer with the JSON error envelope
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,385 @@
+// Auth.js
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const User = require('./models/User');
+const RefreshToken = require('./models/RefreshToken');
+const { authorize } = require('./middleware/authorize');
+const { authRateLimit } = require('./middleware/rateLimit');
+const validate = require('./middleware/validate');
+const HttpError = require('./utils/httpError');
+const requestContext = require('./utils/requestContext');
+const config = require('./config');
+
+const router = express.Router();
+
+const SALT_ROUNDS = 10;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         Name:
+ *           type: string
+ *         Email:
+ *           type: string
+ *         Roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [user, moderator, admin]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     RegisterInput:
+ *       type: object
+ *       required:
+ *         - Name
+ *         - Email
+ *         - Password
+ *       properties:
+ *         Name:
+ *           type: string
+ *           minLength: 1
+ *         Email:
+ *           type: string
+ *           format: email
+ *         Password:
+ *           type: string
+ *           minLength: 8
+ *     LoginInput:
+ *       type: object
+ *       required:
+ *         - Email
+ *         - Password
+ *       properties:
+ *         Email:
+ *           type: string
+ *         Password:
+ *           type: string
+ *     RefreshTokenInput:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *     RolesInput:
+ *       type: object
+ *       required:
+ *         - Roles
+ *       properties:
+ *         Roles:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: string
+ *             enum: [user, moderator, admin]
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Short-lived access token, sent as a Bearer token in the Authorization header
+ *         refreshToken:
+ *           type: string
+ *           description: Long-lived token used once to obtain a new token pair
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: User registration and token management
+ */
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterInput'
+ *     responses:
+ *       201:
+ *         description: User registered and signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Missing or invalid fields
+ *       409:
+ *         description: Email already registered
+ *       429:
+ *         description: Too many attempts from this IP, see the Retry-After header
+ */
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Sign in with email and password
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginInput'
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Too many attempts from this IP, see the Retry-After header
+ */
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Each refresh token works once. Presenting an already used token revokes all of the user's refresh tokens.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenInput'
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Invalid, expired or already used refresh token
+ *       429:
+ *         description: Too many attempts from this IP, see the Retry-After header
+ */
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenInput'
+ *     responses:
+ *       200:
+ *         description: Refresh token revoked
+ *       400:
+ *         description: Missing or invalid fields
+ */
+
+/**
+ * @swagger
+ * /auth/users/{id}/roles:
+ *   put:
+ *     summary: Replace the roles of a user (admin only)
+ *     description: The new roles are carried by the user's next access token.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RolesInput'
+ *     responses:
+ *       200:
+ *         description: Roles updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid roles
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: User not found
+ */
+
+// Verifies the bearer token and attaches { id, roles } of the caller to req.user
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) return next(new HttpError(401, 'No token provided'));
+
+  jwt.verify(token, config.jwt.secret, (err, payload) => {
+      if (err) return next(new HttpError(401, 'Invalid token'));
+      req.user = { id: payload.id, roles: payload.roles || [] }; // Attach the user data to the request object
+      requestContext.setUser(req.user);
+      next();
+  });
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Signs a short-lived access token and stores a new single-use refresh token
+const issueTokens = async (user) => {
+  const token = jwt.sign(
+    { id: user._id.toString(), roles: user.Roles },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    TokenHash: hashToken(refreshToken),
+    UserID: user._id,
+    ExpiresAt: new Date(Date.now() + config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    token,
+    refreshToken,
+    user: { _id: user._id, Name: user.Name, Email: user.Email, Roles: user.Roles },
+  };
+};
+
+// Register a new user
+router.post('/register', authRateLimit, validate({ body: 'RegisterInput' }), async (req, res, next) => {
+  try {
+    const { Name, Email, Password } = req.body;
+
+    const user = await User.create({
+      Name,
+      Email,
+      Password: await bcrypt.hash(Password, SALT_ROUNDS),
+    });
+
+    res.status(201).json(await issueTokens(user));
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new HttpError(409, 'Email is already registered', { 'body.Email': 'is already registered' }));
+    }
+    next(error);
+  }
+});
+
+// Sign in with email and password
+router.post('/login', authRateLimit, validate({ body: 'LoginInput' }), async (req, res, next) => {
+  try {
+    const { Email, Password } = req.body;
+
+    const user = await User.findOne({ Email: Email.toLowerCase() }).select('+Password');
+    if (!user || !(await bcrypt.compare(Password, user.Password))) {
+      return next(new HttpError(401, 'Invalid credentials'));
+    }
+
+    res.status(200).json(await issueTokens(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rotate a refresh token
+router.post('/refresh', authRateLimit, validate({ body: 'RefreshTokenInput' }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const stored = await RefreshToken.findOne({ TokenHash: hashToken(refreshToken) });
+    if (!stored || stored.ExpiresAt < new Date()) {
+      return next(new HttpError(401, 'Invalid refresh token'));
+    }
+
+    // A used token coming back means it leaked: end every session of the user
+    if (stored.RevokedAt) {
+      await RefreshToken.updateMany({ UserID: stored.UserID, RevokedAt: null }, { RevokedAt: new Date() });
+      return next(new HttpError(401, 'Invalid refresh token'));
+    }
+
+    const user = await User.findById(stored.UserID);
+    if (!user) {
+      return next(new HttpError(401, 'Invalid refresh token'));
+    }
+
+    // Only one caller can revoke the token, so concurrent refreshes cannot both succeed
+    const revoked = await RefreshToken.updateOne({ _id: stored._id, RevokedAt: null }, { RevokedAt: new Date() });
+    if (revoked.modifiedCount === 0) {
+      return next(new HttpError(401, 'Invalid refresh token'));
+    }
+
+    res.status(200).json(await issueTokens(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a refresh token
+router.post('/logout', validate({ body: 'RefreshTokenInput' }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await RefreshToken.updateOne({ TokenHash: hashToken(refreshToken), RevokedAt: null }, { RevokedAt: new Date() });
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the roles of a user; takes effect when the user next gets a token
+router.put('/users/:id/roles', authenticateToken, authorize('users:manage'), validate({ params: { id: 'ObjectId' }, body: 'RolesInput' }), async (req, res, next) => {
+  try {
+    const { Roles } = req.body;
+
+    const user = await User.findByIdAndUpdate(req.params.id, { Roles }, { new: true, runValidators: true });
+    if (!user) {
+      return next(new HttpError(404, 'User not found'));
+    }
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  router,
+  authenticateToken,
+};
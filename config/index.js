@@ -0,0 +1,7 @@
+// The application settings, loaded once. .env is read first so its values
+// count as environment variables; require this module before anything that
+// depends on the settings.
+require('dotenv').config();
+const { loadConfig } = require('./load');
+
+module.exports = loadConfig(process.env);
@@ -0,0 +1,278 @@
+const PROFILES = require('./profiles');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const RATE_LIMIT_STORES = ['memory', 'redis'];
+
+// Environment variable behind each setting
+const VARIABLES = {
+  port: 'PORT',
+  mongoUri: 'MONGO_URI',
+  jwtSecret: 'JWT_SECRET',
+  jwtExpiresIn: 'JWT_EXPIRES_IN',
+  refreshTokenTtlDays: 'REFRESH_TOKEN_TTL_DAYS',
+  corsOrigins: 'CORS_ORIGINS',
+  trustProxy: 'TRUST_PROXY',
+  logLevel: 'LOG_LEVEL',
+  shutdownTimeoutSeconds: 'SHUTDOWN_TIMEOUT_SECONDS',
+  archiveAfterDays: 'ARCHIVE_AFTER_DAYS',
+  archiveIntervalHours: 'ARCHIVE_INTERVAL_HOURS',
+  pendingRequestTtlDays: 'PENDING_REQUEST_TTL_DAYS',
+  requestExpiryIntervalMinutes: 'REQUEST_EXPIRY_INTERVAL_MINUTES',
+  rateLimitAuthMax: 'RATE_LIMIT_AUTH_MAX',
+  rateLimitAuthWindowSeconds: 'RATE_LIMIT_AUTH_WINDOW_SECONDS',
+  rateLimitRequestsMax: 'RATE_LIMIT_REQUESTS_MAX',
+  rateLimitRequestsWindowSeconds: 'RATE_LIMIT_REQUESTS_WINDOW_SECONDS',
+  rateLimitStore: 'RATE_LIMIT_STORE',
+  redisUrl: 'REDIS_URL',
+  maxPendingRequestsPerBorrower: 'MAX_PENDING_REQUESTS_PER_BORROWER',
+  maxPendingRequestsPerBook: 'MAX_PENDING_REQUESTS_PER_BOOK',
+  dueDateCheckIntervalMinutes: 'DUE_DATE_CHECK_INTERVAL_MINUTES',
+  reminderOffsetsDays: 'REMINDER_OFFSETS_DAYS',
+  overdueReminderIntervalDays: 'OVERDUE_REMINDER_INTERVAL_DAYS',
+  webhookMaxAttempts: 'WEBHOOK_MAX_ATTEMPTS',
+  webhookRetryBaseSeconds: 'WEBHOOK_RETRY_BASE_SECONDS',
+  webhookRetryIntervalSeconds: 'WEBHOOK_RETRY_INTERVAL_SECONDS',
+  catalogClient: 'CATALOG_CLIENT',
+  catalogCacheTtlSeconds: 'CATALOG_CACHE_TTL_SECONDS',
+  bookServiceUrl: 'BOOK_SERVICE_URL',
+  userServiceUrl: 'USER_SERVICE_URL',
+  notificationChannels: 'NOTIFICATION_CHANNELS',
+  notificationEmailFrom: 'NOTIFICATION_EMAIL_FROM',
+  smtpHost: 'SMTP_HOST',
+  smtpPort: 'SMTP_PORT',
+  smtpSecure: 'SMTP_SECURE',
+  smtpUser: 'SMTP_USER',
+  smtpPassword: 'SMTP_PASSWORD',
+};
+
+// Thrown when the settings are invalid, listing every problem at once
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const isPositiveNumber = (value) => Number.isFinite(value) && value > 0;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isPort = (value) => Number.isInteger(value) && value > 0 && value < 65536;
+
+// Names of pluggable parts such as notification channels and catalog clients
+const isName = (value) => /^\w+$/.test(value || '');
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+// Kept as given when it is neither, so the check can report it
+const boolean = (value) => ({ true: true, false: false }[value.toLowerCase()] ?? value);
+
+// Express' "trust proxy": true or false, a number of hops, or a list of
+// addresses, subnets and names such as loopback
+const trustProxy = (value) => {
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  return list(value);
+};
+
+const isTrustProxy = (value) => typeof value === 'boolean'
+  || (Number.isInteger(value) && value >= 0)
+  || (Array.isArray(value) && value.length > 0 && value.every((entry) => /^[\w.:/]+$/.test(entry)));
+
+const isOrigin = (origin) => {
+  try {
+    const url = new URL(origin);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === origin;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Checks the merged settings of a profile, returning one message per problem
+const problemsOf = (env, settings) => {
+  const problems = [];
+  const check = (ok, setting, message) => {
+    if (!ok) problems.push(`${VARIABLES[setting]} ${message}`);
+  };
+
+  check(isPort(settings.port), 'port', 'must be a port number');
+  check(/^mongodb(\+srv)?:\/\/.+/.test(settings.mongoUri || ''), 'mongoUri', 'must be a mongodb:// or mongodb+srv:// URI');
+  check(Boolean(settings.jwtSecret), 'jwtSecret', 'is required');
+  if (env === 'production' && settings.jwtSecret) {
+    check(settings.jwtSecret.length >= 32, 'jwtSecret', 'must be at least 32 characters in production');
+  }
+  check(/^\d+(ms|s|m|h|d)?$/.test(settings.jwtExpiresIn), 'jwtExpiresIn', 'must be a duration such as 900, 15m or 1h');
+  check(isPositiveNumber(settings.refreshTokenTtlDays), 'refreshTokenTtlDays', 'must be a positive number of days');
+  check(settings.corsOrigins.every((origin) => origin === '*' || isOrigin(origin)), 'corsOrigins', 'must be * or a comma-separated list of origins such as https://app.example.com');
+  if (env === 'production') {
+    check(settings.corsOrigins.length > 0 && !settings.corsOrigins.includes('*'), 'corsOrigins', 'must list the allowed origins in production');
+  }
+  check(isTrustProxy(settings.trustProxy), 'trustProxy', 'must be true, false, a number of proxies or a comma-separated list of proxy addresses');
+  check(LOG_LEVELS.includes(settings.logLevel), 'logLevel', `must be one of: ${LOG_LEVELS.join(', ')}`);
+  check(isPositiveNumber(settings.shutdownTimeoutSeconds), 'shutdownTimeoutSeconds', 'must be a positive number of seconds');
+  check(isPositiveNumber(settings.archiveAfterDays), 'archiveAfterDays', 'must be a positive number of days');
+  check(isPositiveNumber(settings.archiveIntervalHours), 'archiveIntervalHours', 'must be a positive number of hours');
+  check(isPositiveNumber(settings.pendingRequestTtlDays), 'pendingRequestTtlDays', 'must be a positive number of days');
+  check(isPositiveNumber(settings.requestExpiryIntervalMinutes), 'requestExpiryIntervalMinutes', 'must be a positive number of minutes');
+  check(isPositiveInteger(settings.rateLimitAuthMax), 'rateLimitAuthMax', 'must be a positive whole number');
+  check(isPositiveNumber(settings.rateLimitAuthWindowSeconds), 'rateLimitAuthWindowSeconds', 'must be a positive number of seconds');
+  check(isPositiveInteger(settings.rateLimitRequestsMax), 'rateLimitRequestsMax', 'must be a positive whole number');
+  check(isPositiveNumber(settings.rateLimitRequestsWindowSeconds), 'rateLimitRequestsWindowSeconds', 'must be a positive number of seconds');
+  check(RATE_LIMIT_STORES.includes(settings.rateLimitStore), 'rateLimitStore', `must be one of: ${RATE_LIMIT_STORES.join(', ')}`);
+  if (settings.rateLimitStore === 'redis') {
+    check(/^rediss?:\/\/.+/.test(settings.redisUrl || ''), 'redisUrl', 'must be a redis:// or rediss:// URL when RATE_LIMIT_STORE is redis');
+  }
+  check(isPositiveInteger(settings.maxPendingRequestsPerBorrower), 'maxPendingRequestsPerBorrower', 'must be a positive whole number');
+  check(isPositiveInteger(settings.maxPendingRequestsPerBook), 'maxPendingRequestsPerBook', 'must be a positive whole number');
+  check(isPositiveNumber(settings.dueDateCheckIntervalMinutes), 'dueDateCheckIntervalMinutes', 'must be a positive number of minutes');
+  check(settings.reminderOffsetsDays.every((offset) => Number.isFinite(offset) && offset <= 0), 'reminderOffsetsDays', 'must be a comma-separated list of days up to 0, such as -3,0');
+  check(isPositiveNumber(settings.overdueReminderIntervalDays), 'overdueReminderIntervalDays', 'must be a positive number of days');
+  check(isPositiveInteger(settings.webhookMaxAttempts), 'webhookMaxAttempts', 'must be a positive whole number');
+  check(isPositiveNumber(settings.webhookRetryBaseSeconds), 'webhookRetryBaseSeconds', 'must be a positive number of seconds');
+  check(isPositiveNumber(settings.webhookRetryIntervalSeconds), 'webhookRetryIntervalSeconds', 'must be a positive number of seconds');
+  check(isName(settings.catalogClient), 'catalogClient', 'must be the name of a catalog client such as http');
+  check(isPositiveNumber(settings.catalogCacheTtlSeconds), 'catalogCacheTtlSeconds', 'must be a positive number of seconds');
+  check(isHttpUrl(settings.bookServiceUrl), 'bookServiceUrl', 'must be an http:// or https:// URL');
+  check(isHttpUrl(settings.userServiceUrl), 'userServiceUrl', 'must be an http:// or https:// URL');
+  check(settings.notificationChannels.every(isName), 'notificationChannels', 'must be a comma-separated list of channels such as inApp,email');
+  check(Boolean(settings.notificationEmailFrom), 'notificationEmailFrom', 'is required');
+  check(Boolean(settings.smtpHost), 'smtpHost', 'is required');
+  check(isPort(settings.smtpPort), 'smtpPort', 'must be a port number');
+  check(typeof settings.smtpSecure === 'boolean', 'smtpSecure', 'must be true or false');
+
+  return problems;
+};
+
+// Reads the settings from `env` over the defaults of its NODE_ENV profile
+// (development when unset) and returns them validated and frozen, or throws
+// a ConfigError
+const loadConfig = (env = process.env) => {
+  const name = env.NODE_ENV || 'development';
+  if (!PROFILES[name]) {
+    throw new ConfigError([`NODE_ENV must be one of: ${Object.keys(PROFILES).join(', ')}`]);
+  }
+
+  const read = (setting, parse = (value) => value) => (env[VARIABLES[setting]] === undefined || env[VARIABLES[setting]] === ''
+    ? PROFILES[name][setting]
+    : parse(env[VARIABLES[setting]]));
+
+  const settings = {
+    port: read('port', Number),
+    mongoUri: read('mongoUri'),
+    jwtSecret: read('jwtSecret'),
+    jwtExpiresIn: read('jwtExpiresIn'),
+    refreshTokenTtlDays: read('refreshTokenTtlDays', Number),
+    corsOrigins: read('corsOrigins', (value) => value.split(',').map((origin) => origin.trim()).filter(Boolean)),
+    trustProxy: read('trustProxy', trustProxy),
+    logLevel: read('logLevel'),
+    shutdownTimeoutSeconds: read('shutdownTimeoutSeconds', Number),
+    archiveAfterDays: read('archiveAfterDays', Number),
+    archiveIntervalHours: read('archiveIntervalHours', Number),
+    pendingRequestTtlDays: read('pendingRequestTtlDays', Number),
+    requestExpiryIntervalMinutes: read('requestExpiryIntervalMinutes', Number),
+    rateLimitAuthMax: read('rateLimitAuthMax', Number),
+    rateLimitAuthWindowSeconds: read('rateLimitAuthWindowSeconds', Number),
+    rateLimitRequestsMax: read('rateLimitRequestsMax', Number),
+    rateLimitRequestsWindowSeconds: read('rateLimitRequestsWindowSeconds', Number),
+    rateLimitStore: read('rateLimitStore'),
+    redisUrl: read('redisUrl'),
+    maxPendingRequestsPerBorrower: read('maxPendingRequestsPerBorrower', Number),
+    maxPendingRequestsPerBook: read('maxPendingRequestsPerBook', Number),
+    dueDateCheckIntervalMinutes: read('dueDateCheckIntervalMinutes', Number),
+    reminderOffsetsDays: read('reminderOffsetsDays', (value) => list(value).map(Number)),
+    overdueReminderIntervalDays: read('overdueReminderIntervalDays', Number),
+    webhookMaxAttempts: read('webhookMaxAttempts', Number),
+    webhookRetryBaseSeconds: read('webhookRetryBaseSeconds', Number),
+    webhookRetryIntervalSeconds: read('webhookRetryIntervalSeconds', Number),
+    catalogClient: read('catalogClient'),
+    catalogCacheTtlSeconds: read('catalogCacheTtlSeconds', Number),
+    bookServiceUrl: read('bookServiceUrl'),
+    userServiceUrl: read('userServiceUrl'),
+    notificationChannels: read('notificationChannels', list),
+    notificationEmailFrom: read('notificationEmailFrom'),
+    smtpHost: read('smtpHost'),
+    smtpPort: read('smtpPort', Number),
+    smtpSecure: read('smtpSecure', boolean),
+    smtpUser: read('smtpUser'),
+    smtpPassword: read('smtpPassword'),
+  };
+
+  const problems = problemsOf(name, settings);
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  return Object.freeze({
+    env: name,
+    port: settings.port,
+    mongoUri: settings.mongoUri,
+    jwt: Object.freeze({
+      secret: settings.jwtSecret,
+      expiresIn: settings.jwtExpiresIn,
+      refreshTokenTtlDays: settings.refreshTokenTtlDays,
+    }),
+    corsOrigins: Object.freeze(settings.corsOrigins),
+    trustProxy: Array.isArray(settings.trustProxy) ? Object.freeze(settings.trustProxy) : settings.trustProxy,
+    logLevel: settings.logLevel,
+    shutdownTimeoutMs: settings.shutdownTimeoutSeconds * 1000,
+    archive: Object.freeze({
+      afterDays: settings.archiveAfterDays,
+      intervalMs: settings.archiveIntervalHours * 60 * 60 * 1000,
+    }),
+    requestExpiry: Object.freeze({
+      pendingTtlDays: settings.pendingRequestTtlDays,
+      intervalMs: settings.requestExpiryIntervalMinutes * 60 * 1000,
+    }),
+    rateLimits: Object.freeze({
+      store: settings.rateLimitStore,
+      redisUrl: settings.redisUrl,
+      auth: Object.freeze({ max: settings.rateLimitAuthMax, windowMs: settings.rateLimitAuthWindowSeconds * 1000 }),
+      requestCreate: Object.freeze({ max: settings.rateLimitRequestsMax, windowMs: settings.rateLimitRequestsWindowSeconds * 1000 }),
+    }),
+    pendingCaps: Object.freeze({
+      perBorrower: settings.maxPendingRequestsPerBorrower,
+      perBook: settings.maxPendingRequestsPerBook,
+    }),
+    dueDates: Object.freeze({
+      intervalMs: settings.dueDateCheckIntervalMinutes * 60 * 1000,
+      reminderOffsetsDays: Object.freeze([...settings.reminderOffsetsDays].sort((a, b) => a - b)),
+      overdueReminderIntervalDays: settings.overdueReminderIntervalDays,
+    }),
+    webhooks: Object.freeze({
+      maxAttempts: settings.webhookMaxAttempts,
+      retryBaseDelayMs: settings.webhookRetryBaseSeconds * 1000,
+      retryIntervalMs: settings.webhookRetryIntervalSeconds * 1000,
+    }),
+    catalog: Object.freeze({
+      client: settings.catalogClient,
+      cacheTtlMs: settings.catalogCacheTtlSeconds * 1000,
+      bookServiceUrl: settings.bookServiceUrl,
+      userServiceUrl: settings.userServiceUrl,
+    }),
+    notifications: Object.freeze({
+      channels: Object.freeze(settings.notificationChannels),
+      email: Object.freeze({
+        from: settings.notificationEmailFrom,
+        host: settings.smtpHost,
+        port: settings.smtpPort,
+        secure: settings.smtpSecure,
+        user: settings.smtpUser,
+        password: settings.smtpPassword,
+      }),
+    }),
+  });
+};
+
+module.exports = {
+  ConfigError,
+  LOG_LEVELS,
+  loadConfig,
+};
@@ -0,0 +1,66 @@
+// Defaults for each NODE_ENV; variables set in the environment override them.
+// Settings left undefined must come from the environment.
+const development = {
+  port: 7000,
+  mongoUri: 'mongodb://localhost:27017/ScalableReques',
+  jwtSecret: undefined,
+  jwtExpiresIn: '15m',
+  refreshTokenTtlDays: 30,
+  corsOrigins: ['*'],
+  trustProxy: false, // Client IPs come from the connection, not X-Forwarded-For
+  logLevel: 'debug',
+  shutdownTimeoutSeconds: 10,
+  archiveAfterDays: 365,
+  archiveIntervalHours: 24,
+  pendingRequestTtlDays: 14,
+  requestExpiryIntervalMinutes: 15,
+  rateLimitAuthMax: 10,
+  rateLimitAuthWindowSeconds: 15 * 60,
+  rateLimitRequestsMax: 20,
+  rateLimitRequestsWindowSeconds: 60 * 60,
+  rateLimitStore: 'memory', // Per-process counters; use redis when running several instances
+  redisUrl: undefined,
+  maxPendingRequestsPerBorrower: 5,
+  maxPendingRequestsPerBook: 10,
+  dueDateCheckIntervalMinutes: 60,
+  reminderOffsetsDays: [-3, 0],
+  overdueReminderIntervalDays: 7,
+  webhookMaxAttempts: 8,
+  webhookRetryBaseSeconds: 30,
+  webhookRetryIntervalSeconds: 30,
+  catalogClient: 'http',
+  catalogCacheTtlSeconds: 300,
+  bookServiceUrl: 'http://localhost:5000/api/books',
+  userServiceUrl: 'http://localhost:5000/api/users',
+  notificationChannels: ['inApp'],
+  notificationEmailFrom: 'no-reply@book-exchange.local',
+  // A local catcher such as MailHog or smtp4dev
+  smtpHost: 'localhost',
+  smtpPort: 1025,
+  smtpSecure: false,
+  smtpUser: undefined,
+  smtpPassword: undefined,
+};
+
+const test = {
+  ...development,
+  mongoUri: 'mongodb://localhost:27017/ScalableReques-test',
+  jwtSecret: 'test-secret',
+  logLevel: 'warn',
+  catalogClient: 'memory', // Books and users are seeded by the tests
+};
+
+// Production has no database, secret or allowed origins to fall back on
+const production = {
+  ...development,
+  mongoUri: undefined,
+  corsOrigins: [],
+  logLevel: 'info',
+  shutdownTimeoutSeconds: 30,
+};
+
+module.exports = {
+  development,
+  production,
+  test,
+};
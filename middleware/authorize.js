@@ -0,0 +1,68 @@
+const AuditLog = require('../models/AuditLog');
+const HttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { sendError } = require('./errorHandler');
+
+// Permissions granted by each role. Regular users only reach their own records
+// through the ownership checks in the routes.
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'requests:read', // View any request
+    'transactions:read', // View any transaction
+    'analytics:read', // View usage reports
+  ],
+  admin: [
+    'requests:read',
+    'requests:list', // List every request
+    'requests:delete',
+    'transactions:read',
+    'transactions:list', // List every transaction
+    'transactions:create',
+    'transactions:update', // Edit arbitrary transaction fields
+    'transactions:delete',
+    'users:manage', // Change user roles
+    'webhooks:manage', // Register webhooks and inspect deliveries
+    'metrics:read', // View service metrics
+    'audit:read', // Search the audit log
+    'analytics:read',
+    'data:export', // Export requests and transactions
+    'data:import', // Import requests
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// True when any role of the user grants the permission
+const can = (user, permission) => ((user && user.roles) || [])
+  .some((role) => (ROLE_PERMISSIONS[role] || []).includes(permission));
+
+// Answers 403 and records the denied call in the audit log
+const forbid = (req, res, message) => {
+  AuditLog.create({
+    Actor: req.user ? String(req.user.id) : 'anonymous',
+    ActorRoles: req.user ? req.user.roles : [],
+    Action: 'access.denied',
+    Method: req.method,
+    Path: `${req.baseUrl}${req.path}`, // Without the query string, which may hold a token
+    Message: message,
+    IP: req.ip,
+    RequestID: req.id,
+  }).catch((error) => logger.error('Failed to write audit log', { error }));
+
+  return sendError(res, new HttpError(403, message));
+};
+
+// Route guard for a permission; must run after authenticateToken
+const authorize = (permission) => (req, res, next) => {
+  if (can(req.user, permission)) return next();
+  return forbid(req, res, 'You are not allowed to perform this action');
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  can,
+  forbid,
+  authorize,
+};
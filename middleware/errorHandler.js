@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const HttpError = require('../utils/httpError');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// A 429 saying how long to wait (details.retryAfter, in seconds) tells the
+// client in the standard header too
+const setRetryAfter = (res, httpError) => {
+  if (httpError.status === 429 && Number.isFinite(httpError.details.retryAfter)) {
+    res.set('Retry-After', String(httpError.details.retryAfter));
+  }
+};
+
+// Turns anything thrown by a route into an HttpError with the right status
+const toHttpError = (error) => {
+  if (error instanceof HttpError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.fromEntries(Object.entries(error.errors).map(([path, fieldError]) => [path, fieldError.message]));
+    return new HttpError(400, 'Validation failed', details, 'VALIDATION_ERROR');
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new HttpError(400, `Invalid ${error.path}: ${error.value}`, { [error.path]: error.message }, 'INVALID_ID');
+  }
+  // Another update changed the record after it was read
+  if (error instanceof mongoose.Error.VersionError) {
+    return new HttpError(409, 'The record was modified concurrently, please retry', {}, 'CONCURRENT_MODIFICATION');
+  }
+  if (error.code === 11000) {
+    return new HttpError(409, 'A record with the same unique fields already exists', error.keyValue || {}, 'DUPLICATE');
+  }
+  // Body parser failures carry their own status, e.g. malformed JSON or a body too large
+  if (error.type === 'entity.parse.failed') {
+    return new HttpError(400, 'Request body is not valid JSON', {}, 'INVALID_JSON');
+  }
+  if (error.expose && error.status) {
+    return new HttpError(error.status, error.message);
+  }
+
+  // Unexpected errors keep their message out of production responses
+  const message = config.env === 'production' ? 'Internal server error' : error.message;
+  return new HttpError(500, message);
+};
+
+// Sends an error in the uniform envelope; for middleware that answers directly
+const sendError = (res, error) => {
+  const httpError = toHttpError(error);
+  setRetryAfter(res, httpError);
+  res.status(httpError.status).json(httpError.toJSON());
+};
+
+// Answers routes that do not exist, instead of Express' HTML page
+const notFound = (req, res, next) => {
+  next(new HttpError(404, `Cannot ${req.method} ${req.path}`));
+};
+
+// Central error handler, registered after every route in App.js. Express
+// recognises error handlers by their four arguments.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const httpError = toHttpError(error);
+  if (httpError.status >= 500) {
+    logger.error(`${req.method} ${req.path} failed`, { status: httpError.status, error });
+  }
+  setRetryAfter(res, httpError);
+  res.status(httpError.status).json(httpError.toJSON());
+};
+
+module.exports = {
+  errorHandler,
+  notFound,
+  sendError,
+  toHttpError,
+};
@@ -0,0 +1,36 @@
+const swaggerSpec = require('../swagger');
+const { httpRequestDuration } = require('../services/metrics');
+
+// Route templates of the API from the OpenAPI spec, e.g. /api/request/{id},
+// with paths holding fewer parameters tried first so /transaction/overdue
+// is not taken for /transaction/{id}
+const API_BASE = swaggerSpec.servers[0].url;
+const API_ROUTES = Object.keys(swaggerSpec.paths)
+  .map((path) => ({
+    route: `${API_BASE}${path}`,
+    params: (path.match(/\{/g) || []).length,
+    pattern: new RegExp(`^${API_BASE}${path.replace(/\{\w+\}/g, '[^/]+')}/?$`),
+  }))
+  .sort((a, b) => a.params - b.params);
+
+// Labels a call with its route template rather than its URL, so IDs do not
+// create a series each. Routes outside the API, such as the probes, use their
+// Express path; anything else is "unmatched".
+const routeOf = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  const apiRoute = API_ROUTES.find(({ pattern }) => pattern.test(path));
+  if (apiRoute) return apiRoute.route;
+  if (req.route && !req.baseUrl) return req.route.path;
+  return 'unmatched';
+};
+
+// Records the latency of every call in http_request_duration_seconds
+const httpMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    stopTimer({ method: req.method, route: routeOf(req), status_code: res.statusCode });
+  });
+  next();
+};
+
+module.exports = httpMetrics;
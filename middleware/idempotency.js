@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const HttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// Answers a repeated call from the stored record of the first one
+const replay = async (scope, fingerprint, res, next) => {
+  try {
+    const stored = await IdempotencyKey.findOne(scope);
+
+    if (!stored) {
+      return next(new HttpError(409, 'Idempotency-Key expired while in use, please retry'));
+    }
+    if (stored.Fingerprint !== fingerprint) {
+      return next(new HttpError(422, 'Idempotency-Key was already used for a different request'));
+    }
+    if (stored.State === 'Processing') {
+      return next(new HttpError(409, 'A request with this Idempotency-Key is still in progress'));
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    res.status(stored.StatusCode).json(stored.ResponseBody);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Responses that only say "not now": server errors, rate limits and conflicts
+// with a concurrent write
+const isRetryable = (statusCode, body) => statusCode >= 500
+  || statusCode === 429
+  || (statusCode === 409 && body && body.error && body.error.code === 'CONCURRENT_MODIFICATION');
+
+// Makes a mutating route safe to retry: the first call with a given
+// Idempotency-Key runs normally and its response is stored, later calls with
+// the same key replay that response instead of running the route again.
+// Must run after authenticateToken so keys can be scoped to the caller.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  const scope = { Key: key, ClientID: req.user ? String(req.user.id) : req.ip };
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+  try {
+    await IdempotencyKey.create({ ...scope, Fingerprint: fingerprint });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+    return replay(scope, fingerprint, res, next);
+  }
+
+  // Capture the response so it can be replayed
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = JSON.parse(JSON.stringify(body)); // Plain copy of documents
+    return json(body);
+  };
+
+  res.on('close', () => {
+    // Server errors, aborted calls and the answers that ask to retry later are
+    // not stored, so a retry with the same key runs again
+    const update = !res.writableFinished || isRetryable(res.statusCode, responseBody)
+      ? IdempotencyKey.deleteOne(scope)
+      : IdempotencyKey.updateOne(scope, { State: 'Completed', StatusCode: res.statusCode, ResponseBody: responseBody });
+
+    update.catch((error) => logger.error('Failed to store idempotent response', { error }));
+  });
+
+  next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,47 @@
+const config = require('../config');
+const rateLimit = require('../services/rateLimit');
+const HttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// Limiter settings: sign-in attempts per IP and new requests per user
+const LIMITS = {
+  auth: config.rateLimits.auth,
+  'request-create': config.rateLimits.requestCreate,
+};
+
+// Builds a middleware allowing `max` calls per window for each key, e.g. per
+// IP or per user. Over the limit it answers 429 with Retry-After. If the store
+// fails, calls are let through rather than taking the API down with it.
+const limit = (name, keyOf) => async (req, res, next) => {
+  let result;
+  try {
+    result = await rateLimit.hit(name, keyOf(req), LIMITS[name]);
+  } catch (error) {
+    logger.error(`Rate limit store failed for ${name}`, { error });
+    return next();
+  }
+
+  const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(retryAfter),
+  });
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(retryAfter));
+    return next(new HttpError(429, `Too many requests, retry in ${retryAfter} seconds`, { retryAfter }));
+  }
+  next();
+};
+
+// Per client IP, for the unauthenticated sign-in routes
+const authRateLimit = limit('auth', (req) => req.ip);
+
+// Per signed-in user; must run after authenticateToken
+const requestCreationRateLimit = limit('request-create', (req) => req.user.id);
+
+module.exports = {
+  authRateLimit,
+  requestCreationRateLimit,
+};
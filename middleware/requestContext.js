@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+// Incoming IDs are kept when they are short and printable, so a caller or a
+// proxy can correlate its own logs; anything else is replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Reads or assigns the X-Request-Id of a call and echoes it in the response.
+// The rest of the chain runs inside the call's context, so every log line and
+// audit entry it writes carries the ID. One access line is logged per call.
+// Paths are recorded without the query string, which can carry a token (the
+// event stream takes ?access_token=).
+const requestContextMiddleware = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  const requestId = header && VALID_REQUEST_ID.test(header) ? header : crypto.randomUUID();
+  const context = { requestId, method: req.method, path: req.path, ip: req.ip, user: null };
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => requestContext.run(context, () => {
+    logger.info('request completed', {
+      method: req.method,
+      path: context.path,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      ip: req.ip,
+      userId: context.user ? context.user.id : null,
+    });
+  }));
+
+  requestContext.run(context, next);
+};
+
+module.exports = requestContextMiddleware;
@@ -0,0 +1,121 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const swaggerSpec = require('../swagger');
+const HttpError = require('../utils/httpError');
+
+// The OpenAPI components are registered under this ID so the route docs and
+// the validation share one set of schemas
+const SPEC_ID = 'openapi.json';
+
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema({ $id: SPEC_ID, components: swaggerSpec.components });
+  return ajv;
+};
+
+// Bodies are checked as sent. Path params and query strings always arrive as
+// text, so they are coerced to the documented types first.
+const bodyAjv = createAjv();
+const textAjv = createAjv({ coerceTypes: true });
+
+// Points the spec's local references at the registered components
+const inSpec = (schema) => JSON.parse(JSON.stringify(schema).replace(/"#\/components\//g, `"${SPEC_ID}#/components/`));
+
+const schemaRef = (name) => {
+  if (!swaggerSpec.components.schemas[name]) {
+    throw new Error(`Schema ${name} is not defined in the OpenAPI spec`);
+  }
+  return { $ref: `${SPEC_ID}#/components/schemas/${name}` };
+};
+
+// Path params given as { param: schema name }
+const paramsSchema = (params) => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(params).map(([param, name]) => [param, schemaRef(name)])),
+  required: Object.keys(params),
+});
+
+// Query strings given as a list of query parameter components
+const querySchema = (names) => {
+  const parameters = names.map((name) => {
+    const parameter = swaggerSpec.components.parameters[name];
+    if (!parameter || parameter.in !== 'query') {
+      throw new Error(`Query parameter ${name} is not defined in the OpenAPI spec`);
+    }
+    return parameter;
+  });
+
+  return inSpec({
+    type: 'object',
+    properties: Object.fromEntries(parameters.map((parameter) => [parameter.name, parameter.schema])),
+    required: parameters.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+  });
+};
+
+const fieldOf = (location, error) => {
+  const path = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') path.push(error.params.missingProperty);
+  if (error.keyword === 'additionalProperties') path.push(error.params.additionalProperty);
+  return [location, ...path].join('.');
+};
+
+const messageOf = (error) => {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not allowed';
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    default:
+      return error.message;
+  }
+};
+
+// Collects ajv errors into one message per field, e.g. { 'body.Duration': 'must be >= 1' }.
+// The alternatives of an anyOf are listed together rather than as separate failures.
+const toDetails = (location, errors) => {
+  const byField = {};
+  for (const error of errors) {
+    const field = fieldOf(location, error);
+    byField[field] = byField[field] || { messages: [], alternatives: false };
+    if (error.keyword === 'anyOf' || error.keyword === 'oneOf') {
+      byField[field].alternatives = true;
+    } else {
+      byField[field].messages.push(messageOf(error));
+    }
+  }
+
+  return Object.fromEntries(Object.entries(byField).map(([field, { messages, alternatives }]) => [
+    field,
+    [...new Set(messages)].join(alternatives ? ' or ' : '; '),
+  ]));
+};
+
+// Checks the path params, query string and body of a call against schemas
+// from the OpenAPI spec, answering 400 with per-field details when they do
+// not match, e.g.
+//   validate({ params: { id: 'ObjectId' }, query: ['Limit', 'Cursor'], body: 'RequestInput' })
+const validate = ({ params, query, body }) => {
+  const checks = [];
+  if (params) checks.push(['params', textAjv.compile(paramsSchema(params))]);
+  if (query) checks.push(['query', textAjv.compile(querySchema(query))]);
+  if (body) checks.push(['body', bodyAjv.compile(schemaRef(body))]);
+
+  return (req, res, next) => {
+    const details = {};
+    for (const [location, check] of checks) {
+      // Coercion works on a copy so routes still see the values as sent
+      const value = location === 'body' ? req.body : { ...req[location] };
+      if (!check(value)) Object.assign(details, toDetails(location, check.errors));
+    }
+
+    if (Object.keys(details).length > 0) {
+      return next(new HttpError(400, 'Request validation failed', details, 'VALIDATION_ERROR'));
+    }
+    next();
+  };
+};
+
+module.exports = validate;
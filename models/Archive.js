@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Requests and transactions moved out of their collections by the retention
+// job, kept as they were when archived
+const archiveSchema = new mongoose.Schema({
+  Entity: {
+    type: String,
+    enum: ['request', 'transaction'],
+    required: true,
+  },
+  RecordID: {
+    type: mongoose.Schema.Types.ObjectId, // _id the record had in its collection
+    required: true,
+  },
+  Record: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  ArchivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A record is archived once, even when a run is retried
+archiveSchema.index({ Entity: 1, RecordID: 1 }, { unique: true });
+
+module.exports = mongoose.model('Archive', archiveSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  Actor: {
+    type: String, // User ID from the token, 'anonymous', or 'system' for background jobs
+    required: true,
+  },
+  ActorRoles: {
+    type: [String],
+    default: [],
+  },
+  Action: {
+    type: String, // e.g. 'access.denied', 'request.updated'
+    required: true,
+  },
+  Entity: {
+    type: String, // Kind of record changed; unset for access events
+    enum: ['request', 'transaction', 'offer'],
+  },
+  EntityID: {
+    type: String,
+  },
+  Changes: {
+    type: mongoose.Schema.Types.Mixed, // { field: { From, To } } for each changed field
+  },
+  Method: {
+    type: String,
+  },
+  Path: {
+    type: String,
+  },
+  Message: {
+    type: String,
+    default: '',
+  },
+  IP: {
+    type: String,
+  },
+  RequestID: {
+    type: String, // X-Request-Id of the call that made the change
+  },
+  Timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ Timestamp: -1 });
+auditLogSchema.index({ Actor: 1, Timestamp: -1 });
+auditLogSchema.index({ Entity: 1, EntityID: 1, Timestamp: -1 });
+auditLogSchema.index({ Action: 1, Timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
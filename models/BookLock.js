@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Marks a book as lent out; the unique BookID makes it the lock that keeps
+// two accepted requests from holding the same book at once
+const bookLockSchema = new mongoose.Schema({
+  BookID: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  TransactionID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction', // Transaction holding the book
+    required: true,
+  },
+  RequestID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request', // Accepted request the book was lent for
+    required: true,
+  },
+  ReservedFrom: {
+    type: Date,
+    required: true,
+  },
+  ReservedUntil: {
+    type: Date, // ReservedFrom plus the Duration in days, then the DueDate once delivered
+    required: true,
+  },
+},{ timestamps: true } );
+
+module.exports = mongoose.model('BookLock', bookLockSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const audit = require('./plugins/audit');
+
+const counterOfferSchema = new mongoose.Schema({
+  RequestID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request', // Reference to the negotiated request
+    required: true,
+    index: true,
+  },
+  ProposedBy: {
+    type: String,
+    required: true,
+  },
+  Duration: {
+    type: Number, // Proposed duration in days; unset keeps the current one
+  },
+  DeliveryMethod: {
+    type: String,
+    enum: ['In-person', 'Shipping'],
+  },
+  Message: {
+    type: String,
+    default: '',
+  },
+  Status: {
+    type: String,
+    enum: ['Pending', 'Accepted', 'Rejected', 'Superseded'],
+    default: 'Pending',
+  },
+  RespondedBy: {
+    type: String,
+  },
+  RespondedAt: {
+    type: Date,
+  },
+},{ timestamps: true } );
+
+counterOfferSchema.plugin(audit, { entity: 'offer' });
+
+module.exports = mongoose.model('CounterOffer', counterOfferSchema);
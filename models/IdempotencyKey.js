@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Stored outcome of a mutating call made with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  Key: {
+    type: String,
+    required: true,
+  },
+  ClientID: {
+    type: String, // Keys are scoped to the caller that sent them
+    required: true,
+  },
+  Fingerprint: {
+    type: String, // Hash of method, path and body of the original call
+    required: true,
+  },
+  State: {
+    type: String,
+    enum: ['Processing', 'Completed'],
+    default: 'Processing',
+  },
+  StatusCode: {
+    type: Number,
+  },
+  ResponseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24, // Keys can be replayed for 24 hours
+  },
+});
+
+idempotencyKeySchema.index({ ClientID: 1, Key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  UserID: {
+    type: String,
+    required: true,
+  },
+  Message: {
+    type: String,
+    required: true,
+  },
+  Type: {
+    type: String,
+    enum: ['Exchange Request', 'Exchange Status Update', 'Transaction Update', 'Due Date Reminder'],
+    required: true,
+  },
+  RequestID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+  },
+  TransactionID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  Timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  IsRead: {
+    type: Boolean,
+    default: false,
+  },
+  ReadAt: {
+    type: Date,
+  },
+});
+
+notificationSchema.index({ UserID: 1, Timestamp: -1 });
+notificationSchema.index({ UserID: 1, IsRead: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
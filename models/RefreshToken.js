@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  TokenHash: {
+    type: String, // SHA-256 of the token handed to the client
+    required: true,
+    unique: true,
+  },
+  UserID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  ExpiresAt: {
+    type: Date,
+    required: true,
+    expires: 0, // Removed by MongoDB once expired
+  },
+  RevokedAt: {
+    type: Date,
+  },
+},{ timestamps: true } );
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const statusMachine = require('./plugins/statusMachine');
+const audit = require('./plugins/audit');
+const softDelete = require('./plugins/softDelete');
+const events = require('../services/events');
+
+// Allowed status changes; Rejected, Cancelled and Expired are terminal. An
+// accepted request is only cancelled along with its transaction.
+const STATUS_TRANSITIONS = {
+  Pending: ['Accepted', 'Rejected', 'Modified', 'Cancelled', 'Expired'],
+  Modified: ['Pending', 'Rejected', 'Cancelled', 'Expired'],
+  Accepted: ['Cancelled'],
+  Rejected: [],
+  Cancelled: [],
+  Expired: [],
+};
 
 const requestSchema = new mongoose.Schema({
   RequestID: {
@@ -24,7 +39,7 @@ const requestSchema = new mongoose.Schema({
   },
   Status: {
     type: String,
-    enum: ['Pending', 'Accepted', 'Rejected', 'Modified'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'Pending',
   },
   DeliveryMethod: {
@@ -33,13 +48,46 @@ const requestSchema = new mongoose.Schema({
     required: true,
   },
   Duration: {
-    type: Number, // Assuming duration is in days; adjust type if needed
+    type: Number, // Loan period in days; capped as in the API so imports cannot overflow the due date
     required: true,
+    min: 1,
+    max: 365,
   },
   NegotiatedTerms: {
     type: String,
     default: '',
   },
-},{ timestamps: true } );
+  ResponseDeadline: {
+    type: Date, // An open request expires once this passes; the owner can move it
+    default: null,
+  },
+},{ timestamps: true, optimisticConcurrency: true } );
+
+requestSchema.plugin(statusMachine, {
+  transitions: STATUS_TRANSITIONS,
+  event: events.REQUEST_STATUS_CHANGED,
+  subject: 'request',
+});
+// The status history duplicates the Status changes already recorded
+requestSchema.plugin(audit, { entity: 'request', ignore: ['StatusHistory'] });
+requestSchema.plugin(softDelete);
+
+// Indexes backing the filtered, cursor-paginated listings
+requestSchema.index({ RequestedBy: 1, RequestDate: -1 });
+requestSchema.index({ RequestedTo: 1, RequestDate: -1 });
+requestSchema.index({ BookID: 1, Status: 1 });
+requestSchema.index({ Status: 1, RequestDate: -1 });
+requestSchema.index({ RequestDate: -1, _id: -1 });
+requestSchema.index({ Status: 1, ResponseDeadline: 1 });
+
+// True when the user is the requester or the book owner
+requestSchema.methods.isParticipant = function (userId) {
+  return [this.RequestedBy, this.RequestedTo].includes(String(userId));
+};
+
+// True while the request awaits the owner's answer, possibly on a counter-offer
+requestSchema.methods.isOpen = function () {
+  return ['Pending', 'Modified'].includes(this.Status);
+};
 
 module.exports = mongoose.model('Request', requestSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// An event pushed to users over the event stream, kept so clients that
+// reconnect can replay what they missed
+const streamEventSchema = new mongoose.Schema({
+  Type: {
+    type: String, // Event name, e.g. 'request.status_changed'
+    required: true,
+  },
+  Recipients: {
+    type: [String], // IDs of the users the event concerns
+    required: true,
+  },
+  Data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24, // Events can be replayed for 24 hours
+  },
+});
+
+streamEventSchema.index({ Recipients: 1, _id: 1 });
+
+module.exports = mongoose.model('StreamEvent', streamEventSchema);
@@ -1,4 +1,60 @@
 const mongoose = require('mongoose');
+const statusMachine = require('./plugins/statusMachine');
+const audit = require('./plugins/audit');
+const softDelete = require('./plugins/softDelete');
+const events = require('../services/events');
+
+// Allowed status changes per delivery method; shipped books go through
+// Shipping, books handed over in person go straight to Delivered
+const STATUS_TRANSITIONS = {
+  Shipping: {
+    Pending: ['In Progress', 'Cancelled'],
+    'In Progress': ['Shipping', 'Cancelled'],
+    Shipping: ['Delivered'],
+    Delivered: ['Returned'],
+    Returned: [],
+    Cancelled: [],
+  },
+  'In-person': {
+    Pending: ['In Progress', 'Cancelled'],
+    'In Progress': ['Delivered', 'Cancelled'],
+    Delivered: ['Returned'],
+    Returned: [],
+    Cancelled: [],
+  },
+};
+
+// A borrower's request for more time, answered by the owner
+const extensionSchema = new mongoose.Schema({
+  RequestedBy: {
+    type: String,
+    required: true,
+  },
+  Days: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  Reason: {
+    type: String,
+    default: '',
+  },
+  Status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected'],
+    default: 'Pending',
+  },
+  RequestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  RespondedBy: {
+    type: String,
+  },
+  RespondedAt: {
+    type: Date,
+  },
+});
 
 const transactionSchema = new mongoose.Schema({
   TransactionID: {
@@ -10,19 +66,26 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Request', // Reference to ExchangeRequest model
     required: true,
+    unique: true, // A request has at most one transaction
   },
   OwnerID: {
     type: String,
     required: true,
   },
+  BorrowerID: {
+    type: String, // RequestedBy of the accepted request
+  },
   BooKID: {
-    type: String,
-    ref: 'Book', // Reference to ExchangeRequest model
+    type: String, // Book ID in the catalog service, not a local model
     required: true,
   },
+  DeliveryMethod: {
+    type: String, // Copied from the accepted request
+    enum: ['In-person', 'Shipping'],
+  },
   Status: {
     type: String,
-    enum: ['Pending', 'In Progress', 'Shipping','Delivered', 'Cancelled'],
+    enum: ['Pending', 'In Progress', 'Shipping','Delivered', 'Returned', 'Cancelled'],
     required: true,
     default: 'Pending',
   },
@@ -30,9 +93,60 @@ const transactionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  Carrier: {
+    type: String, // Set when the book is shipped
+  },
+  TrackingNumber: {
+    type: String,
+  },
+  ShippedAt: {
+    type: Date,
+  },
+  DeliveredAt: {
+    type: Date,
+  },
+  Duration: {
+    type: Number, // Loan length in days, copied from the accepted request
+  },
+  DueDate: {
+    type: Date, // DeliveredAt plus Duration, moved by approved extensions
+  },
+  IsOverdue: {
+    type: Boolean,
+    default: false,
+  },
+  RemindersSent: {
+    type: [String], // Keys of the due-date reminders already emitted
+    default: [],
+  },
+  Extensions: {
+    type: [extensionSchema],
+    default: [],
+  },
   BookReturnedDate: {
     type: Date,
   },
+},{ optimisticConcurrency: true });
+
+transactionSchema.plugin(statusMachine, {
+  transitions: (transaction) => STATUS_TRANSITIONS[transaction.DeliveryMethod === 'Shipping' ? 'Shipping' : 'In-person'],
+  event: events.TRANSACTION_STATUS_CHANGED,
+  subject: 'transaction',
 });
+transactionSchema.plugin(audit, { entity: 'transaction', ignore: ['StatusHistory'] });
+transactionSchema.plugin(softDelete);
+
+// Indexes backing the filtered, cursor-paginated listings
+transactionSchema.index({ OwnerID: 1, TransactionDate: -1 });
+transactionSchema.index({ BorrowerID: 1, TransactionDate: -1 });
+transactionSchema.index({ BooKID: 1, Status: 1 });
+transactionSchema.index({ Status: 1, TransactionDate: -1 });
+transactionSchema.index({ TransactionDate: -1, _id: -1 });
+transactionSchema.index({ Status: 1, DueDate: 1 });
+
+// True when the user is the book owner or the borrower
+transactionSchema.methods.isParticipant = function (userId) {
+  return [this.OwnerID, this.BorrowerID].includes(String(userId));
+};
 
 module.exports = mongoose.model('Transaction', transactionSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  Name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  Email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  Password: {
+    type: String, // bcrypt hash, never the plain password
+    required: true,
+    select: false,
+  },
+  Roles: {
+    type: [String],
+    enum: ['user', 'moderator', 'admin'],
+    default: ['user'],
+  },
+},{ timestamps: true } );
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One try at posting a delivery to its URL
+const attemptSchema = new mongoose.Schema({
+  At: {
+    type: Date,
+    default: Date.now,
+  },
+  StatusCode: {
+    type: Number, // Unset when no response was received
+  },
+  Error: {
+    type: String,
+  },
+  DurationMs: {
+    type: Number,
+  },
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  SubscriptionID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+  },
+  Event: {
+    type: String,
+    required: true,
+  },
+  Payload: {
+    type: mongoose.Schema.Types.Mixed, // Exact JSON body that is signed and sent
+    required: true,
+  },
+  Status: {
+    type: String,
+    enum: ['Pending', 'Retrying', 'Succeeded', 'DeadLettered'],
+    default: 'Pending',
+  },
+  AttemptCount: {
+    type: Number,
+    default: 0,
+  },
+  NextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  Attempts: {
+    type: [attemptSchema],
+    default: [],
+  },
+},{ timestamps: true } );
+
+webhookDeliverySchema.index({ Status: 1, NextAttemptAt: 1 });
+webhookDeliverySchema.index({ SubscriptionID: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
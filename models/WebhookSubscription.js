@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  Url: {
+    type: String,
+    required: true,
+    match: /^https?:\/\/\S+$/,
+  },
+  Events: {
+    type: [String], // Event names delivered to this URL
+    required: true,
+    validate: (events) => events.length > 0,
+  },
+  Secret: {
+    type: String, // Key for the HMAC signature of each payload
+    required: true,
+    select: false,
+  },
+  Description: {
+    type: String,
+    default: '',
+  },
+  Active: {
+    type: Boolean,
+    default: true,
+  },
+  CreatedBy: {
+    type: String,
+    required: true,
+  },
+},{ timestamps: true } );
+
+webhookSubscriptionSchema.index({ Active: 1, Events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,120 @@
+const AuditLog = require('../AuditLog');
+const requestContext = require('../../utils/requestContext');
+const logger = require('../../utils/logger');
+
+// Bookkeeping fields left out of the recorded changes
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Plain JSON copy, so ObjectIds and dates are stored and compared as strings
+const snapshot = (doc) => (doc ? JSON.parse(JSON.stringify(doc.toObject ? doc.toObject({ depopulate: true }) : doc)) : null);
+
+// Top-level fields that differ between two snapshots, as { field: { From, To } }.
+// A missing snapshot stands for a document that did not exist.
+const diff = (before, after, ignore) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  for (const field of fields) {
+    if (ignore.includes(field)) continue;
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { From: from, To: to };
+  }
+  return changes;
+};
+
+// Records every create, update and delete of the model's documents in the
+// audit log with the before/after values of the changed fields. The actor,
+// IP and request ID come from the HTTP call being handled; writes made
+// outside of one (background jobs) are recorded as 'system'. A failing audit
+// write is logged and never fails the change itself.
+module.exports = function audit(schema, { entity, ignore = [] }) {
+  const ignored = [...IGNORED_FIELDS, ...ignore];
+
+  const record = async (changes) => {
+    const context = requestContext.current();
+    const user = context && context.user;
+
+    const entries = changes
+      .map(({ action, id, before, after }) => ({ action, id, changes: diff(before, after, ignored) }))
+      .filter(({ changes: fields }) => Object.keys(fields).length > 0)
+      .map(({ action, id, changes: fields }) => ({
+        Actor: user ? String(user.id) : 'system',
+        ActorRoles: user ? user.roles : [],
+        Action: `${entity}.${action}`,
+        Entity: entity,
+        EntityID: String(id),
+        Changes: fields,
+        ...(context && {
+          Method: context.method,
+          Path: context.path,
+          IP: context.ip,
+          RequestID: context.requestId,
+        }),
+      }));
+    if (entries.length === 0) return;
+
+    try {
+      await AuditLog.insertMany(entries);
+    } catch (error) {
+      logger.error(`Failed to write audit log for ${entity}`, { error });
+    }
+  };
+
+  // Documents remember how they were loaded, so a save can tell what it changed
+  schema.post('init', function () {
+    this.$locals.auditBefore = snapshot(this);
+  });
+
+  schema.pre('save', function (next) {
+    this.$locals.auditCreated = this.isNew;
+    next();
+  });
+
+  // Other plugins can name the change a save makes in $locals.auditAction,
+  // e.g. 'deleted' for a soft delete
+  schema.post('save', async function (doc) {
+    const after = snapshot(doc);
+    const before = doc.$locals.auditCreated ? null : doc.$locals.auditBefore;
+    const action = doc.$locals.auditAction || (doc.$locals.auditCreated ? 'created' : 'updated');
+    doc.$locals.auditBefore = after;
+    doc.$locals.auditAction = null;
+    await record([{ action, id: doc._id, before, after }]);
+  });
+
+  // Bulk inserts, e.g. imports
+  schema.post('insertMany', async function (docs) {
+    await record(docs.map((doc) => ({ action: 'created', id: doc._id, before: null, after: snapshot(doc) })));
+  });
+
+  // Query updates and deletes read the matched documents first; updated ones
+  // are read again afterwards to get their new values. The reads carry the
+  // query's options so they see the same documents, e.g. soft-deleted ones.
+  const single = ['findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'deleteOne'];
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany', 'findOneAndDelete', 'deleteOne', 'deleteMany'], async function () {
+    const find = this.model.find(this.getFilter()).setOptions(this.getOptions()).lean();
+    this._auditBefore = await (single.includes(this.op) ? find.limit(1) : find);
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+    const before = this._auditBefore || [];
+    if (before.length === 0) return;
+
+    const after = await this.model.find({ _id: { $in: before.map((doc) => doc._id) } }).setOptions(this.getOptions()).lean();
+    const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+    await record(before.map((doc) => ({
+      action: 'updated',
+      id: doc._id,
+      before: snapshot(doc),
+      after: snapshot(afterById.get(String(doc._id))),
+    })));
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], async function (result) {
+    const before = this._auditBefore || [];
+    // deleteOne and deleteMany report how many documents went; findOneAndDelete returns the document
+    if (before.length === 0 || result === null || (result && result.deletedCount === 0)) return;
+
+    await record(before.map((doc) => ({ action: 'deleted', id: doc._id, before: snapshot(doc), after: null })));
+  });
+};
@@ -0,0 +1,54 @@
+// Adds deletedAt/deletedBy to a schema and hides soft-deleted documents from
+// every find, count, update and aggregation. A query reaches them when it
+// filters on deletedAt itself or is marked with .withDeleted(), e.g.
+//   Request.findById(id).withDeleted()
+// Deleting with deleteOne/deleteMany still removes documents for good.
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: String, // User ID of whoever deleted the document
+      default: null,
+    },
+  });
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  const excludeDeleted = function () {
+    if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  };
+
+  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'], excludeDeleted);
+
+  schema.pre('aggregate', function () {
+    const [first] = this.pipeline();
+    if (first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.isDeleted = function () {
+    return Boolean(this.deletedAt);
+  };
+
+  // Marks the document as deleted by `actor`; the caller saves it
+  schema.methods.softDelete = function (actor, at = new Date()) {
+    this.deletedAt = at;
+    this.deletedBy = String(actor);
+    this.$locals.auditAction = 'deleted';
+    return this;
+  };
+
+  // Brings a soft-deleted document back; the caller saves it
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    this.$locals.auditAction = 'restored';
+    return this;
+  };
+};
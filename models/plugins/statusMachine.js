@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const events = require('../../services/events');
+
+// A single entry in a document's status history
+const statusChangeSchema = new mongoose.Schema({
+  From: {
+    type: String,
+    default: null, // null for the initial status set on creation
+  },
+  To: {
+    type: String,
+    required: true,
+  },
+  Actor: {
+    type: String,
+    required: true,
+  },
+  ReasonCode: {
+    type: String, // Machine-readable reason for cancellations and declines, see services/reasonCodes
+    default: null,
+  },
+  Reason: {
+    type: String,
+    default: '',
+  },
+  Timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Adds a StatusHistory array and transition helpers to a schema with a Status field.
+// `transitions` maps each status to the list of statuses it may move to, or is a
+// function returning that map for a given document when the lifecycle varies.
+// Once a document is saved, each change is emitted as `event` on the event bus
+// with the document under the `subject` key.
+module.exports = function statusMachine(schema, { transitions, event, subject }) {
+  const transitionsFor = typeof transitions === 'function' ? transitions : () => transitions;
+
+  schema.add({
+    StatusHistory: {
+      type: [statusChangeSchema],
+      default: [],
+    },
+  });
+
+  schema.statics.STATUS_TRANSITIONS = transitions;
+
+  schema.methods.canTransitionTo = function (status) {
+    return (transitionsFor(this)[this.Status] || []).includes(status);
+  };
+
+  // Moves the document to `status` and records the change; the caller saves it
+  schema.methods.transitionTo = function (status, { actor, reason = '', reasonCode = null }) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error(`Cannot change status from ${this.Status} to ${status}`);
+    }
+    this.StatusHistory.push({ From: this.Status, To: status, Actor: actor, ReasonCode: reasonCode, Reason: reason });
+    this.$locals.statusChanges = [...(this.$locals.statusChanges || []), { from: this.Status, to: status, actor, reason, reasonCode }];
+    this.Status = status;
+    return this;
+  };
+
+  // Record the initial status so the history is complete from creation
+  schema.pre('save', function (next) {
+    if (this.isNew && this.StatusHistory.length === 0) {
+      this.StatusHistory.push({ From: null, To: this.Status, Actor: this.$locals.actor || 'system' });
+    }
+    next();
+  });
+
+  schema.post('save', function (doc) {
+    const changes = doc.$locals.statusChanges || [];
+    doc.$locals.statusChanges = [];
+    for (const change of changes) {
+      events.emit(event, { [subject]: doc, ...change });
+    }
+  });
+};
@@ -0,0 +1,331 @@
+const express = require('express');
+const { authenticateToken } = require('../Auth');
+const { authorize } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const analytics = require('../services/analytics');
+const { bookSummary, userSummary, withSummaries } = require('../services/catalog');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Interval:
+ *       in: query
+ *       name: interval
+ *       schema:
+ *         type: string
+ *         enum: [day, week, month]
+ *       description: >
+ *         Split the results into UTC days, weeks starting on Monday, or calendar months.
+ *         Without it everything falls into one bucket whose period is null.
+ *     TopLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 10
+ *       description: Number of rows to return
+ *     AnalyticsRole:
+ *       in: query
+ *       name: role
+ *       schema:
+ *         type: string
+ *         enum: [requester, owner]
+ *         default: requester
+ *       description: Count the requests users made, or the requests made for their books
+ *   schemas:
+ *     RequestActivity:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Start of the bucket
+ *         requests:
+ *           type: integer
+ *         statuses:
+ *           type: object
+ *           description: Requests by current status
+ *           additionalProperties:
+ *             type: integer
+ *         deliveryMethods:
+ *           type: object
+ *           description: Requests by delivery method
+ *           additionalProperties:
+ *             type: integer
+ *         acceptanceRate:
+ *           type: number
+ *           nullable: true
+ *           description: Share of the Accepted, Rejected and Expired requests that were Accepted; null when there are none
+ *         medianHoursToAccept:
+ *           type: number
+ *           nullable: true
+ *           description: Median time from the request to its acceptance
+ *     LoanActivity:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Start of the bucket
+ *         transactions:
+ *           type: integer
+ *         statuses:
+ *           type: object
+ *           description: Transactions by current status
+ *           additionalProperties:
+ *             type: integer
+ *         returned:
+ *           type: integer
+ *         averageRequestedDays:
+ *           type: number
+ *           nullable: true
+ *           description: Average Duration agreed for the returned loans
+ *         averageActualDays:
+ *           type: number
+ *           nullable: true
+ *           description: Average days from delivery to return for the same loans
+ *         late:
+ *           type: integer
+ *           description: Loans overdue now or returned after their due date
+ *         overdueRate:
+ *           type: number
+ *           nullable: true
+ *           description: Share of the loans with a due date that ran late; null when none has one
+ *     BookDemand:
+ *       type: object
+ *       properties:
+ *         BookID:
+ *           type: string
+ *         Book:
+ *           $ref: '#/components/schemas/BookSummary'
+ *         requests:
+ *           type: integer
+ *         accepted:
+ *           type: integer
+ *         requesters:
+ *           type: integer
+ *           description: Distinct users who asked for the book
+ *     UserActivity:
+ *       type: object
+ *       properties:
+ *         UserID:
+ *           type: string
+ *         User:
+ *           $ref: '#/components/schemas/UserSummary'
+ *         requests:
+ *           type: integer
+ *         accepted:
+ *           type: integer
+ *         acceptanceRate:
+ *           type: number
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: Reports on how requests and loans are used (moderators and admins)
+ */
+
+/**
+ * @swagger
+ * /analytics/requests:
+ *   get:
+ *     summary: Request volume, acceptance rate, time to accept and delivery methods
+ *     description: Requests are bucketed and filtered by RequestDate.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Interval'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *     responses:
+ *       200:
+ *         description: One entry per period that has requests, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RequestActivity'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is neither a moderator nor an admin
+ */
+
+/**
+ * @swagger
+ * /analytics/requests/books:
+ *   get:
+ *     summary: Most requested books
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/TopLimit'
+ *     responses:
+ *       200:
+ *         description: Books by number of requests, highest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BookDemand'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is neither a moderator nor an admin
+ */
+
+/**
+ * @swagger
+ * /analytics/requests/users:
+ *   get:
+ *     summary: Requests per user
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsRole'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/TopLimit'
+ *     responses:
+ *       200:
+ *         description: Users by number of requests, highest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserActivity'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is neither a moderator nor an admin
+ */
+
+/**
+ * @swagger
+ * /analytics/transactions:
+ *   get:
+ *     summary: Loan volume, actual against requested loan length, and overdue rate
+ *     description: Transactions are bucketed and filtered by TransactionDate.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Interval'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *     responses:
+ *       200:
+ *         description: One entry per period that has transactions, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoanActivity'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is neither a moderator nor an admin
+ */
+
+router.use(authenticateToken, authorize('analytics:read'));
+
+const DEFAULT_TOP_LIMIT = 10;
+
+const SERIES_QUERY = ['Interval', 'From', 'To'];
+const TOP_QUERY = ['From', 'To', 'TopLimit'];
+
+// The query of a report; validation has already checked the values
+const reportQuery = ({ interval, from, to, limit, role }) => ({
+  interval,
+  from,
+  to,
+  limit: limit ? Number(limit) : DEFAULT_TOP_LIMIT,
+  role,
+});
+
+// Request volume per period
+router.get('/requests', validate({ query: SERIES_QUERY }), async (req, res, next) => {
+  try {
+    const query = reportQuery(req.query);
+    res.status(200).json({ interval: query.interval || null, data: await analytics.requestActivity(query) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Most requested books
+router.get('/requests/books', validate({ query: TOP_QUERY }), async (req, res, next) => {
+  try {
+    const rows = await analytics.requestsByBook(reportQuery(req.query));
+    res.status(200).json({ data: await withSummaries(rows, { Book: ['BookID', bookSummary] }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Requests per requester or per owner
+router.get('/requests/users', validate({ query: ['AnalyticsRole', ...TOP_QUERY] }), async (req, res, next) => {
+  try {
+    const rows = await analytics.requestsByUser(reportQuery(req.query));
+    res.status(200).json({ data: await withSummaries(rows, { User: ['UserID', userSummary] }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Loan volume per period
+router.get('/transactions', validate({ query: SERIES_QUERY }), async (req, res, next) => {
+  try {
+    const query = reportQuery(req.query);
+    res.status(200).json({ interval: query.interval || null, data: await analytics.loanActivity(query) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
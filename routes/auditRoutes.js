@@ -0,0 +1,157 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken } = require('../Auth');
+const { authorize } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const { buildFilter, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditActorFilter:
+ *       in: query
+ *       name: actor
+ *       schema:
+ *         type: string
+ *       description: Comma-separated user IDs, 'system' or 'anonymous'
+ *     AuditEntityFilter:
+ *       in: query
+ *       name: entity
+ *       schema:
+ *         type: string
+ *         pattern: '^(request|transaction|offer)(,(request|transaction|offer))*$'
+ *       description: Comma-separated kinds of record (request, transaction, offer)
+ *     AuditEntityIdFilter:
+ *       in: query
+ *       name: entityId
+ *       schema:
+ *         type: string
+ *       description: Comma-separated record IDs
+ *     AuditActionFilter:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: Comma-separated actions, e.g. request.updated,access.denied
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         Actor:
+ *           type: string
+ *           description: User ID from the token, 'anonymous', or 'system' for background jobs
+ *         ActorRoles:
+ *           type: array
+ *           items:
+ *             type: string
+ *         Action:
+ *           type: string
+ *           description: >
+ *             '<entity>.created', '<entity>.updated' or '<entity>.deleted' for changes,
+ *             'access.denied' for refused calls
+ *         Entity:
+ *           type: string
+ *           enum: [request, transaction, offer]
+ *         EntityID:
+ *           type: string
+ *         Changes:
+ *           type: object
+ *           description: The changed fields with their values before and after; null where the record did not exist
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               From: {}
+ *               To: {}
+ *         Method:
+ *           type: string
+ *         Path:
+ *           type: string
+ *         Message:
+ *           type: string
+ *         IP:
+ *           type: string
+ *         RequestID:
+ *           type: string
+ *           description: X-Request-Id of the call, to find its log lines
+ *         Timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit trail of changes to requests, transactions and offers, and of refused calls (admin only)
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Search the audit log, newest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActorFilter'
+ *       - $ref: '#/components/parameters/AuditEntityFilter'
+ *       - $ref: '#/components/parameters/AuditEntityIdFilter'
+ *       - $ref: '#/components/parameters/AuditActionFilter'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Count'
+ *     responses:
+ *       200:
+ *         description: A page of audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 hasMore:
+ *                   type: boolean
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ */
+
+const AUDIT_LIST = {
+  filters: { actor: 'Actor', entity: 'Entity', entityId: 'EntityID', action: 'Action' },
+  dateField: 'Timestamp',
+  sortFields: ['Timestamp'],
+};
+const AUDIT_LIST_QUERY = ['AuditActorFilter', 'AuditEntityFilter', 'AuditEntityIdFilter', 'AuditActionFilter', 'From', 'To', 'Limit', 'Cursor', 'Order', 'Count'];
+
+// Search the audit log
+router.get('/', authenticateToken, authorize('audit:read'), validate({ query: AUDIT_LIST_QUERY }), async (req, res, next) => {
+  try {
+    const filter = buildFilter(req.query, AUDIT_LIST);
+    const page = await paginate(AuditLog, filter, req.query, AUDIT_LIST);
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
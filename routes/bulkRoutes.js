@@ -0,0 +1,217 @@
+const express = require('express');
+const readline = require('readline');
+const { authenticateToken } = require('../Auth');
+const { authorize } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const HttpError = require('../utils/httpError');
+const { CONTENT_TYPES, DEFAULT_BATCH_SIZE, exportRecords, importRequests } = require('../services/dataTransfer');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ExportFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [jsonl, csv]
+ *         default: jsonl
+ *       description: JSON lines with every field, or CSV with one column per top-level scalar field
+ *     DryRun:
+ *       in: query
+ *       name: dryRun
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Check every line and report what would be imported, without writing anything
+ *     BatchSize:
+ *       in: query
+ *       name: batchSize
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 5000
+ *         default: 500
+ *       description: Number of requests inserted at a time
+ *   schemas:
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         total:
+ *           type: integer
+ *           description: Non-blank lines read
+ *         imported:
+ *           type: integer
+ *           description: Requests inserted, or that would be on a dry run
+ *         rejected:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: integer
+ *                 description: Line number in the file, from 1
+ *               errors:
+ *                 type: object
+ *                 description: One message per invalid field, or under "line" when the line itself is unusable
+ *                 additionalProperties:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bulk
+ *   description: Export and import of requests and transactions for migrations and test data (admin only)
+ */
+
+/**
+ * @swagger
+ * /bulk/requests/export:
+ *   get:
+ *     summary: Stream every request matching the filters, oldest first
+ *     tags: [Bulk]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/BookIdFilter'
+ *       - $ref: '#/components/parameters/DeliveryMethodFilter'
+ *       - $ref: '#/components/parameters/RequestStatusFilter'
+ *     responses:
+ *       200:
+ *         description: The requests as a file download
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ */
+
+/**
+ * @swagger
+ * /bulk/transactions/export:
+ *   get:
+ *     summary: Stream every transaction matching the filters, oldest first
+ *     tags: [Bulk]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/BookIdFilter'
+ *       - $ref: '#/components/parameters/DeliveryMethodFilter'
+ *       - $ref: '#/components/parameters/TransactionStatusFilter'
+ *     responses:
+ *       200:
+ *         description: The transactions as a file download
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ */
+
+/**
+ * @swagger
+ * /bulk/requests/import:
+ *   post:
+ *     summary: Import requests from JSON lines
+ *     description: >
+ *       Each line is one request, checked against the Request schema on its own; a line is
+ *       rejected when it is not a JSON object, has invalid fields, or reuses the _id or
+ *       RequestID of another line or of a stored request. Valid lines are inserted in
+ *       batches even when others are rejected. The lines of an export can be imported as is.
+ *     tags: [Bulk]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/BatchSize'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: What was imported and which lines were rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Invalid query parameters, or a body that is not sent as application/x-ndjson
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ */
+
+router.use(authenticateToken);
+
+const EXPORT_QUERY = ['ExportFormat', 'From', 'To', 'BookIdFilter', 'DeliveryMethodFilter'];
+
+// Streams an export as a file download
+const exportAs = (kind) => async (req, res, next) => {
+  try {
+    const format = req.query.format || 'jsonl';
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200)
+      .type(CONTENT_TYPES[format])
+      .attachment(`${kind}-${date}.${format}`);
+    await exportRecords(kind, req.query, format, res);
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get('/requests/export', authorize('data:export'), validate({ query: [...EXPORT_QUERY, 'RequestStatusFilter'] }), exportAs('requests'));
+router.get('/transactions/export', authorize('data:export'), validate({ query: [...EXPORT_QUERY, 'TransactionStatusFilter'] }), exportAs('transactions'));
+
+// Import requests from JSON lines, read as they arrive
+router.post('/requests/import', authorize('data:import'), validate({ query: ['DryRun', 'BatchSize'] }), async (req, res, next) => {
+  try {
+    if (!req.is('application/x-ndjson')) {
+      return next(new HttpError(400, 'Request validation failed', { body: 'must be JSON lines sent as application/x-ndjson' }, 'VALIDATION_ERROR'));
+    }
+
+    const report = await importRequests(readline.createInterface({ input: req, crlfDelay: Infinity }), {
+      dryRun: req.query.dryRun === 'true',
+      batchSize: req.query.batchSize ? Number(req.query.batchSize) : DEFAULT_BATCH_SIZE,
+      actor: req.user.id,
+    });
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../Auth');
+const eventStream = require('../services/eventStream');
+const HttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Real-time updates on the caller's requests and transactions
+ */
+
+/**
+ * @swagger
+ * /events/stream:
+ *   get:
+ *     summary: Stream request and transaction updates as Server-Sent Events
+ *     description: >
+ *       Pushes request.created, request.status_changed, transaction.created and
+ *       transaction.status_changed events for the requests and transactions the caller is part of.
+ *       Each event carries an id; a client that reconnects with the Last-Event-ID header (sent
+ *       automatically by EventSource) or the lastEventId query parameter first receives the
+ *       events it missed in the last 24 hours. Browsers cannot set headers on EventSource, so
+ *       the access token may also be passed as the access_token query parameter.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, when it cannot be sent in the Authorization header
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as the Last-Event-ID header
+ *     responses:
+ *       200:
+ *         description: An open text/event-stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid last event ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+// EventSource cannot send headers, so accept the token from the query string
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Open the caller's event stream
+router.get('/stream', tokenFromQuery, authenticateToken, async (req, res, next) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  if (lastEventId && !mongoose.isValidObjectId(lastEventId)) {
+    return next(new HttpError(400, 'Invalid last event ID', { lastEventId: 'must be the id of a received event' }));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Keep proxies such as nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  try {
+    await eventStream.connect(String(req.user.id), res, lastEventId);
+  } catch (error) {
+    logger.error('Failed to open event stream', { error });
+    res.end();
+  }
+});
+
+module.exports = router;
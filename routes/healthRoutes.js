@@ -0,0 +1,30 @@
+const express = require('express');
+const { registry } = require('../services/metrics');
+const health = require('../services/health');
+
+// Probes and metrics for the orchestrator and Prometheus. They are mounted at
+// the root rather than under /api and need no token.
+const router = express.Router();
+
+// Liveness: the process is up and answering
+router.get('/healthz', (req, res) => {
+  res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: answers 503 while MongoDB is not connected or the server is shutting down
+router.get('/readyz', (req, res) => {
+  const { ready, checks } = health.readiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks });
+});
+
+// Prometheus text format
+router.get('/metrics', async (req, res, next) => {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { router: authRoutes } = require('../Auth');
+const requestRoutes = require('./requestRoutes');
+const transactionRoutes = require('./transactionRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const eventRoutes = require('./eventRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const metricsRoutes = require('./metricsRoutes');
+const auditRoutes = require('./auditRoutes');
+const bulkRoutes = require('./bulkRoutes');
+const analyticsRoutes = require('./analyticsRoutes');
+
+// Every router served under /api, keyed by mount path. The OpenAPI paths are
+// documented relative to /api, and the contract tests check them against this list.
+const ROUTES = {
+  '/auth': authRoutes,
+  '/request': requestRoutes,
+  '/transaction': transactionRoutes,
+  '/notification': notificationRoutes,
+  '/events': eventRoutes,
+  '/webhooks': webhookRoutes,
+  '/metrics': metricsRoutes,
+  '/audit': auditRoutes,
+  '/bulk': bulkRoutes,
+  '/analytics': analyticsRoutes,
+};
+
+const router = express.Router();
+for (const [path, routes] of Object.entries(ROUTES)) {
+  router.use(path, routes);
+}
+
+module.exports = {
+  ROUTES,
+  router,
+};
@@ -0,0 +1,49 @@
+const express = require('express');
+const rateLimit = require('../services/rateLimit');
+const { authenticateToken } = require('../Auth');
+const { authorize } = require('../middleware/authorize');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Metrics
+ *   description: Service metrics (admin only)
+ */
+
+/**
+ * @swagger
+ * /metrics/rate-limits:
+ *   get:
+ *     summary: Allowed and throttled calls per limiter since startup
+ *     description: >
+ *       Limiters are auth (sign-in routes, per IP), request-create (new requests, per user),
+ *       pending-per-borrower and pending-per-book (caps on open requests).
+ *     tags: [Metrics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counters by limiter name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   allowed:
+ *                     type: integer
+ *                   throttled:
+ *                     type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ */
+router.get('/rate-limits', authenticateToken, authorize('metrics:read'), (req, res) => {
+  res.status(200).json(rateLimit.metrics());
+});
+
+module.exports = router;
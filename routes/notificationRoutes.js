@@ -0,0 +1,221 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../Auth');
+const validate = require('../middleware/validate');
+const { paginate } = require('../utils/pagination');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     UnreadFilter:
+ *       in: query
+ *       name: unread
+ *       schema:
+ *         type: boolean
+ *       description: Only unread notifications
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         UserID:
+ *           type: string
+ *           description: ID of the user the notification is for
+ *         Message:
+ *           type: string
+ *         Type:
+ *           type: string
+ *           enum: [Exchange Request, Exchange Status Update, Transaction Update, Due Date Reminder]
+ *         RequestID:
+ *           type: string
+ *         TransactionID:
+ *           type: string
+ *         Timestamp:
+ *           type: string
+ *           format: date-time
+ *         IsRead:
+ *           type: boolean
+ *         ReadAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notifications of the signed-in user
+ */
+
+/**
+ * @swagger
+ * /notification:
+ *   get:
+ *     summary: Get the notifications of the signed-in user, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Count'
+ *       - $ref: '#/components/parameters/UnreadFilter'
+ *     responses:
+ *       200:
+ *         description: A page of notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 hasMore:
+ *                   type: boolean
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /notification/unread-count:
+ *   get:
+ *     summary: Count the unread notifications of the signed-in user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of unread notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /notification/read-all:
+ *   put:
+ *     summary: Mark every notification of the signed-in user as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updated:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /notification/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Notification not found
+ */
+
+// Get the caller's notifications
+router.get('/', authenticateToken, validate({ query: ['Limit', 'Cursor', 'Order', 'Count', 'UnreadFilter'] }), async (req, res, next) => {
+  try {
+    const filter = { UserID: req.user.id };
+    if (req.query.unread === 'true') filter.IsRead = false;
+
+    const page = await paginate(Notification, filter, req.query, { sortFields: ['Timestamp'] });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Count the caller's unread notifications
+router.get('/unread-count', authenticateToken, async (req, res, next) => {
+  try {
+    const count = await Notification.countDocuments({ UserID: req.user.id, IsRead: false });
+    res.status(200).json({ count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark all of the caller's notifications as read
+router.put('/read-all', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { UserID: req.user.id, IsRead: false },
+      { IsRead: true, ReadAt: new Date() }
+    );
+    res.status(200).json({ updated: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark one notification as read
+router.put('/:id/read', authenticateToken, validate({ params: { id: 'ObjectId' } }), async (req, res, next) => {
+  try {
+    // Other users' notifications are reported as missing
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, UserID: req.user.id },
+      { IsRead: true, ReadAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return next(new HttpError(404, 'Notification not found'));
+    }
+    res.status(200).json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
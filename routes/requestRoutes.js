@@ -1,49 +1,324 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const Request = require('../models/Request'); // Adjust the path based on your directory structure
 const Transaction = require('../models/Transaction'); // Adjust path based on your directory structure
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
+const CounterOffer = require('../models/CounterOffer');
+const idempotency = require('../middleware/idempotency');
+const { requestCreationRateLimit } = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const HttpError = require('../utils/httpError');
+const { acceptRequest, checkPendingCaps, deleteRequest, restoreRequest, supersedeOpenOffers } = require('../services/exchangeService');
+const events = require('../services/events');
+const { authenticateToken } = require('../Auth');
+const { authorize, can, forbid } = require('../middleware/authorize');
+const { buildFilter, paginate } = require('../utils/pagination');
+const { REQUEST_SUMMARIES, resolveBookForRequest, withSummaries } = require('../services/catalog');
+const { checkReason } = require('../services/reasonCodes');
+const { defaultDeadline } = require('../services/requestExpiry');
+const config = require('../config');
 const router = express.Router();
 
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     Limit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *       description: Maximum number of items in the page
+ *     Cursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: nextCursor of the previous page
+ *     Order:
+ *       in: query
+ *       name: order
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: desc
+ *     Cascade:
+ *       in: query
+ *       name: cascade
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Cancel the request's unfinished transaction and release the book instead of refusing the deletion
+ *     Count:
+ *       in: query
+ *       name: count
+ *       schema:
+ *         type: boolean
+ *       description: Include the total number of matching items
+ *     From:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         anyOf:
+ *           - format: date
+ *           - format: date-time
+ *       description: Only items dated on or after this date (RequestDate, TransactionDate or the audit Timestamp)
+ *     To:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         anyOf:
+ *           - format: date
+ *           - format: date-time
+ *       description: Only items dated on or before this date (RequestDate, TransactionDate or the audit Timestamp)
+ *     BookIdFilter:
+ *       in: query
+ *       name: bookId
+ *       schema:
+ *         type: string
+ *       description: Comma-separated book IDs to include
+ *     DeliveryMethodFilter:
+ *       in: query
+ *       name: deliveryMethod
+ *       schema:
+ *         type: string
+ *         pattern: '^(In-person|Shipping)(,(In-person|Shipping))*$'
+ *       description: Comma-separated delivery methods to include (In-person, Shipping)
+ *     RequestStatusFilter:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *         pattern: '^(Pending|Modified|Accepted|Rejected|Cancelled|Expired)(,(Pending|Modified|Accepted|Rejected|Cancelled|Expired))*$'
+ *       description: Comma-separated request statuses to include
+ *     RequestSortBy:
+ *       in: query
+ *       name: sortBy
+ *       schema:
+ *         type: string
+ *         enum: [RequestDate, updatedAt, Duration, Status]
+ *         default: RequestDate
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Client-generated key that makes the call safe to retry. A repeated call with the
+ *         same key replays the stored response (marked with an Idempotent-Replayed header)
+ *         instead of running again; reusing a key for a different call returns 422. Server
+ *         errors, 429s and 409s for a concurrent modification are not stored, so a retry
+ *         with the same key runs again.
  *   schemas:
+ *     ObjectId:
+ *       type: string
+ *       pattern: '^[0-9a-fA-F]{24}$'
+ *       description: A 24 character hexadecimal record ID
+ *     BookId:
+ *       type: string
+ *       minLength: 1
+ *       maxLength: 128
+ *       description: ID of a book in the catalog service
+ *     Error:
+ *       type: object
+ *       description: Body of every error response
+ *       properties:
+ *         error:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *               description: Machine-readable code, e.g. VALIDATION_ERROR, NOT_FOUND or CONFLICT
+ *             message:
+ *               type: string
+ *             details:
+ *               type: object
+ *               description: >
+ *                 Per-field messages keyed by location and field (e.g. body.Duration), or
+ *                 extra facts about the error such as BlockingTransactionID
+ *               additionalProperties: true
+ *     RequestInput:
+ *       type: object
+ *       required:
+ *         - BookID
+ *         - DeliveryMethod
+ *         - Duration
+ *       properties:
+ *         BookID:
+ *           type: string
+ *           minLength: 1
+ *           description: ID of the requested book in the catalog service
+ *         RequestedTo:
+ *           type: string
+ *           description: Optional; when given it must be the book's owner
+ *         DeliveryMethod:
+ *           type: string
+ *           enum: [In-person, Shipping]
+ *         Duration:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           description: Loan period in days
+ *         NegotiatedTerms:
+ *           type: string
+ *     RequestStatusInput:
+ *       type: object
+ *       required:
+ *         - status
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [Accepted]
+ *           description: >
+ *             New status for the request. Declining and withdrawing take a reason code, so
+ *             they go through /request/{id}/decline and /request/{id}/withdraw instead
+ *         reason:
+ *           type: string
+ *           description: Optional reason recorded in the status history
+ *     ResponseDeadlineInput:
+ *       type: object
+ *       required:
+ *         - ResponseDeadline
+ *       properties:
+ *         ResponseDeadline:
+ *           type: string
+ *           format: date-time
+ *           description: When the request expires if still unanswered; must be in the future
+ *     WithdrawInput:
+ *       type: object
+ *       required:
+ *         - reasonCode
+ *       properties:
+ *         reasonCode:
+ *           type: string
+ *           enum: [no-longer-needed, found-elsewhere, terms-changed, other]
+ *         reason:
+ *           type: string
+ *           description: Free-text reason, required when reasonCode is other
+ *     DeclineInput:
+ *       type: object
+ *       required:
+ *         - reasonCode
+ *       properties:
+ *         reasonCode:
+ *           type: string
+ *           enum: [not-available, already-promised, terms-unacceptable, other]
+ *         reason:
+ *           type: string
+ *           description: Free-text reason, required when reasonCode is other
+ *     CounterOfferInput:
+ *       type: object
+ *       description: At least one of Duration, DeliveryMethod or Message
+ *       properties:
+ *         Duration:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           description: Proposed duration in days
+ *         DeliveryMethod:
+ *           type: string
+ *           enum: [In-person, Shipping]
+ *         Message:
+ *           type: string
+ *           description: Proposed terms or a message to the other party
+ *     BookSummary:
+ *       type: object
+ *       nullable: true
+ *       description: Cached copy of the book from the catalog service; null when it cannot be found
+ *       properties:
+ *         _id:
+ *           type: string
+ *         Title:
+ *           type: string
+ *         Author:
+ *           type: string
+ *     UserSummary:
+ *       type: object
+ *       nullable: true
+ *       description: Cached copy of the user from the user profile service; null when it cannot be found
+ *       properties:
+ *         _id:
+ *           type: string
+ *         Name:
+ *           type: string
  *     Request:
  *       type: object
  *       required:
- *         - RequestedBy
  *         - BookID
  *         - DeliveryMethod
  *         - Duration
  *       properties:
+ *         _id:
+ *           type: string
+ *         RequestID:
+ *           type: string
  *         RequestedBy:
  *           type: string
- *           description: ID of the user making the request
+ *           readOnly: true
+ *           description: ID of the user making the request (always the signed-in user)
  *         RequestedTo:
  *           type: string
- *           description: ID of the user receiving the request
+ *           description: ID of the book owner, taken from the catalog; optional on creation, and must match the owner when given
  *         BookID:
  *           type: string
- *           description: ID of the requested book
+ *           description: ID of the requested book in the catalog service
  *         RequestDate:
  *           type: string
  *           format: date-time
  *           description: The date the request was made
  *         Status:
  *           type: string
- *           enum: [Pending, Accepted, Rejected]
+ *           enum: [Pending, Accepted, Rejected, Modified, Cancelled, Expired]
  *           description: The status of the request
  *         DeliveryMethod:
  *           type: string
+ *           enum: [In-person, Shipping]
  *           description: The method of book delivery
  *         Duration:
- *           type: string
- *           description: Duration of the book exchange
+ *           type: integer
+ *           description: Loan period in days
  *         NegotiatedTerms:
  *           type: string
  *           description: Negotiated terms for the book exchange
+ *         ResponseDeadline:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: >
+ *             When the request expires if the owner has not accepted or declined it by then. Set to
+ *             PENDING_REQUEST_TTL_DAYS after creation; the owner can move it.
+ *         StatusHistory:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StatusChange'
+ *         Book:
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/BookSummary'
+ *         Requester:
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/UserSummary'
+ *         Owner:
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/UserSummary'
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: When an admin deleted the request; deleted requests are hidden until restored
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: ID of the admin who deleted the request
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -52,6 +327,83 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           description: The timestamp when the request was last updated
+ *     RequestPage:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Request'
+ *         hasMore:
+ *           type: boolean
+ *           description: Whether another page follows
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to get the next page
+ *         total:
+ *           type: integer
+ *           description: Number of matching requests, only with count=true
+ *     CounterOffer:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         RequestID:
+ *           type: string
+ *           description: ID of the negotiated request
+ *         ProposedBy:
+ *           type: string
+ *           description: ID of the party who made the offer
+ *         Duration:
+ *           type: number
+ *           description: Proposed duration in days
+ *         DeliveryMethod:
+ *           type: string
+ *           enum: [In-person, Shipping]
+ *         Message:
+ *           type: string
+ *           description: Proposed terms or a message to the other party
+ *         Status:
+ *           type: string
+ *           enum: [Pending, Accepted, Rejected, Superseded]
+ *         RespondedBy:
+ *           type: string
+ *         RespondedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     StatusChange:
+ *       type: object
+ *       properties:
+ *         From:
+ *           type: string
+ *           nullable: true
+ *           description: Previous status (null for the initial status)
+ *         To:
+ *           type: string
+ *           description: New status
+ *         Actor:
+ *           type: string
+ *           description: ID of the caller who made the change
+ *         ReasonCode:
+ *           type: string
+ *           nullable: true
+ *           description: >
+ *             Reason code of a withdrawal, decline or cancellation, e.g. no-longer-needed, or
+ *             request-deleted when an admin deleted the request
+ *         Reason:
+ *           type: string
+ *           description: Optional reason given for the change
+ *         Timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: When the change happened
  */
 
 /**
@@ -63,150 +415,509 @@ const router = express.Router();
 
 /**
  * @swagger
- * /requests/auth:
+ * /request:
  *   post:
- *     summary: Authenticate and generate a token
+ *     summary: Create a new book exchange request
+ *     description: The book must exist in the catalog and belong to someone else; the request goes to its owner.
  *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               clientId:
- *                 type: string
- *                 description: Client ID for authentication
+ *             $ref: '#/components/schemas/RequestInput'
+ *     responses:
+ *       201:
+ *         description: Request created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 Request:
+ *                   $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Missing or invalid fields, unknown book, or the caller's own book
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         description: >
+ *           Too many requests created recently, or too many open requests for the caller or
+ *           the book. The Retry-After header (also in details.retryAfter) gives the seconds to
+ *           wait; for open requests, until the first of them expires
+ *       502:
+ *         description: The catalog service could not be reached
+ */
+
+/**
+ * @swagger
+ * /request:
+ *   get:
+ *     summary: Get all requests
+ *     description: Admins get every request; other users get the requests they made or received.
+ *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Count'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/BookIdFilter'
+ *       - $ref: '#/components/parameters/DeliveryMethodFilter'
+ *       - $ref: '#/components/parameters/RequestStatusFilter'
+ *       - $ref: '#/components/parameters/RequestSortBy'
+ *     responses:
+ *       200:
+ *         description: A page of requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestPage'
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /request/user/{userId}:
+ *   get:
+ *     summary: Get requests related to a user
+ *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: User ID
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Count'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/BookIdFilter'
+ *       - $ref: '#/components/parameters/DeliveryMethodFilter'
+ *       - $ref: '#/components/parameters/RequestStatusFilter'
+ *       - $ref: '#/components/parameters/RequestSortBy'
+ *     responses:
+ *       200:
+ *         description: A page of requests related to the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestPage'
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: userId is not the signed-in user and the caller is not a moderator or admin
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /request/{id}:
+ *   get:
+ *     summary: Get a specific request by ID
+ *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Request ID
+ *     responses:
+ *       200:
+ *         description: Request details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the requester, the book owner, a moderator or an admin
+ *       404:
+ *         description: Request not found
+ */
+
+/**
+ * @swagger
+ * /request/{id}/history:
+ *   get:
+ *     summary: Get the status history of a request
+ *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Request ID
+ *     responses:
+ *       200:
+ *         description: Current status and every status change, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 Status:
+ *                   type: string
+ *                 StatusHistory:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StatusChange'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the requester, the book owner, a moderator or an admin
+ *       404:
+ *         description: Request not found
+ */
+
+/**
+ * @swagger
+ * /request/{id}/offers:
+ *   get:
+ *     summary: Get the counter-offer thread of a request
+ *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Request ID
+ *     responses:
+ *       200:
+ *         description: All counter-offers on the request, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CounterOffer'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the requester, the book owner, a moderator or an admin
+ *       404:
+ *         description: Request not found
+ */
+
+/**
+ * @swagger
+ * /request/{id}/offers:
+ *   post:
+ *     summary: Propose a counter-offer on a request
+ *     description: Moves a Pending request to Modified. Any offer still awaiting an answer is superseded.
+ *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CounterOfferInput'
+ *     responses:
+ *       201:
+ *         description: Counter-offer created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 Offer:
+ *                   $ref: '#/components/schemas/CounterOffer'
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not a party to the request
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: The request can no longer be negotiated
+ */
+
+/**
+ * @swagger
+ * /request/{id}/offers/{offerId}/accept:
+ *   post:
+ *     summary: Accept a counter-offer
+ *     description: Applies the offered terms to the request and returns it from Modified to Pending.
+ *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Request ID
+ *       - in: path
+ *         name: offerId
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Counter-offer ID
  *     responses:
  *       200:
- *         description: Token generated successfully
+ *         description: Counter-offer answered
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 token:
- *                   type: string
+ *                 Offer:
+ *                   $ref: '#/components/schemas/CounterOffer'
+ *                 Request:
+ *                   $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Malformed ID
  *       401:
- *         description: Invalid credentials
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the other party
+ *       404:
+ *         description: Counter-offer not found
+ *       409:
+ *         description: The counter-offer was already answered or superseded
  */
 
 /**
  * @swagger
- * /requests:
+ * /request/{id}/offers/{offerId}/reject:
  *   post:
- *     summary: Create a new book exchange request
+ *     summary: Reject a counter-offer
+ *     description: Keeps the current terms and returns the request from Modified to Pending.
  *     tags: [Requests]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Request'
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Request ID
+ *       - in: path
+ *         name: offerId
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Counter-offer ID
  *     responses:
- *       201:
- *         description: Request created successfully
+ *       200:
+ *         description: Counter-offer answered
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
- *                   type: string
+ *                 Offer:
+ *                   $ref: '#/components/schemas/CounterOffer'
  *                 Request:
  *                   $ref: '#/components/schemas/Request'
  *       400:
- *         description: Missing or invalid fields
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the other party
+ *       404:
+ *         description: Counter-offer not found
+ *       409:
+ *         description: The counter-offer was already answered or superseded
  */
 
 /**
  * @swagger
- * /requests:
- *   get:
- *     summary: Get all requests
+ * /request/{id}/deadline:
+ *   put:
+ *     summary: Set the response deadline of a request
+ *     description: >
+ *       Book owner only, while the request is Pending or Modified. The request expires if it is
+ *       still unanswered when the deadline passes.
  *     tags: [Requests]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResponseDeadlineInput'
  *     responses:
  *       200:
- *         description: List of all requests
+ *         description: The updated request
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Request'
+ *               $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Malformed ID, or a deadline that is not in the future
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the book owner
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: The request is no longer open
  */
 
 /**
  * @swagger
- * /requests/user/{userId}:
- *   get:
- *     summary: Get requests related to a user
+ * /request/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw a request
+ *     description: Requester only, while the owner has not accepted or declined it (Pending or Modified).
  *     tags: [Requests]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
- *         name: userId
+ *         name: id
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         required: true
- *         description: User ID
+ *         description: Request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WithdrawInput'
  *     responses:
  *       200:
- *         description: List of requests related to the user
+ *         description: The updated request
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Request'
- *       500:
- *         description: Server error
+ *               $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Malformed ID, unknown reason code, or reasonCode other without a reason
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the requester
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: The request is no longer open
  */
 
 /**
  * @swagger
- * /requests/{id}:
- *   get:
- *     summary: Get a specific request by ID
+ * /request/{id}/decline:
+ *   post:
+ *     summary: Decline a request, giving a reason
+ *     description: Book owner only, while the request is Pending or Modified.
  *     tags: [Requests]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         required: true
  *         description: Request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeclineInput'
  *     responses:
  *       200:
- *         description: Request details
+ *         description: The updated request
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Malformed ID, unknown reason code, or reasonCode other without a reason
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the book owner
  *       404:
  *         description: Request not found
+ *       409:
+ *         description: The request is no longer open
  */
 
 /**
  * @swagger
- * /requests/{id}:
+ * /request/{id}:
  *   put:
- *     summary: Update a request
+ *     summary: Accept a request
  *     tags: [Requests]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         required: true
  *         description: Request ID
  *     requestBody:
@@ -214,12 +925,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [Pending, Accepted, Rejected]
- *                 description: New status for the request
+ *             $ref: '#/components/schemas/RequestStatusInput'
  *     responses:
  *       200:
  *         description: Request updated successfully
@@ -227,23 +933,38 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the book owner can accept
  *       404:
  *         description: Request not found
+ *       409:
+ *         description: >
+ *           The request can no longer be accepted, or the book is already lent under another
+ *           transaction (named in details.BlockingTransactionID)
  */
 
 /**
  * @swagger
- * /requests/{id}:
+ * /request/{id}:
  *   delete:
- *     summary: Delete a request
+ *     summary: Delete a request (admin only)
+ *     description: >
+ *       Soft-deletes the request and its transaction: they are hidden from every listing and
+ *       lookup until restored, and the retention job archives them later.
  *     tags: [Requests]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/Cascade'
  *       - in: path
  *         name: id
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         required: true
  *         description: Request ID
  *     responses:
@@ -256,195 +977,460 @@ const router = express.Router();
  *               properties:
  *                 message:
  *                   type: string
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
  *       404:
  *         description: Request not found
+ *       409:
+ *         description: >
+ *           The request has an unfinished transaction (named in details.BlockingTransactionID) and
+ *           cascade is not set, or the book is already delivered and has to be returned first
  */
 
+/**
+ * @swagger
+ * /request/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted request and the transaction deleted with it (admin only)
+ *     tags: [Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Request ID
+ *     responses:
+ *       200:
+ *         description: The restored request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: The request is not deleted
+ */
 
 
-const authenticateToken = (req, res, next) => {
-  const jwtSecret = process.env.JWT_SECRET;
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) return res.status(401).json({ message: 'No token provided' });
 
-  jwt.verify(token, jwtSecret, (err, user) => {
-      if (err) return res.status(403).json({ message: 'Invalid token' });
-      req.user = user; // Attach the user data to the request object
-      next();
-  });
+// Filters and sort fields accepted by the request listings
+const REQUEST_LIST = {
+  filters: { status: 'Status', bookId: 'BookID', deliveryMethod: 'DeliveryMethod' },
+  dateField: 'RequestDate',
+  sortFields: ['RequestDate', 'updatedAt', 'Duration', 'Status'],
 };
+const REQUEST_LIST_QUERY = [
+  'Limit', 'Cursor', 'Order', 'Count', 'From', 'To', 'BookIdFilter', 'DeliveryMethodFilter', 'RequestStatusFilter', 'RequestSortBy',
+];
 
-
-
-router.post('/auth', async (req, res) => {    
-  const jwtSecret = process.env.JWT_SECRET;
-  const jwtClientId = process.env.JWT_CLIENTID;
-  const { clientId } = req.body;
-
-  if (clientId!=jwtClientId) {
-      return res.status(401).send('Invalid credentials');
-  }
-  //const user1 = await User.findById(decoded.id).select('-password'); 
-  const token = jwt.sign({ id: clientId}, jwtSecret, { expiresIn: '1h' });
-  
-  res.json({ token});
-});
-
+const ID_PARAMS = { id: 'ObjectId' };
 
 // Create a new request
-router.post('/',authenticateToken, async (req, res) => {
+router.post('/',authenticateToken, requestCreationRateLimit, validate({ body: 'RequestInput' }), idempotency, async (req, res, next) => {
   try {
-    const { RequestedBy, BookID, DeliveryMethod, Duration, NegotiatedTerms,RequestedTo } = req.body;
-
+    const { BookID, DeliveryMethod, Duration, NegotiatedTerms,RequestedTo } = req.body;
+    const RequestedBy = req.user.id; // Requests are always made by the signed-in user
 
-     // Ensure all required fields are provided
-     if (!RequestedBy || !BookID || !DeliveryMethod || !Duration) {
-      return res.status(400).json({ error: 'All required fields must be provided' });
+    // The request always goes to the book's owner, as recorded by the catalog
+    const book = await resolveBookForRequest(BookID, RequestedBy);
+    if (RequestedTo && String(RequestedTo) !== book.OwnerID) {
+      return next(new HttpError(400, `RequestedTo must be the owner of book ${BookID}`));
     }
+    await checkPendingCaps(RequestedBy, BookID);
 
+    const requestDate = new Date();
     const newRequest = new Request({
       RequestedBy,
-      RequestedTo,
+      RequestedTo: book.OwnerID,
       BookID,
-      RequestDate: new Date(),
+      RequestDate: requestDate,
+      ResponseDeadline: defaultDeadline(requestDate, config.requestExpiry),
       Status: 'Pending', // Initial status
       DeliveryMethod,
       Duration,
       NegotiatedTerms,
     });
+    newRequest.$locals.actor = req.user.id; // Recorded as the actor of the initial status
 
 
 
-    const savedRequest = await newRequest.save();//.populate('BookID', 'OwnerID email');
-    //const bookDetail = await Book.findById(BookID);
+    const savedRequest = await newRequest.save();
+
     // Notify the book owner and the requester
-    /*
-    const notifications = [
-      {
-        UserID: RequestedBy,
-        Message: `You have successfully requested to borrow Book ID ${BookID}.`,
-        Type: 'Exchange Status Update',
-        Timestamp: new Date(),
-        IsRead: false,
-      },
-      {
-        UserID: bookDetail.OwnerID, // Assuming the book model has an owner field
-        Message: `User ID ${RequestedBy} has requested to borrow your book.`,
-        Type: 'Exchange Status Update',
-        Timestamp: new Date(),
-        IsRead: false,
-      },
-    ];
+    events.emit(events.REQUEST_CREATED, { request: savedRequest, actor: req.user.id });
 
-    await Notification.insertMany(notifications);
-    */
+    const [created] = await withSummaries([savedRequest], REQUEST_SUMMARIES);
     res.status(201).json({
       message: 'Exchange request created successfully.',
-      Request: savedRequest,
+      Request: created,
     });
 
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    next(error);
   }
 });
 
-// Get all requests
-router.get('/',authenticateToken, async (req, res) => {
+// Get all requests; users other than admins only get the requests they are part of
+router.get('/',authenticateToken, validate({ query: REQUEST_LIST_QUERY }), async (req, res, next) => {
   try {
-    const requests = await Request.find();
-    res.status(200).json(requests);
+    const filter = buildFilter(req.query, REQUEST_LIST);
+    if (!can(req.user, 'requests:list')) {
+      filter.$or = [{ RequestedBy: req.user.id }, { RequestedTo: req.user.id }];
+    }
+
+    const page = await paginate(Request, filter, req.query, REQUEST_LIST);
+    page.data = await withSummaries(page.data, REQUEST_SUMMARIES);
+    res.status(200).json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 
 // Fetch requests related to the user
-router.get('/user/:userId',authenticateToken, async (req, res) => {
+router.get('/user/:userId',authenticateToken, validate({ params: { userId: 'ObjectId' }, query: REQUEST_LIST_QUERY }), async (req, res, next) => {
   try {
     const userId = req.params.userId;
 
+    if (userId !== req.user.id && !can(req.user, 'requests:read')) {
+      return forbid(req, res, 'You can only list your own requests');
+    }
+
     // Find requests where the user is either the requester or the book owner
-    const requests = await Request.find({
-      $or: [
-        { RequestedBy: userId },
-        { RequestedTo: userId }
-      ]
-    });
+    const filter = buildFilter(req.query, REQUEST_LIST);
+    filter.$or = [
+      { RequestedBy: userId },
+      { RequestedTo: userId }
+    ];
 
-    res.status(200).json(requests);
+    const page = await paginate(Request, filter, req.query, REQUEST_LIST);
+    page.data = await withSummaries(page.data, REQUEST_SUMMARIES);
+    res.status(200).json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get a specific request by ID
-router.get('/:id',authenticateToken, async (req, res) => {
+router.get('/:id',authenticateToken, validate({ params: ID_PARAMS }), async (req, res, next) => {
   try {
     const request = await Request.findById(req.params.id);
 
     if (!request) {
-      return res.status(404).json({ error: 'Request not found' });
+      return next(new HttpError(404, 'Request not found'));
     }
-    res.status(200).json(request);
+    if (!request.isParticipant(req.user.id) && !can(req.user, 'requests:read')) {
+      return forbid(req, res, 'Only the requester or the book owner can view this request');
+    }
+
+    const [withBook] = await withSummaries([request], REQUEST_SUMMARIES);
+    res.status(200).json(withBook);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Update a request
-router.put('/:id',authenticateToken, async (req, res) => {
+// Get the status history of a request
+router.get('/:id/history',authenticateToken, validate({ params: ID_PARAMS }), async (req, res, next) => {
   try {
-    const requestId = req.params.id;
-    const { status } = req.body;
+    const request = await Request.findById(req.params.id).select('Status StatusHistory RequestedBy RequestedTo');
+
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
+    }
+    if (!request.isParticipant(req.user.id) && !can(req.user, 'requests:read')) {
+      return forbid(req, res, 'Only the requester or the book owner can view this request');
+    }
+    res.status(200).json({ Status: request.Status, StatusHistory: request.StatusHistory });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the counter-offer thread of a request
+router.get('/:id/offers',authenticateToken, validate({ params: ID_PARAMS }), async (req, res, next) => {
+  try {
+    const request = await Request.findById(req.params.id).select('RequestedBy RequestedTo');
+
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
+    }
+    if (!request.isParticipant(req.user.id) && !can(req.user, 'requests:read')) {
+      return forbid(req, res, 'Only the requester or the book owner can view this request');
+    }
+
+    const offers = await CounterOffer.find({ RequestID: request._id }).sort({ createdAt: 1 });
+    res.status(200).json(offers);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Propose a counter-offer on a request
+router.post('/:id/offers',authenticateToken, validate({ params: ID_PARAMS, body: 'CounterOfferInput' }), idempotency, async (req, res, next) => {
+  try {
+    const { Duration, DeliveryMethod, Message } = req.body;
+    const ProposedBy = req.user.id;
+
+    if (Duration === undefined && !DeliveryMethod && !Message) {
+      return next(new HttpError(400, 'At least one of Duration, DeliveryMethod or Message must be provided'));
+    }
+
+    const request = await Request.findById(req.params.id);
 
-    if (!['Pending', 'Accepted', 'Rejected'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
+    }
+
+    if (!request.isParticipant(ProposedBy)) {
+      return forbid(req, res, 'Only the requester or the book owner can negotiate this request');
+    }
+
+    if (!['Pending', 'Modified'].includes(request.Status)) {
+      return next(new HttpError(409, `Cannot negotiate a request that is ${request.Status}`));
+    }
+
+    const offer = new CounterOffer({
+      RequestID: request._id,
+      ProposedBy,
+      Duration,
+      DeliveryMethod,
+      Message,
+    });
+    await offer.validate();
+
+    // An open offer marks the request as under negotiation
+    if (request.Status === 'Pending') {
+      request.transitionTo('Modified', { actor: req.user.id, reason: 'Counter-offer proposed' });
+      await request.save();
     }
 
-    const updatedRequest = await Request.findByIdAndUpdate(
-      requestId,
-      { Status: status },
-      { new: true }
+    // A new proposal replaces any offer still awaiting an answer
+    await CounterOffer.updateMany(
+      { RequestID: request._id, Status: 'Pending' },
+      { Status: 'Superseded' }
     );
+    const savedOffer = await offer.save();
+
+    res.status(201).json({
+      message: 'Counter-offer created successfully.',
+      Offer: savedOffer,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept or reject a pending counter-offer
+const respondToOffer = (accept) => async (req, res, next) => {
+  try {
+    const RespondedBy = req.user.id;
+
+    const request = await Request.findById(req.params.id);
+    const offer = request && await CounterOffer.findOne({ _id: req.params.offerId, RequestID: request._id });
+
+    if (!offer) {
+      return next(new HttpError(404, 'Counter-offer not found'));
+    }
+
+    // Only the other party can answer an offer
+    if (RespondedBy === offer.ProposedBy || !request.isParticipant(RespondedBy)) {
+      return forbid(req, res, 'Only the other party can respond to this counter-offer');
+    }
+
+    if (offer.Status !== 'Pending' || request.Status !== 'Modified') {
+      return next(new HttpError(409, `Counter-offer is ${offer.Status} and can no longer be answered`));
+    }
+
+    if (accept) {
+      if (offer.Duration !== undefined) request.Duration = offer.Duration;
+      if (offer.DeliveryMethod) request.DeliveryMethod = offer.DeliveryMethod;
+      if (offer.Message) request.NegotiatedTerms = offer.Message;
+    }
+
+    // Back to Pending so the owner can accept or reject the (updated) request
+    request.transitionTo('Pending', {
+      actor: req.user.id,
+      reason: accept ? 'Counter-offer accepted' : 'Counter-offer rejected',
+    });
+    const updatedRequest = await request.save();
+
+    offer.Status = accept ? 'Accepted' : 'Rejected';
+    offer.RespondedBy = RespondedBy;
+    offer.RespondedAt = new Date();
+    const updatedOffer = await offer.save();
 
-    if (!updatedRequest) {
-      return res.status(404).json({ error: 'Request not found' });
+    res.status(200).json({ Offer: updatedOffer, Request: updatedRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const OFFER_PARAMS = { id: 'ObjectId', offerId: 'ObjectId' };
+router.post('/:id/offers/:offerId/accept',authenticateToken, validate({ params: OFFER_PARAMS }), idempotency, respondToOffer(true));
+router.post('/:id/offers/:offerId/reject',authenticateToken, validate({ params: OFFER_PARAMS }), idempotency, respondToOffer(false));
+
+// Set how long an open request may wait for the owner's answer
+router.put('/:id/deadline',authenticateToken, validate({ params: ID_PARAMS, body: 'ResponseDeadlineInput' }), idempotency, async (req, res, next) => {
+  try {
+    const deadline = new Date(req.body.ResponseDeadline);
+    if (deadline <= new Date()) {
+      return next(new HttpError(400, 'Request validation failed', { 'body.ResponseDeadline': 'must be in the future' }, 'VALIDATION_ERROR'));
+    }
+
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
+    }
+
+    if (request.RequestedTo !== req.user.id) {
+      return forbid(req, res, 'Only the book owner can set the response deadline');
+    }
+
+    if (!request.isOpen()) {
+      return next(new HttpError(409, `Cannot set the response deadline of a request that is ${request.Status}`));
+    }
+
+    request.ResponseDeadline = deadline;
+    const updatedRequest = await request.save();
+
+    res.status(200).json(updatedRequest);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Ways out of a request still awaiting an answer: the status each one moves to,
+// who may take it and the body with its reason codes
+const CLOSING_ACTIONS = {
+  withdraw: {
+    to: 'Cancelled',
+    party: 'RequestedBy',
+    partyName: 'requester',
+    body: 'WithdrawInput',
+  },
+  decline: {
+    to: 'Rejected',
+    party: 'RequestedTo',
+    partyName: 'book owner',
+    body: 'DeclineInput',
+  },
+};
+
+const closeRequest = (name) => async (req, res, next) => {
+  const action = CLOSING_ACTIONS[name];
+
+  try {
+    const { reasonCode, reason } = req.body;
+    checkReason(req.body);
+
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
+    }
+
+    if (request[action.party] !== req.user.id) {
+      return forbid(req, res, `Only the ${action.partyName} can ${name} this request`);
     }
-   
-    // If the status is 'Accepted', create a transaction
-    if (status === 'Accepted') {
-      const transaction = new Transaction({
-        RequestID: requestId,
-        OwnerID:updatedRequest.RequestedTo,
-        BooKID:updatedRequest.BookID,
-        Status: 'Pending',
-        TransactionDate: new Date(), // Current date
-      });
-
-      await transaction.save();
+
+    if (!request.isOpen()) {
+      return next(new HttpError(409, `Cannot ${name} a request that is ${request.Status}`));
     }
-   
+
+    request.transitionTo(action.to, { actor: req.user.id, reasonCode, reason });
+    const updatedRequest = await request.save();
+    await supersedeOpenOffers(updatedRequest);
 
     res.status(200).json(updatedRequest);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+};
+
+for (const name of Object.keys(CLOSING_ACTIONS)) {
+  router.post(`/:id/${name}`, authenticateToken, validate({ params: ID_PARAMS, body: CLOSING_ACTIONS[name].body }), idempotency, closeRequest(name));
+}
+
+// Accept a request. Rejecting and cancelling take a reason code, so they go
+// through the decline and withdraw actions below.
+router.put('/:id',authenticateToken, validate({ params: ID_PARAMS, body: 'RequestStatusInput' }), idempotency, async (req, res, next) => {
+  try {
+    const requestId = req.params.id;
+    const { status, reason } = req.body;
+
+    const request = await Request.findById(requestId);
+
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
+    }
+
+    // Only the book owner accepts
+    if (request.RequestedTo !== req.user.id) {
+      return forbid(req, res, `Only the book owner can set the status to ${status}`);
+    }
+
+    // Only moves allowed by the request lifecycle are accepted
+    if (!request.canTransitionTo(status)) {
+      return next(new HttpError(409, `Cannot change status from ${request.Status} to ${status}`));
+    }
+
+    // Acceptance also creates the transaction and locks the book, all or nothing.
+    // Other open requests for the same book are rejected.
+    const { request: acceptedRequest } = await acceptRequest(request, { actor: req.user.id, reason });
+    res.status(200).json(acceptedRequest);
+  } catch (error) {
+    next(error);
   }
 });
 
-// Delete a request
-router.delete('/:id',authenticateToken, async (req, res) => {
+// Delete a request, along with its transaction
+router.delete('/:id',authenticateToken, authorize('requests:delete'), validate({ params: ID_PARAMS, query: ['Cascade'] }), idempotency, async (req, res, next) => {
   try {
-    const deletedRequest = await Request.findByIdAndDelete(req.params.id);
+    const request = await Request.findById(req.params.id);
 
-    if (!deletedRequest) {
-      return res.status(404).json({ error: 'Request not found' });
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
     }
+
+    await deleteRequest(request, { actor: req.user.id, cascade: req.query.cascade === 'true' });
     res.status(200).json({ message: 'Request deleted successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Restore a deleted request
+router.post('/:id/restore',authenticateToken, authorize('requests:delete'), validate({ params: ID_PARAMS }), idempotency, async (req, res, next) => {
+  try {
+    const request = await Request.findById(req.params.id).withDeleted();
+
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
+    }
+    if (!request.isDeleted()) {
+      return next(new HttpError(409, 'Request is not deleted'));
+    }
+
+    res.status(200).json(await restoreRequest(request));
+  } catch (error) {
+    next(error);
   }
 });
 
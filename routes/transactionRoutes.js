@@ -1,40 +1,247 @@
 const express = require('express');
+const Request = require('../models/Request');
 const Transaction = require('../models/Transaction'); // Adjust path based on your directory structure
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
+const BookLock = require('../models/BookLock');
+const { authenticateToken } = require('../Auth');
+const { authorize, can, forbid } = require('../middleware/authorize');
+const idempotency = require('../middleware/idempotency');
+const validate = require('../middleware/validate');
+const { buildFilter, paginate } = require('../utils/pagination');
+const { TRANSACTION_SUMMARIES, withSummaries } = require('../services/catalog');
+const HttpError = require('../utils/httpError');
+const { cancelTransaction, createTransactionForRequest, deleteTransaction, releaseBook, restoreTransaction, updateReservation } = require('../services/exchangeService');
+const { checkReason } = require('../services/reasonCodes');
+const { computeDueDate } = require('../services/dueDates');
+const events = require('../services/events');
 
 const router = express.Router();
 
+// Filters and sort fields accepted by the transaction listing
+const TRANSACTION_LIST = {
+  filters: { status: 'Status', bookId: 'BooKID', deliveryMethod: 'DeliveryMethod' },
+  dateField: 'TransactionDate',
+  sortFields: ['TransactionDate', 'Status'],
+  populate: ['RequestID', 'RequestID RequestedBy BookID'],
+};
+const TRANSACTION_LIST_QUERY = [
+  'Limit', 'Cursor', 'Order', 'Count', 'From', 'To', 'BookIdFilter', 'DeliveryMethodFilter', 'TransactionStatusFilter', 'TransactionSortBy',
+];
+
+const ID_PARAMS = { id: 'ObjectId' };
+
 
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     TransactionStatusFilter:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *         pattern: '^(Pending|In Progress|Shipping|Delivered|Returned|Cancelled)(,(Pending|In Progress|Shipping|Delivered|Returned|Cancelled))*$'
+ *       description: Comma-separated transaction statuses to include
+ *     TransactionSortBy:
+ *       in: query
+ *       name: sortBy
+ *       schema:
+ *         type: string
+ *         enum: [TransactionDate, Status]
+ *         default: TransactionDate
  *   schemas:
- *     Transaction:
+ *     TransactionInput:
+ *       type: object
+ *       required:
+ *         - RequestID
+ *       properties:
+ *         RequestID:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     TransactionUpdateInput:
+ *       type: object
+ *       description: Status and the other lifecycle fields can only be changed through the action endpoints
+ *       additionalProperties: false
+ *       minProperties: 1
+ *       properties:
+ *         DeliveryMethod:
+ *           type: string
+ *           enum: [In-person, Shipping]
+ *         Duration:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *         TransactionDate:
+ *           type: string
+ *           format: date-time
+ *     TransactionActionInput:
+ *       type: object
+ *       properties:
+ *         reason:
+ *           type: string
+ *           description: Optional note recorded in the status history
+ *     CancelTransactionInput:
+ *       type: object
+ *       required:
+ *         - reasonCode
+ *       properties:
+ *         reasonCode:
+ *           type: string
+ *           enum: [no-longer-needed, not-available, no-show, cannot-deliver, mutual-agreement, other]
+ *         reason:
+ *           type: string
+ *           description: Free-text reason, required when reasonCode is other
+ *     ShipInput:
+ *       type: object
+ *       required:
+ *         - Carrier
+ *         - TrackingNumber
+ *       properties:
+ *         Carrier:
+ *           type: string
+ *           minLength: 1
+ *         TrackingNumber:
+ *           type: string
+ *           minLength: 1
+ *         reason:
+ *           type: string
+ *           description: Optional note recorded in the status history
+ *     ExtensionInput:
  *       type: object
  *       required:
- *         - ExchangeRequestID
- *         - Status
+ *         - Days
+ *       properties:
+ *         Days:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *         Reason:
+ *           type: string
+ *     Transaction:
+ *       type: object
  *       properties:
- *         ExchangeRequestID:
+ *         _id:
  *           type: string
- *           description: ID of the exchange request linked to the transaction
+ *         TransactionID:
+ *           type: string
+ *         RequestID:
+ *           description: >-
+ *             ID of the accepted request the transaction was opened for; a single
+ *             transaction and the transaction list embed the request's ID,
+ *             RequestedBy and BookID instead
+ *           oneOf:
+ *             - type: string
+ *             - type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                 RequestID:
+ *                   type: string
+ *                 RequestedBy:
+ *                   type: string
+ *                 BookID:
+ *                   type: string
+ *         OwnerID:
+ *           type: string
+ *           description: ID of the book owner
+ *         BorrowerID:
+ *           type: string
+ *           description: ID of the user borrowing the book
+ *         BooKID:
+ *           type: string
+ *           description: ID of the book in the catalog service
+ *         DeliveryMethod:
+ *           type: string
+ *           enum: [In-person, Shipping]
  *         Status:
  *           type: string
- *           enum: [Pending, Completed, Cancelled]
+ *           enum: [Pending, In Progress, Shipping, Delivered, Returned, Cancelled]
  *           description: Status of the transaction
+ *         TransactionDate:
+ *           type: string
+ *           format: date-time
+ *         Carrier:
+ *           type: string
+ *           description: Carrier the book was shipped with
+ *         TrackingNumber:
+ *           type: string
+ *         ShippedAt:
+ *           type: string
+ *           format: date-time
+ *         DeliveredAt:
+ *           type: string
+ *           format: date-time
+ *         Duration:
+ *           type: number
+ *           description: Loan length in days
+ *         DueDate:
+ *           type: string
+ *           format: date-time
+ *           description: When the book is due back (delivery date plus Duration and approved extensions)
+ *         IsOverdue:
+ *           type: boolean
+ *         RemindersSent:
+ *           type: array
+ *           description: Due-date reminders already sent
+ *           items:
+ *             type: string
+ *         Extensions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Extension'
+ *         StatusHistory:
+ *           type: array
+ *           description: Every status change with the user who made it
+ *           items:
+ *             $ref: '#/components/schemas/StatusChange'
  *         BookReturnedDate:
  *           type: string
- *           format: date
- *           description: Date the book was returned
- *         createdAt:
+ *           format: date-time
+ *           description: When the book was returned
+ *         deletedAt:
  *           type: string
  *           format: date-time
- *           description: The timestamp when the transaction was created
- *         updatedAt:
+ *           nullable: true
+ *           readOnly: true
+ *           description: When an admin deleted the transaction; deleted transactions are hidden until restored
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: ID of the admin who deleted the transaction
+ *         Book:
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/BookSummary'
+ *         Owner:
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/UserSummary'
+ *         Borrower:
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/UserSummary'
+ *     Extension:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         RequestedBy:
+ *           type: string
+ *         Days:
+ *           type: integer
+ *           description: Extra days asked for
+ *         Reason:
+ *           type: string
+ *         Status:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *         RequestedAt:
+ *           type: string
+ *           format: date-time
+ *         RespondedBy:
+ *           type: string
+ *         RespondedAt:
  *           type: string
  *           format: date-time
- *           description: The timestamp when the transaction was last updated
  */
 
 /**
@@ -46,109 +253,206 @@ const router = express.Router();
 
 /**
  * @swagger
- * /transactions/auth:
+ * /transaction:
  *   post:
- *     summary: Authenticate and generate a token
+ *     summary: Create the missing transaction of an accepted request (admin only)
+ *     description: Parties, book and terms are copied from the request, and the book is locked as on acceptance.
  *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               clientId:
- *                 type: string
- *                 description: Client ID for authentication
+ *             $ref: '#/components/schemas/TransactionInput'
+ *     responses:
+ *       201:
+ *         description: Transaction created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       400:
+ *         description: Missing or invalid fields
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: The request is not accepted, already has a transaction, or its book is lent out
+ */
+
+/**
+ * @swagger
+ * /transaction:
+ *   get:
+ *     summary: Get all transactions
+ *     description: Admins get every transaction; other users get the transactions they lend or borrow in.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Count'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/BookIdFilter'
+ *       - $ref: '#/components/parameters/DeliveryMethodFilter'
+ *       - $ref: '#/components/parameters/TransactionStatusFilter'
+ *       - $ref: '#/components/parameters/TransactionSortBy'
  *     responses:
  *       200:
- *         description: Token generated successfully
+ *         description: A page of transactions
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 token:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transaction'
+ *                 hasMore:
+ *                   type: boolean
+ *                 nextCursor:
  *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filter, sort or cursor
  *       401:
- *         description: Invalid credentials
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
  */
 
 /**
  * @swagger
- * /transactions:
- *   post:
- *     summary: Create a new transaction
+ * /transaction/request/{exchangeRequestId}:
+ *   get:
+ *     summary: Get transaction by ExchangeRequestID
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Transaction'
+ *     parameters:
+ *       - in: path
+ *         name: exchangeRequestId
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Exchange Request ID
  *     responses:
- *       201:
- *         description: Transaction created successfully
+ *       200:
+ *         description: Transaction details
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Transaction'
  *       400:
- *         description: Missing or invalid fields
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the book owner, the borrower, a moderator or an admin
+ *       404:
+ *         description: Transaction not found
  */
 
 /**
  * @swagger
- * /transactions:
+ * /transaction/overdue:
  *   get:
- *     summary: Get all transactions
+ *     summary: Get delivered transactions past their due date
+ *     description: Admins get every overdue transaction; other users get the ones they lend or borrow in.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Count'
  *     responses:
  *       200:
- *         description: List of all transactions
+ *         description: A page of overdue transactions, sorted by DueDate
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Transaction'
- *       500:
- *         description: Server error
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transaction'
+ *                 hasMore:
+ *                   type: boolean
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  */
 
 /**
  * @swagger
- * /transactions/request/{exchangeRequestId}:
+ * /transaction/book/{bookId}/availability:
  *   get:
- *     summary: Get transaction by ExchangeRequestID
+ *     summary: Get whether a book is currently lent out
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: exchangeRequestId
+ *         name: bookId
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/BookId'
  *         required: true
- *         description: Exchange Request ID
+ *         description: Book ID
  *     responses:
  *       200:
- *         description: Transaction details
+ *         description: Availability of the book and, when lent, the transaction holding it
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Transaction'
- *       404:
- *         description: Transaction not found
+ *               type: object
+ *               properties:
+ *                 BookID:
+ *                   type: string
+ *                 Available:
+ *                   type: boolean
+ *                 BlockingTransactionID:
+ *                   type: string
+ *                   nullable: true
+ *                 ReservedFrom:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 ReservedUntil:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: >
+ *                     End of the lending window: the acceptance date plus the Duration until the
+ *                     book is delivered, then its DueDate, moved by approved extensions
+ *       400:
+ *         description: Malformed book ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  */
 
 /**
  * @swagger
- * /transactions/{id}:
+ * /transaction/{id}:
  *   get:
  *     summary: Get a specific transaction by ID
  *     tags: [Transactions]
@@ -158,7 +462,7 @@ const router = express.Router();
  *       - in: path
  *         name: id
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         required: true
  *         description: Transaction ID
  *     responses:
@@ -168,23 +472,34 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the book owner, the borrower, a moderator or an admin
  *       404:
  *         description: Transaction not found
  */
 
 /**
  * @swagger
- * /transactions/{id}:
+ * /transaction/{id}:
  *   put:
- *     summary: Update a transaction's details
+ *     summary: Update a transaction's details (admin only)
+ *     description: >
+ *       Status and the other lifecycle fields can only be changed through the action endpoints.
+ *       The delivery method is fixed once the transaction has left Pending. A new Duration on a
+ *       delivered transaction moves the DueDate, keeping any approved extensions.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         required: true
  *         description: Transaction ID
  *     requestBody:
@@ -192,7 +507,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Transaction'
+ *             $ref: '#/components/schemas/TransactionUpdateInput'
  *     responses:
  *       200:
  *         description: Transaction updated successfully
@@ -200,30 +515,258 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Transaction'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
  *       404:
  *         description: Transaction not found
  *       400:
+ *         description: Missing, invalid or unknown fields
+ *       409:
+ *         description: The delivery method can no longer be changed
+ */
+
+/**
+ * @swagger
+ * /transaction/{id}/start:
+ *   post:
+ *     summary: Start preparing the hand-over of the book
+ *     description: Book owner only. Pending to In Progress.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransactionActionInput'
+ *     responses:
+ *       200:
+ *         description: Transaction updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed ID or invalid fields
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller may not perform this action
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The action is not allowed from the current status
+ */
+
+/**
+ * @swagger
+ * /transaction/{id}/ship:
+ *   post:
+ *     summary: Record that the book was shipped
+ *     description: Book owner only, for DeliveryMethod Shipping. In Progress to Shipping.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShipInput'
+ *     responses:
+ *       200:
+ *         description: Transaction updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       400:
  *         description: Missing or invalid fields
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller may not perform this action
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The action is not allowed from the current status
  */
 
 /**
  * @swagger
- * /transactions/{id}:
- *   delete:
- *     summary: Delete a transaction
+ * /transaction/{id}/deliver:
+ *   post:
+ *     summary: Confirm the book was received
+ *     description: Borrower only. Shipping to Delivered, or In Progress to Delivered for DeliveryMethod In-person.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         required: true
  *         description: Transaction ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransactionActionInput'
  *     responses:
  *       200:
- *         description: Transaction deleted successfully
+ *         description: Transaction updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed ID or invalid fields
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller may not perform this action
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The action is not allowed from the current status
+ */
+
+/**
+ * @swagger
+ * /transaction/{id}/return:
+ *   post:
+ *     summary: Confirm the book was returned
+ *     description: Book owner only. Delivered to Returned; sets BookReturnedDate and makes the book available again.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransactionActionInput'
+ *     responses:
+ *       200:
+ *         description: Transaction updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed ID or invalid fields
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller may not perform this action
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The action is not allowed from the current status
+ */
+
+/**
+ * @swagger
+ * /transaction/{id}/cancel:
+ *   post:
+ *     summary: Cancel the transaction, giving a reason
+ *     description: >
+ *       While Pending the book owner or the borrower can cancel; once the owner has started the
+ *       handover (In Progress) only the owner can. A book that is shipping or delivered has to be
+ *       returned instead. The accepted request is cancelled with the same reason and the book
+ *       becomes available to other requesters.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancelTransactionInput'
+ *     responses:
+ *       200:
+ *         description: Transaction updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed ID, unknown reason code, or reasonCode other without a reason
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller may not cancel the transaction at its current stage
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The transaction can no longer be cancelled
+ */
+
+/**
+ * @swagger
+ * /transaction/{id}/extensions:
+ *   post:
+ *     summary: Ask the book owner for more time
+ *     description: Borrower only, while the book is lent out. One extension can await an answer at a time.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExtensionInput'
+ *     responses:
+ *       201:
+ *         description: Extension requested
  *         content:
  *           application/json:
  *             schema:
@@ -231,73 +774,217 @@ const router = express.Router();
  *               properties:
  *                 message:
  *                   type: string
+ *                 Extension:
+ *                   $ref: '#/components/schemas/Extension'
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the borrower
  *       404:
  *         description: Transaction not found
+ *       409:
+ *         description: The book is not lent out or an extension is already pending
  */
 
+/**
+ * @swagger
+ * /transaction/{id}/extensions/{extensionId}/approve:
+ *   post:
+ *     summary: Approve an extension
+ *     description: Book owner only. Moves the due date by the extension Days.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *       - in: path
+ *         name: extensionId
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Extension ID
+ *     responses:
+ *       200:
+ *         description: Extension answered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the book owner
+ *       404:
+ *         description: Extension not found
+ *       409:
+ *         description: The extension was already answered
+ */
 
-const authenticateToken = (req, res, next) => {
-  const jwtSecret = process.env.JWT_SECRET;
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) return res.status(401).json({ message: 'No token provided' });
-
-  jwt.verify(token, jwtSecret, (err, user) => {
-      if (err) return res.status(403).json({ message: 'Invalid token' });
-      req.user = user; // Attach the user data to the request object
-      next();
-  });
-};
-
-
+/**
+ * @swagger
+ * /transaction/{id}/extensions/{extensionId}/reject:
+ *   post:
+ *     summary: Reject an extension
+ *     description: Book owner only. The due date stays the same.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *       - in: path
+ *         name: extensionId
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Extension ID
+ *     responses:
+ *       200:
+ *         description: Extension answered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not the book owner
+ *       404:
+ *         description: Extension not found
+ *       409:
+ *         description: The extension was already answered
+ */
 
-router.post('/auth', async (req, res) => {    
-  const jwtSecret = process.env.JWT_SECRET;
-  const jwtClientId = process.env.JWT_CLIENTID;
-  const { clientId } = req.body;
+/**
+ * @swagger
+ * /transaction/{id}:
+ *   delete:
+ *     summary: Delete a transaction (admin only)
+ *     description: >
+ *       Soft-deletes a Returned or Cancelled transaction. The transaction is hidden from every
+ *       listing and lookup until restored, and the retention job archives it later. An unfinished
+ *       transaction has to be cancelled, or the book returned, first.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Transaction deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The transaction is not finished yet
+ */
 
-  if (clientId!=jwtClientId) {
-      return res.status(401).send('Invalid credentials');
-  }
-  //const user1 = await User.findById(decoded.id).select('-password'); 
-  const token = jwt.sign({ id: clientId}, jwtSecret, { expiresIn: '1h' });
-  
-  res.json({ token});
-});
+/**
+ * @swagger
+ * /transaction/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted transaction (admin only)
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: The restored transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The transaction is not deleted, or its request is deleted
+ */
 
 
-// Create a new transaction
-router.post('/',authenticateToken, async (req, res) => {
+// Create the transaction of an accepted request that has none
+router.post('/',authenticateToken, authorize('transactions:create'), validate({ body: 'TransactionInput' }), idempotency, async (req, res, next) => {
   try {
-    const { ExchangeRequestID, Status, BookReturnedDate } = req.body;
+    const request = await Request.findById(req.body.RequestID);
 
-    const newTransaction = new Transaction({
-      ExchangeRequestID,
-      Status,
-      BookReturnedDate,
-    });
+    if (!request) {
+      return next(new HttpError(404, 'Request not found'));
+    }
 
-    const savedTransaction = await newTransaction.save();
+    const savedTransaction = await createTransactionForRequest(request, { actor: req.user.id });
     res.status(201).json(savedTransaction);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    next(error);
   }
 });
 
-// Get all transactions
-router.get('/',authenticateToken, async (req, res) => {
+// Get all transactions; users other than admins only get the transactions they are part of
+router.get('/',authenticateToken, validate({ query: TRANSACTION_LIST_QUERY }), async (req, res, next) => {
   try {
-    const transactions = await Transaction.find().populate('RequestID', 'RequestID RequestedBy BookID');
-    res.status(200).json(transactions);
+    const filter = buildFilter(req.query, TRANSACTION_LIST);
+    if (!can(req.user, 'transactions:list')) {
+      filter.$or = [{ OwnerID: req.user.id }, { BorrowerID: req.user.id }];
+    }
+
+    const page = await paginate(Transaction, filter, req.query, TRANSACTION_LIST);
+    page.data = await withSummaries(page.data, TRANSACTION_SUMMARIES);
+    res.status(200).json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 
 // Get transaction by ExchangeRequestID
-router.get('/request/:exchangeRequestId',authenticateToken, async (req, res) => {
+router.get('/request/:exchangeRequestId',authenticateToken, validate({ params: { exchangeRequestId: 'ObjectId' } }), async (req, res, next) => {
   try {
     const { exchangeRequestId } = req.params;
 
@@ -305,56 +992,318 @@ router.get('/request/:exchangeRequestId',authenticateToken, async (req, res) =>
     const transaction = await Transaction.findOne({ RequestID: exchangeRequestId });
 
     if (!transaction) {
-      return res.status(404).json({ message: 'Transaction not found' });
+      return next(new HttpError(404, 'Transaction not found'));
+    }
+    if (!transaction.isParticipant(req.user.id) && !can(req.user, 'transactions:read')) {
+      return forbid(req, res, 'Only the book owner or the borrower can view this transaction');
     }
 
     res.status(200).json(transaction);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Get overdue transactions; users other than admins only get their own
+router.get('/overdue',authenticateToken, validate({ query: ['Limit', 'Cursor', 'Order', 'Count'] }), async (req, res, next) => {
+  try {
+    const filter = { Status: 'Delivered', DueDate: { $lt: new Date() } };
+    if (!can(req.user, 'transactions:list')) {
+      filter.$or = [{ OwnerID: req.user.id }, { BorrowerID: req.user.id }];
+    }
+
+    const page = await paginate(Transaction, filter, req.query, { sortFields: ['DueDate'] });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the availability of a book
+router.get('/book/:bookId/availability',authenticateToken, validate({ params: { bookId: 'BookId' } }), async (req, res, next) => {
+  try {
+    const { bookId } = req.params;
+    const lock = await BookLock.findOne({ BookID: bookId });
+
+    res.status(200).json({
+      BookID: bookId,
+      Available: !lock,
+      BlockingTransactionID: lock ? lock.TransactionID : null,
+      ReservedFrom: lock ? lock.ReservedFrom : null,
+      ReservedUntil: lock ? lock.ReservedUntil : null,
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Get a specific transaction by ID
-router.get('/:id',authenticateToken, async (req, res) => {
+router.get('/:id',authenticateToken, validate({ params: ID_PARAMS }), async (req, res, next) => {
   try {
-    const transaction = await Transaction.findById(req.params.id).populate('ExchangeRequestID', 'RequestID RequestedBy BookID');
+    const transaction = await Transaction.findById(req.params.id).populate('RequestID', 'RequestID RequestedBy BookID');
     if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+      return next(new HttpError(404, 'Transaction not found'));
     }
-    res.status(200).json(transaction);
+    if (!transaction.isParticipant(req.user.id) && !can(req.user, 'transactions:read')) {
+      return forbid(req, res, 'Only the book owner or the borrower can view this transaction');
+    }
+
+    const [withBook] = await withSummaries([transaction], TRANSACTION_SUMMARIES);
+    res.status(200).json(withBook);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// The only fields PUT may change; the rest of the lifecycle goes through the
+// action endpoints
+const UPDATABLE_FIELDS = ['DeliveryMethod', 'Duration', 'TransactionDate'];
+
 // Update a transaction's details
-router.put('/:id', authenticateToken,async (req, res) => {
+router.put('/:id', authenticateToken, authorize('transactions:update'), validate({ params: ID_PARAMS, body: 'TransactionUpdateInput' }), idempotency, async (req, res, next) => {
   try {
-    const updatedTransaction = await Transaction.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true } // Ensure validators run during update
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return next(new HttpError(404, 'Transaction not found'));
+    }
+
+    const changes = Object.fromEntries(
+      UPDATABLE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
     );
 
-    if (!updatedTransaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    // The delivery method picks the lifecycle, so it is fixed once the hand-over has started
+    if (changes.DeliveryMethod && changes.DeliveryMethod !== transaction.DeliveryMethod && transaction.Status !== 'Pending') {
+      return next(new HttpError(409, `DeliveryMethod cannot be changed once the transaction is ${transaction.Status}`));
+    }
+
+    transaction.set(changes);
+
+    // A new loan period moves the due date, keeping the days added by approved extensions
+    if (changes.Duration !== undefined && transaction.DeliveredAt) {
+      const extraDays = transaction.Extensions
+        .filter((extension) => extension.Status === 'Approved')
+        .reduce((days, extension) => days + extension.Days, 0);
+      transaction.DueDate = computeDueDate(transaction.DeliveredAt, transaction.Duration + extraDays);
+      transaction.IsOverdue = transaction.DueDate < new Date();
+      transaction.RemindersSent = [];
     }
+
+    const updatedTransaction = await transaction.save();
+    await updateReservation(updatedTransaction);
+
     res.status(200).json(updatedTransaction);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    next(error);
   }
 });
 
+// Lifecycle actions: the status each one moves to, which parties may perform
+// it (or a function of the transaction giving them), and what else it records
+// or does instead of the plain status change. Admins may perform any action.
+// Bodies are TransactionActionInput unless the action names another schema.
+const TRANSACTION_ACTIONS = {
+  start: {
+    to: 'In Progress',
+    parties: ['OwnerID'],
+  },
+  ship: {
+    to: 'Shipping',
+    parties: ['OwnerID'],
+    body: 'ShipInput',
+    apply: (transaction, { Carrier, TrackingNumber }) => {
+      transaction.Carrier = Carrier;
+      transaction.TrackingNumber = TrackingNumber;
+      transaction.ShippedAt = new Date();
+    },
+  },
+  deliver: {
+    to: 'Delivered',
+    parties: ['BorrowerID'], // The borrower confirms receiving the book
+    apply: (transaction) => {
+      transaction.DeliveredAt = new Date();
+      // The loan period starts when the borrower has the book
+      if (transaction.Duration) {
+        transaction.DueDate = computeDueDate(transaction.DeliveredAt, transaction.Duration);
+      }
+    },
+    setsDueDate: true,
+  },
+  return: {
+    to: 'Returned',
+    parties: ['OwnerID'], // The owner confirms getting the book back
+    apply: (transaction) => {
+      transaction.BookReturnedDate = new Date();
+    },
+    releasesBook: true,
+  },
+  cancel: {
+    to: 'Cancelled',
+    // The borrower can back out until the owner starts the handover
+    parties: (transaction) => (transaction.Status === 'In Progress' ? ['OwnerID'] : ['OwnerID', 'BorrowerID']),
+    body: 'CancelTransactionInput',
+    check: checkReason,
+    perform: (transaction, { reasonCode, reason }, actor) => cancelTransaction(transaction, { actor, reasonCode, reason }),
+  },
+};
+
+const PARTY_NAMES = { OwnerID: 'book owner', BorrowerID: 'borrower' };
+
+const performAction = (name) => async (req, res, next) => {
+  const action = TRANSACTION_ACTIONS[name];
+
+  try {
+    if (action.check) action.check(req.body);
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return next(new HttpError(404, 'Transaction not found'));
+    }
+
+    const parties = typeof action.parties === 'function' ? action.parties(transaction) : action.parties;
+    const isParty = parties.some((party) => transaction[party] === req.user.id);
+    if (!isParty && !can(req.user, 'transactions:update')) {
+      return forbid(req, res, `Only the ${parties.map((party) => PARTY_NAMES[party]).join(' or ')} can ${name} this transaction`);
+    }
+
+    if (!transaction.canTransitionTo(action.to)) {
+      return next(new HttpError(409, `Cannot ${name} a transaction that is ${transaction.Status}`));
+    }
+
+    if (action.perform) {
+      return res.status(200).json(await action.perform(transaction, req.body, req.user.id));
+    }
+
+    if (action.apply) action.apply(transaction, req.body);
+    transaction.transitionTo(action.to, { actor: req.user.id, reason: req.body.reason });
+    const updatedTransaction = await transaction.save();
+
+    // A returned book is free for other requests; a delivered one is reserved until it is due
+    if (action.releasesBook) {
+      await releaseBook(updatedTransaction);
+    }
+    if (action.setsDueDate) {
+      await updateReservation(updatedTransaction);
+    }
+
+    res.status(200).json(updatedTransaction);
+  } catch (error) {
+    next(error);
+  }
+};
+
+for (const name of Object.keys(TRANSACTION_ACTIONS)) {
+  const body = TRANSACTION_ACTIONS[name].body || 'TransactionActionInput';
+  router.post(`/:id/${name}`, authenticateToken, validate({ params: ID_PARAMS, body }), idempotency, performAction(name));
+}
+
+// Ask the owner for more time with the book
+router.post('/:id/extensions',authenticateToken, validate({ params: ID_PARAMS, body: 'ExtensionInput' }), idempotency, async (req, res, next) => {
+  try {
+    const { Days, Reason } = req.body;
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return next(new HttpError(404, 'Transaction not found'));
+    }
+    if (transaction.BorrowerID !== req.user.id) {
+      return forbid(req, res, 'Only the borrower can ask for an extension');
+    }
+    if (transaction.Status !== 'Delivered' || !transaction.DueDate) {
+      return next(new HttpError(409, 'Extensions can only be asked for while the book is lent out'));
+    }
+    if (transaction.Extensions.some((extension) => extension.Status === 'Pending')) {
+      return next(new HttpError(409, 'An extension is already awaiting an answer'));
+    }
+
+    transaction.Extensions.push({ RequestedBy: req.user.id, Days, Reason });
+    const updatedTransaction = await transaction.save();
+    const extension = updatedTransaction.Extensions[updatedTransaction.Extensions.length - 1];
+
+    events.emit(events.TRANSACTION_EXTENSION_REQUESTED, { transaction: updatedTransaction, extension, actor: req.user.id });
+
+    res.status(201).json({
+      message: 'Extension requested successfully.',
+      Extension: extension,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve or reject a pending extension
+const respondToExtension = (approve) => async (req, res, next) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+    const extension = transaction && transaction.Extensions.id(req.params.extensionId);
+
+    if (!extension) {
+      return next(new HttpError(404, 'Extension not found'));
+    }
+    if (transaction.OwnerID !== req.user.id) {
+      return forbid(req, res, 'Only the book owner can answer an extension');
+    }
+    if (extension.Status !== 'Pending' || transaction.Status !== 'Delivered') {
+      return next(new HttpError(409, `Extension is ${extension.Status} and can no longer be answered`));
+    }
+
+    extension.Status = approve ? 'Approved' : 'Rejected';
+    extension.RespondedBy = req.user.id;
+    extension.RespondedAt = new Date();
+
+    // Reminders start over from the new due date
+    if (approve) {
+      transaction.DueDate = computeDueDate(transaction.DueDate, extension.Days);
+      transaction.IsOverdue = transaction.DueDate < new Date();
+      transaction.RemindersSent = [];
+    }
+
+    const updatedTransaction = await transaction.save();
+    if (approve) {
+      await updateReservation(updatedTransaction);
+    }
+
+    events.emit(events.TRANSACTION_EXTENSION_ANSWERED, { transaction: updatedTransaction, extension, actor: req.user.id });
+
+    res.status(200).json(updatedTransaction);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const EXTENSION_PARAMS = { id: 'ObjectId', extensionId: 'ObjectId' };
+router.post('/:id/extensions/:extensionId/approve',authenticateToken, validate({ params: EXTENSION_PARAMS }), idempotency, respondToExtension(true));
+router.post('/:id/extensions/:extensionId/reject',authenticateToken, validate({ params: EXTENSION_PARAMS }), idempotency, respondToExtension(false));
+
 // Delete a transaction
-router.delete('/:id',authenticateToken, async (req, res) => {
+router.delete('/:id',authenticateToken, authorize('transactions:delete'), validate({ params: ID_PARAMS }), idempotency, async (req, res, next) => {
   try {
-    const deletedTransaction = await Transaction.findByIdAndDelete(req.params.id);
-    if (!deletedTransaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) {
+      return next(new HttpError(404, 'Transaction not found'));
     }
+    await deleteTransaction(transaction, { actor: req.user.id });
     res.status(200).json({ message: 'Transaction deleted successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Restore a deleted transaction
+router.post('/:id/restore',authenticateToken, authorize('transactions:delete'), validate({ params: ID_PARAMS }), idempotency, async (req, res, next) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id).withDeleted();
+    if (!transaction) {
+      return next(new HttpError(404, 'Transaction not found'));
+    }
+    if (!transaction.isDeleted()) {
+      return next(new HttpError(409, 'Transaction is not deleted'));
+    }
+    res.status(200).json(await restoreTransaction(transaction));
+  } catch (error) {
+    next(error);
   }
 });
 
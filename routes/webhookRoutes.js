@@ -0,0 +1,541 @@
+const express = require('express');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authenticateToken } = require('../Auth');
+const { authorize } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const HttpError = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const { attemptDelivery, generateSecret } = require('../services/webhooks');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     DeliveryStatusFilter:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *         enum: [Pending, Retrying, Succeeded, DeadLettered]
+ *   schemas:
+ *     WebhookEvent:
+ *       type: string
+ *       enum: [request.created, request.status_changed, transaction.created, transaction.status_changed, transaction.overdue]
+ *     WebhookInput:
+ *       type: object
+ *       required:
+ *         - Url
+ *         - Events
+ *       properties:
+ *         Url:
+ *           type: string
+ *           pattern: '^https?://'
+ *         Events:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *         Secret:
+ *           type: string
+ *           minLength: 16
+ *           description: Signing secret; generated when omitted
+ *         Description:
+ *           type: string
+ *     WebhookUpdateInput:
+ *       type: object
+ *       properties:
+ *         Url:
+ *           type: string
+ *           pattern: '^https?://'
+ *         Events:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *         Secret:
+ *           type: string
+ *           minLength: 16
+ *         Description:
+ *           type: string
+ *         Active:
+ *           type: boolean
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         Url:
+ *           type: string
+ *           description: URL the signed JSON payloads are posted to
+ *         Events:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *         Description:
+ *           type: string
+ *         Active:
+ *           type: boolean
+ *         CreatedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         SubscriptionID:
+ *           type: string
+ *         Event:
+ *           type: string
+ *         Payload:
+ *           type: object
+ *           description: The JSON body sent, with id, type, createdAt and data
+ *         Status:
+ *           type: string
+ *           enum: [Pending, Retrying, Succeeded, DeadLettered]
+ *         AttemptCount:
+ *           type: integer
+ *         NextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         Attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               At:
+ *                 type: string
+ *                 format: date-time
+ *               StatusCode:
+ *                 type: integer
+ *               Error:
+ *                 type: string
+ *               DurationMs:
+ *                 type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: >
+ *     Outbound webhooks (admin only). Each delivery is a POST with a JSON body and the headers
+ *     X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and X-Webhook-Signature, where
+ *     the signature is "sha256=" followed by the hex HMAC-SHA256 of "<timestamp>.<body>" keyed
+ *     with the subscription secret. Failed deliveries are retried with exponential backoff and
+ *     dead-lettered after the last attempt.
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Register a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Subscription created; the secret is only returned here
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 Subscription:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *                 Secret:
+ *                   type: string
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ */
+
+/**
+ * @swagger
+ * /webhooks/dead-letters:
+ *   get:
+ *     summary: List deliveries that failed every attempt
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Count'
+ *     responses:
+ *       200:
+ *         description: A page of dead-lettered deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 hasMore:
+ *                   type: boolean
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ */
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{deliveryId}/retry:
+ *   post:
+ *     summary: Send a dead-lettered delivery again
+ *     description: Resets the attempt count and tries the delivery right away.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The delivery after the new attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Only dead-lettered deliveries can be retried
+ */
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Subscription details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: Subscription not found
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookUpdateInput'
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: Subscription not found
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: Subscription not found
+ */
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List the delivery attempts of a subscription, newest first
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         required: true
+ *       - $ref: '#/components/parameters/DeliveryStatusFilter'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/Count'
+ *     responses:
+ *       200:
+ *         description: A page of deliveries with their attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 hasMore:
+ *                   type: boolean
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Malformed ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Caller is not an admin
+ *       404:
+ *         description: Subscription not found
+ */
+
+// Every webhook route is admin only
+router.use(authenticateToken, authorize('webhooks:manage'));
+
+const LIST_QUERY = ['Limit', 'Cursor', 'Order', 'Count'];
+
+// Register a subscription
+router.post('/', validate({ body: 'WebhookInput' }), async (req, res, next) => {
+  try {
+    const { Url, Events, Secret, Description } = req.body;
+
+    const secret = Secret || generateSecret();
+    const subscription = await WebhookSubscription.create({
+      Url,
+      Events,
+      Secret: secret,
+      Description,
+      CreatedBy: req.user.id,
+    });
+
+    const { Secret: omitted, ...saved } = subscription.toJSON();
+    res.status(201).json({ Subscription: saved, Secret: secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List subscriptions
+router.get('/', async (req, res, next) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+    res.status(200).json(subscriptions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List dead-lettered deliveries across subscriptions
+router.get('/dead-letters', validate({ query: LIST_QUERY }), async (req, res, next) => {
+  try {
+    const page = await paginate(WebhookDelivery, { Status: 'DeadLettered' }, req.query, { sortFields: ['updatedAt'] });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a dead-lettered delivery again
+router.post('/deliveries/:deliveryId/retry', validate({ params: { deliveryId: 'ObjectId' } }), async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+    if (!delivery) {
+      return next(new HttpError(404, 'Delivery not found'));
+    }
+
+    const requeued = await WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, Status: 'DeadLettered' },
+      { Status: 'Retrying', AttemptCount: 0, NextAttemptAt: new Date() }
+    );
+    if (!requeued) {
+      return next(new HttpError(409, `Delivery is ${delivery.Status}; only dead-lettered deliveries can be retried`));
+    }
+
+    const attempted = await attemptDelivery(delivery._id);
+    res.status(200).json(attempted || await WebhookDelivery.findById(delivery._id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a subscription
+router.get('/:id', validate({ params: { id: 'ObjectId' } }), async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return next(new HttpError(404, 'Subscription not found'));
+    }
+    res.status(200).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a subscription
+router.put('/:id', validate({ params: { id: 'ObjectId' }, body: 'WebhookUpdateInput' }), async (req, res, next) => {
+  try {
+    const { Url, Events, Secret, Description, Active } = req.body;
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return next(new HttpError(404, 'Subscription not found'));
+    }
+
+    Object.entries({ Url, Events, Secret, Description, Active })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([field, value]) => subscription.set(field, value));
+
+    const updatedSubscription = await subscription.save();
+    const { Secret: omitted, ...saved } = updatedSubscription.toJSON();
+    res.status(200).json(saved);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a subscription; its queued deliveries are dead-lettered on their next attempt
+router.delete('/:id', validate({ params: { id: 'ObjectId' } }), async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return next(new HttpError(404, 'Subscription not found'));
+    }
+
+    await WebhookSubscription.deleteOne({ _id: subscription._id });
+    res.status(200).json({ message: 'Subscription deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the deliveries of a subscription
+router.get('/:id/deliveries', validate({ params: { id: 'ObjectId' }, query: [...LIST_QUERY, 'DeliveryStatusFilter'] }), async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return next(new HttpError(404, 'Subscription not found'));
+    }
+
+    const filter = { SubscriptionID: subscription._id };
+    if (req.query.status) filter.Status = req.query.status;
+
+    const page = await paginate(WebhookDelivery, filter, req.query, { sortFields: ['createdAt'] });
+    res.status(200).json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
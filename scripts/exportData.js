@@ -0,0 +1,56 @@
+// Exports requests or transactions as JSON lines or CSV, to a file or stdout, e.g.
+//   node scripts/exportData.js requests --format csv --from 2024-01-01 --status Accepted,Rejected --out requests.csv
+//   node scripts/exportData.js transactions > transactions.jsonl
+const fs = require('fs');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const config = require('../config');
+const { EXPORTS, FORMATS, exportRecords } = require('../services/dataTransfer');
+
+const usage = () => {
+  console.error(`Usage: node scripts/exportData.js <${Object.keys(EXPORTS).join('|')}> [--format ${FORMATS.join('|')}] `
+    + '[--from <date>] [--to <date>] [--status <s1,s2>] [--book-id <id>] [--delivery-method <method>] [--out <file>]');
+  process.exit(1);
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'jsonl' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      status: { type: 'string' },
+      'book-id': { type: 'string' },
+      'delivery-method': { type: 'string' },
+      out: { type: 'string' },
+    },
+  });
+} catch (error) {
+  usage();
+}
+
+const { positionals: [kind], values } = args;
+if (!EXPORTS[kind] || !FORMATS.includes(values.format)) usage();
+
+const query = {
+  from: values.from,
+  to: values.to,
+  status: values.status,
+  bookId: values['book-id'],
+  deliveryMethod: values['delivery-method'],
+};
+const out = values.out ? fs.createWriteStream(values.out) : process.stdout;
+
+mongoose.connect(config.mongoUri)
+  .then(() => exportRecords(kind, query, values.format, out))
+  .then((count) => {
+    if (out !== process.stdout) out.end();
+    console.error(`Exported ${count} ${kind}`);
+  })
+  .catch((err) => {
+    console.error('Export failed', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
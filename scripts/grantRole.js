@@ -0,0 +1,29 @@
+// Grants a role to a registered user, e.g. to create the first admin:
+//   node scripts/grantRole.js admin@example.com admin
+const mongoose = require('mongoose');
+const config = require('../config');
+const User = require('../models/User');
+const { ROLES } = require('../middleware/authorize');
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/grantRole.js <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+mongoose.connect(config.mongoUri)
+  .then(() => User.findOneAndUpdate({ Email: email.toLowerCase() }, { $addToSet: { Roles: role } }, { new: true }))
+  .then((user) => {
+    if (!user) {
+      console.error(`No user registered with ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${user.Email} now has roles: ${user.Roles.join(', ')}`);
+    }
+  })
+  .catch((err) => {
+    console.error('Failed to grant role', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// Imports requests from a JSON lines file and prints the report as JSON, e.g.
+//   node scripts/importRequests.js legacy-requests.jsonl --dry-run
+//   node scripts/importRequests.js legacy-requests.jsonl --batch-size 1000 > report.json
+// Exits with 1 when any line was rejected.
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const config = require('../config');
+const { DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE, importRequests } = require('../services/dataTransfer');
+
+const usage = () => {
+  console.error(`Usage: node scripts/importRequests.js <file.jsonl> [--dry-run] [--batch-size <1-${MAX_BATCH_SIZE}>]`);
+  process.exit(1);
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'batch-size': { type: 'string', default: String(DEFAULT_BATCH_SIZE) },
+    },
+  });
+} catch (error) {
+  usage();
+}
+
+const { positionals: [file], values } = args;
+const batchSize = Number(values['batch-size']);
+if (!file || !Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) usage();
+
+mongoose.connect(config.mongoUri)
+  .then(() => importRequests(readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity }), {
+    dryRun: values['dry-run'],
+    batchSize,
+  }))
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+    console.error(`${report.dryRun ? 'Would import' : 'Imported'} ${report.imported} of ${report.total} requests, rejected ${report.rejected.length}`);
+    if (report.rejected.length > 0) process.exitCode = 1;
+  })
+  .catch((err) => {
+    console.error('Import failed', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
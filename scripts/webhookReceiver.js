@@ -0,0 +1,34 @@
+// Local stand-in for a webhook consumer. Logs each delivery and checks its signature:
+//   WEBHOOK_SECRET=<secret> node scripts/webhookReceiver.js [port]
+// Set WEBHOOK_RECEIVER_FAIL=1 to answer 500 and exercise the retries.
+const http = require('http');
+const crypto = require('crypto');
+const { sign } = require('../services/webhooks');
+
+const port = Number(process.argv[2]) || 7100;
+const secret = process.env.WEBHOOK_SECRET;
+const failing = process.env.WEBHOOK_RECEIVER_FAIL === '1';
+
+const signatureMatches = (expected, received = '') => expected.length === received.length
+  && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = req.headers['x-webhook-signature'];
+    const verified = secret ? signatureMatches(sign(secret, timestamp, body), signature) : 'not checked';
+
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} delivery=${req.headers['x-webhook-delivery']} signature=${verified}`);
+    console.log(body);
+
+    if (verified === false) {
+      res.writeHead(401).end();
+    } else {
+      res.writeHead(failing ? 500 : 204).end();
+    }
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
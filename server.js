@@ -0,0 +1,100 @@
+// server.js
+// Settings come first: invalid ones stop the process before anything starts
+let config;
+try {
+  config = require('./config');
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const mongoose = require('mongoose');
+const { createApp } = require('./App');
+const logger = require('./utils/logger');
+const scheduler = require('./services/scheduler');
+const { checkDueDates } = require('./services/dueDates');
+const { archiveOldRecords } = require('./services/retention');
+const { expireStaleRequests } = require('./services/requestExpiry');
+const notifications = require('./services/notifications');
+const eventStream = require('./services/eventStream');
+const webhooks = require('./services/webhooks');
+const rateLimit = require('./services/rateLimit');
+const metrics = require('./services/metrics');
+const health = require('./services/health');
+
+// Stops taking new connections, ends the event streams, waits for the calls
+// in flight and closes MongoDB. Calls still running after SHUTDOWN_TIMEOUT_SECONDS
+// are cut off.
+const shutdown = (server) => {
+  let closing = false;
+
+  return (signal) => {
+    if (closing) return;
+    closing = true;
+    logger.info(`${signal} received, shutting down`);
+
+    const deadline = setTimeout(() => {
+      logger.error(`Requests still running after ${config.shutdownTimeoutMs} ms, exiting`);
+      process.exit(1);
+    }, config.shutdownTimeoutMs);
+    deadline.unref();
+
+    health.markDraining();
+    scheduler.stopAll();
+    eventStream.closeAll();
+    server.close(async (error) => {
+      try {
+        await mongoose.connection.close();
+        logger.info('Shutdown complete');
+        process.exit(error ? 1 : 0);
+      } catch (closeError) {
+        logger.error('Failed to close the MongoDB connection', { error: closeError });
+        process.exit(1);
+      }
+    });
+    // Idle keep-alive connections would otherwise hold the server open
+    server.closeIdleConnections();
+  };
+};
+
+const start = async () => {
+  // Without the database there is nothing to serve
+  try {
+    await mongoose.connect(config.mongoUri);
+  } catch (error) {
+    logger.error('Failed to connect to MongoDB', { error });
+    process.exit(1);
+  }
+  logger.info('Connected to MongoDB');
+
+  // Count rate-limited calls in the store RATE_LIMIT_STORE selects
+  rateLimit.useStore(rateLimit.createStore(config.rateLimits));
+
+  // Send notifications, push live updates, deliver webhooks and count metrics for request and transaction events
+  notifications.subscribe();
+  eventStream.subscribe();
+  webhooks.subscribe();
+  metrics.subscribe();
+
+  // Flag overdue loans and send due-date reminders
+  scheduler.schedule('due-dates', config.dueDates.intervalMs, (now) => checkDueDates(now, config.dueDates))();
+
+  // Retry failed webhook deliveries once their backoff has elapsed
+  scheduler.schedule('webhook-retries', config.webhooks.retryIntervalMs, () => webhooks.retryDueDeliveries())();
+
+  // Expire open requests whose response deadline has passed
+  scheduler.schedule('request-expiry', config.requestExpiry.intervalMs, (now) => expireStaleRequests(now, config.requestExpiry))();
+
+  // Move long finished or deleted requests and transactions to the archive
+  scheduler.schedule('archive', config.archive.intervalMs, (now) => archiveOldRecords(now, config.archive))();
+
+  const server = createApp().listen(config.port, () => {
+    logger.info(`Server is running on http://localhost:${config.port} (${config.env})`);
+  });
+
+  const stop = shutdown(server);
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+};
+
+start();
@@ -0,0 +1,181 @@
+const Request = require('../models/Request');
+const Transaction = require('../models/Transaction');
+const { buildFilter } = require('../utils/pagination');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Request statuses that close a request without the requester withdrawing it;
+// the acceptance rate is the share of these that are Accepted
+const DECIDED_STATUSES = ['Accepted', 'Rejected', 'Expired'];
+
+const round = (value, digits = 2) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+const ratio = (part, whole) => (whole > 0 ? round(part / whole, 4) : null);
+
+// Group key for a date field: the start (UTC) of its day, week (from Monday)
+// or month, or one bucket for everything when no interval is given
+const periodOf = (field, interval) => (interval
+  ? { $dateTrunc: { date: field, unit: interval, ...(interval === 'week' && { startOfWeek: 'monday' }) } }
+  : null);
+
+// Counts matching documents per value of `field`, as $group accumulators
+const countsBy = (field, values) => Object.fromEntries(values.map((value) => [
+  `${field}:${value}`,
+  { $sum: { $cond: [{ $eq: [`$${field}`, value] }, 1, 0] } },
+]));
+
+// Collects the countsBy accumulators of a group back into { value: count }
+const collect = (group, field, values) => Object.fromEntries(values.map((value) => [value, group[`${field}:${value}`]]));
+
+const dateFilter = (query, dateField) => buildFilter(query, { filters: {}, dateField });
+
+// Request volume per period: counts by status and delivery method, the
+// acceptance rate and the median time from request to acceptance
+const requestActivity = async ({ interval, ...query }) => {
+  const statuses = Object.keys(Request.STATUS_TRANSITIONS);
+  const deliveryMethods = Request.schema.path('DeliveryMethod').enumValues;
+
+  const groups = await Request.aggregate([
+    { $match: dateFilter(query, 'RequestDate') },
+    {
+      $addFields: {
+        acceptedAt: {
+          $first: {
+            $map: {
+              input: { $filter: { input: '$StatusHistory', cond: { $eq: ['$$this.To', 'Accepted'] } } },
+              in: '$$this.Timestamp',
+            },
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: periodOf('$RequestDate', interval),
+        requests: { $sum: 1 },
+        ...countsBy('Status', statuses),
+        ...countsBy('DeliveryMethod', deliveryMethods),
+        // $median skips the nulls of requests never accepted (MongoDB 7.0+)
+        msToAccept: {
+          $median: {
+            input: { $cond: ['$acceptedAt', { $subtract: ['$acceptedAt', '$RequestDate'] }, null] },
+            method: 'approximate',
+          },
+        },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return groups.map((group) => {
+    const byStatus = collect(group, 'Status', statuses);
+    const decided = DECIDED_STATUSES.reduce((sum, status) => sum + byStatus[status], 0);
+
+    return {
+      period: group._id,
+      requests: group.requests,
+      statuses: byStatus,
+      deliveryMethods: collect(group, 'DeliveryMethod', deliveryMethods),
+      acceptanceRate: ratio(byStatus.Accepted, decided),
+      medianHoursToAccept: round(group.msToAccept === null ? null : group.msToAccept / HOUR_MS),
+    };
+  });
+};
+
+// Requests per book, most requested first
+const requestsByBook = async ({ limit, ...query }) => {
+  const rows = await Request.aggregate([
+    { $match: dateFilter(query, 'RequestDate') },
+    {
+      $group: {
+        _id: '$BookID',
+        requests: { $sum: 1 },
+        accepted: { $sum: { $cond: [{ $eq: ['$Status', 'Accepted'] }, 1, 0] } },
+        requesters: { $addToSet: '$RequestedBy' },
+      },
+    },
+    { $sort: { requests: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+  return rows.map((row) => ({
+    BookID: row._id,
+    requests: row.requests,
+    accepted: row.accepted,
+    requesters: row.requesters.length,
+  }));
+};
+
+// Requests per user, as requester or as book owner, busiest first
+const requestsByUser = async ({ role, limit, ...query }) => {
+  const field = role === 'owner' ? 'RequestedTo' : 'RequestedBy';
+
+  const rows = await Request.aggregate([
+    { $match: dateFilter(query, 'RequestDate') },
+    {
+      $group: {
+        _id: `$${field}`,
+        requests: { $sum: 1 },
+        accepted: { $sum: { $cond: [{ $eq: ['$Status', 'Accepted'] }, 1, 0] } },
+      },
+    },
+    { $sort: { requests: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+  return rows.map((row) => ({
+    UserID: row._id,
+    requests: row.requests,
+    accepted: row.accepted,
+    acceptanceRate: ratio(row.accepted, row.requests),
+  }));
+};
+
+// Loans per period: counts by status, the average requested Duration against
+// the days books were actually out (for returned loans), and how many loans
+// with a due date ran late, i.e. are overdue or were returned after it
+const loanActivity = async ({ interval, ...query }) => {
+  const statuses = Transaction.schema.path('Status').enumValues;
+  const returned = { $and: [{ $eq: ['$Status', 'Returned'] }, '$DeliveredAt', '$BookReturnedDate'] };
+  const late = { $or: ['$IsOverdue', { $and: ['$BookReturnedDate', '$DueDate', { $gt: ['$BookReturnedDate', '$DueDate'] }] }] };
+
+  const groups = await Transaction.aggregate([
+    { $match: dateFilter(query, 'TransactionDate') },
+    {
+      $group: {
+        _id: periodOf('$TransactionDate', interval),
+        transactions: { $sum: 1 },
+        ...countsBy('Status', statuses),
+        returned: { $sum: { $cond: [returned, 1, 0] } },
+        // $avg skips the nulls of loans not returned yet
+        requestedDays: { $avg: { $cond: [returned, '$Duration', null] } },
+        actualDays: { $avg: { $cond: [returned, { $divide: [{ $subtract: ['$BookReturnedDate', '$DeliveredAt'] }, DAY_MS] }, null] } },
+        withDueDate: { $sum: { $cond: ['$DueDate', 1, 0] } },
+        late: { $sum: { $cond: [late, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return groups.map((group) => ({
+    period: group._id,
+    transactions: group.transactions,
+    statuses: collect(group, 'Status', statuses),
+    returned: group.returned,
+    averageRequestedDays: round(group.requestedDays),
+    averageActualDays: round(group.actualDays),
+    late: group.late,
+    overdueRate: ratio(group.late, group.withDueDate),
+  }));
+};
+
+module.exports = {
+  DECIDED_STATUSES,
+  INTERVALS,
+  loanActivity,
+  requestActivity,
+  requestsByBook,
+  requestsByUser,
+};
@@ -0,0 +1,45 @@
+const config = require('../../config');
+const HttpError = require('../../utils/httpError');
+
+const REQUEST_TIMEOUT_MS = 5 * 1000;
+
+// Fetches one record from <base>/<id>; a 404 means it does not exist
+const fetchRecord = async (service, base, id) => {
+  let response;
+  try {
+    response = await fetch(`${base}/${encodeURIComponent(id)}`, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new HttpError(502, `The ${service} service is unavailable: ${error.message}`);
+  }
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new HttpError(502, `The ${service} service answered with HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+// Returns { _id, Title, Author, OwnerID } or null when the book does not exist
+const getBook = async (bookId) => {
+  const book = await fetchRecord('book', config.catalog.bookServiceUrl, bookId);
+  return book && {
+    _id: String(book._id),
+    Title: book.Title,
+    Author: book.Author,
+    OwnerID: book.OwnerID && String(book.OwnerID),
+  };
+};
+
+// Returns { _id, Name } or null when the user does not exist
+const getUser = async (userId) => {
+  const user = await fetchRecord('user', config.catalog.userServiceUrl, userId);
+  return user && { _id: String(user._id), Name: user.Name };
+};
+
+module.exports = {
+  getBook,
+  getUser,
+};
@@ -0,0 +1,135 @@
+// Access to the book catalog and user profile services, which own books and
+// user profiles. Lookups go through a cache so embedding summaries in responses
+// does not call the services on every read.
+const config = require('../../config');
+const HttpError = require('../../utils/httpError');
+
+// Clients by name; each exposes getBook(id) and getUser(id), resolving to null
+// when the record does not exist
+const clients = {
+  http: require('./httpClient'),
+  memory: require('./memoryClient'),
+};
+
+const registerClient = (name, client) => {
+  clients[name] = client;
+};
+
+// config.catalog.client selects the client
+const client = () => {
+  const name = config.catalog.client;
+  if (!clients[name]) throw new Error(`Unknown catalog client: ${name}`);
+  return clients[name];
+};
+
+// Found records are reused for config.catalog.cacheTtlMs. The lookup is cached
+// while it runs, so a page naming the same book or user many times fetches it
+// once. Missing records and failed lookups are dropped once they settle, so a
+// book added later is seen right away.
+const SWEEP_EVERY = 1000; // Drop expired entries after this many lookups are cached
+const cache = new Map();
+let stored = 0;
+
+const sweep = (now) => {
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(key);
+  }
+};
+
+const cached = (kind, id, load) => {
+  const key = `${kind}:${id}`;
+  const now = Date.now();
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > now) return entry.value;
+
+  if (++stored % SWEEP_EVERY === 0) sweep(now);
+
+  const forget = () => {
+    if (cache.get(key) === fresh) cache.delete(key);
+  };
+  const fresh = {
+    value: new Promise((resolve) => { resolve(load(id)); }).then((value) => {
+      if (!value) forget();
+      return value;
+    }, (error) => {
+      forget();
+      throw error;
+    }),
+    expiresAt: now + config.catalog.cacheTtlMs,
+  };
+  cache.set(key, fresh);
+  return fresh.value;
+};
+
+const getBook = (bookId) => cached('book', String(bookId), (id) => client().getBook(id));
+
+const getUser = (userId) => cached('user', String(userId), (id) => client().getUser(id));
+
+const clearCache = () => cache.clear();
+
+// Checks that the book exists and that the requester may borrow it, and returns
+// it; its owner is who the request goes to
+const resolveBookForRequest = async (bookId, requesterId) => {
+  const book = await getBook(bookId);
+
+  if (!book) {
+    throw new HttpError(400, `Book ${bookId} does not exist`);
+  }
+  if (!book.OwnerID) {
+    throw new HttpError(400, `Book ${bookId} has no owner to request it from`);
+  }
+  if (book.OwnerID === String(requesterId)) {
+    throw new HttpError(400, 'You cannot request your own book');
+  }
+  return book;
+};
+
+// Summaries are best effort: a record that is missing or cannot be fetched
+// embeds as null rather than failing the response
+const summary = async (lookup, id, fields) => {
+  if (!id) return null;
+  try {
+    const record = await lookup(id);
+    return record && Object.fromEntries(['_id', ...fields].map((field) => [field, record[field]]));
+  } catch (error) {
+    return null;
+  }
+};
+
+const bookSummary = (bookId) => summary(getBook, bookId, ['Title', 'Author']);
+const userSummary = (userId) => summary(getUser, userId, ['Name']);
+
+// Returns the JSON of each document with the summaries named in `fields`
+// embedded, e.g. { Book: ['BookID', bookSummary] } adds Book from doc.BookID
+const withSummaries = async (docs, fields) => Promise.all(docs.map(async (doc) => {
+  const json = typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+  const entries = await Promise.all(Object.entries(fields)
+    .map(async ([name, [idField, lookup]]) => [name, await lookup(json[idField])]));
+  return { ...json, ...Object.fromEntries(entries) };
+}));
+
+// Summary fields embedded in request and transaction responses
+const REQUEST_SUMMARIES = {
+  Book: ['BookID', bookSummary],
+  Requester: ['RequestedBy', userSummary],
+  Owner: ['RequestedTo', userSummary],
+};
+
+const TRANSACTION_SUMMARIES = {
+  Book: ['BooKID', bookSummary],
+  Owner: ['OwnerID', userSummary],
+  Borrower: ['BorrowerID', userSummary],
+};
+
+module.exports = {
+  REQUEST_SUMMARIES,
+  TRANSACTION_SUMMARIES,
+  bookSummary,
+  clearCache,
+  getBook,
+  getUser,
+  registerClient,
+  resolveBookForRequest,
+  userSummary,
+  withSummaries,
+};
@@ -0,0 +1,30 @@
+// In-memory stand-in for the catalog and user profile services, for tests and
+// local development. Select it with CATALOG_CLIENT=memory and seed it with
+// addBook/addUser.
+const books = new Map();
+const users = new Map();
+
+const addBook = ({ _id, Title, Author, OwnerID }) => {
+  books.set(String(_id), { _id: String(_id), Title, Author, OwnerID: String(OwnerID) });
+};
+
+const addUser = ({ _id, Name }) => {
+  users.set(String(_id), { _id: String(_id), Name });
+};
+
+const reset = () => {
+  books.clear();
+  users.clear();
+};
+
+const getBook = async (bookId) => books.get(String(bookId)) || null;
+
+const getUser = async (userId) => users.get(String(userId)) || null;
+
+module.exports = {
+  addBook,
+  addUser,
+  getBook,
+  getUser,
+  reset,
+};
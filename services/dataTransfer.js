@@ -0,0 +1,200 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const Transaction = require('../models/Transaction');
+const { buildFilter } = require('../utils/pagination');
+
+const FORMATS = ['jsonl', 'csv'];
+
+const DEFAULT_BATCH_SIZE = 500;
+const MAX_BATCH_SIZE = 5000;
+
+// What can be exported: the model, the list filters it accepts (the same as
+// its listing route) and the CSV columns. CSV leaves out the nested history
+// and extensions; JSONL carries every field.
+const EXPORTS = {
+  requests: {
+    Model: Request,
+    filters: { status: 'Status', bookId: 'BookID', deliveryMethod: 'DeliveryMethod' },
+    dateField: 'RequestDate',
+    columns: ['_id', 'RequestID', 'RequestedBy', 'RequestedTo', 'BookID', 'Status', 'DeliveryMethod', 'Duration',
+      'NegotiatedTerms', 'RequestDate', 'ResponseDeadline', 'createdAt', 'updatedAt'],
+  },
+  transactions: {
+    Model: Transaction,
+    filters: { status: 'Status', bookId: 'BooKID', deliveryMethod: 'DeliveryMethod' },
+    dateField: 'TransactionDate',
+    columns: ['_id', 'TransactionID', 'RequestID', 'OwnerID', 'BorrowerID', 'BooKID', 'DeliveryMethod', 'Status',
+      'TransactionDate', 'Carrier', 'TrackingNumber', 'ShippedAt', 'DeliveredAt', 'Duration', 'DueDate', 'IsOverdue',
+      'BookReturnedDate'],
+  },
+};
+
+const CONTENT_TYPES = { jsonl: 'application/x-ndjson', csv: 'text/csv' };
+
+// One CSV field; quoted when it holds a separator, quote or line break
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+// Writes to a stream, waiting while its buffer is full. Resolves false once the
+// stream is closed, e.g. when an HTTP client goes away mid-export.
+const writeTo = async (out, chunk) => {
+  if (out.destroyed) return false;
+  if (!out.write(chunk)) {
+    await Promise.race([once(out, 'drain'), once(out, 'close')]);
+  }
+  return !out.destroyed;
+};
+
+// Streams the records of `kind` matching `query` (status, bookId,
+// deliveryMethod, from, to, as for the listing routes) to `out`, oldest
+// first, as JSON lines or CSV with a header row. Returns how many were written.
+const exportRecords = async (kind, query, format, out) => {
+  const { Model, filters, dateField, columns } = EXPORTS[kind];
+  const filter = buildFilter(query, { filters, dateField });
+  const cursor = Model.find(filter).sort({ [dateField]: 1, _id: 1 }).lean().cursor();
+
+  let count = 0;
+  try {
+    if (format === 'csv' && !(await writeTo(out, csvRow(columns)))) return count;
+
+    for await (const record of cursor) {
+      const line = format === 'csv'
+        ? csvRow(columns.map((column) => record[column]))
+        : `${JSON.stringify(record)}\n`;
+      if (!(await writeTo(out, line))) break;
+      count += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+  return count;
+};
+
+// Fields whose values must not repeat, in the file or in the collection
+const UNIQUE_FIELDS = ['_id', 'RequestID'];
+
+// Why a parsed line cannot become a request, as { field: message }, or null when it can
+const validationErrors = async (request) => {
+  try {
+    await request.validate();
+    return null;
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    return Object.fromEntries(Object.entries(error.errors).map(([path, fieldError]) => [path, fieldError.message]));
+  }
+};
+
+// Rejects the candidates whose unique fields are already taken by a stored
+// request, deleted or not
+const rejectExisting = async (candidates, reject) => {
+  const existing = await Request.find({
+    $or: UNIQUE_FIELDS.map((field) => ({ [field]: { $in: candidates.map(({ request }) => request[field]) } })),
+  }).withDeleted().select(UNIQUE_FIELDS.join(' ')).lean();
+
+  const taken = Object.fromEntries(UNIQUE_FIELDS.map((field) => [field, new Set(existing.map((doc) => String(doc[field])))]));
+  return candidates.filter(({ line, request }) => {
+    const field = UNIQUE_FIELDS.find((name) => taken[name].has(String(request[name])));
+    if (field) reject(line, { [field]: 'already exists' });
+    return !field;
+  });
+};
+
+// Inserts a batch, rejecting the lines the database refuses (e.g. a duplicate
+// stored since the check). Returns the number inserted.
+const insertBatch = async (candidates, reject) => {
+  try {
+    await Request.insertMany(candidates.map(({ request }) => request), { ordered: false });
+    return candidates.length;
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    for (const writeError of error.writeErrors) {
+      const cause = writeError.err || writeError;
+      reject(candidates[writeError.index].line, { line: cause.code === 11000 ? 'duplicates an existing request' : cause.errmsg });
+    }
+    return candidates.length - error.writeErrors.length;
+  }
+};
+
+// Imports requests from JSON lines (an async iterable of strings, e.g. a
+// readline interface). Each line is checked against the Request schema on its
+// own; valid lines are inserted in batches of `batchSize`, and nothing is
+// written on a dry run. Requests without a status history get one entry for
+// their current status, recorded as imported by `actor`. Returns counts and the
+// rejected lines with the reason for each, e.g.
+//   { dryRun: false, total: 3, imported: 2, rejected: [{ line: 2, errors: { Duration: 'Path `Duration` is required.' } }] }
+const importRequests = async (lines, { dryRun = false, batchSize = DEFAULT_BATCH_SIZE, actor = 'system' } = {}) => {
+  const rejected = [];
+  const reject = (line, errors) => rejected.push({ line, errors });
+  const seen = Object.fromEntries(UNIQUE_FIELDS.map((field) => [field, new Set()]));
+  let total = 0;
+  let imported = 0;
+  let batch = [];
+
+  const flush = async () => {
+    const candidates = await rejectExisting(batch, reject);
+    batch = [];
+    if (candidates.length === 0) return;
+    imported += dryRun ? candidates.length : await insertBatch(candidates, reject);
+  };
+
+  let lineNumber = 0;
+  for await (const text of lines) {
+    lineNumber += 1;
+    if (text.trim() === '') continue;
+    total += 1;
+
+    let fields;
+    try {
+      fields = JSON.parse(text);
+    } catch (error) {
+      reject(lineNumber, { line: 'is not valid JSON' });
+      continue;
+    }
+    if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+      reject(lineNumber, { line: 'must be a JSON object' });
+      continue;
+    }
+
+    const request = new Request(fields);
+    if (request.StatusHistory.length === 0) {
+      request.StatusHistory.push({ From: null, To: request.Status, Actor: actor, Reason: 'Imported' });
+    }
+
+    const errors = await validationErrors(request);
+    if (errors) {
+      reject(lineNumber, errors);
+      continue;
+    }
+
+    const repeated = UNIQUE_FIELDS.find((field) => seen[field].has(String(request[field])));
+    if (repeated) {
+      reject(lineNumber, { [repeated]: 'appears on an earlier line' });
+      continue;
+    }
+    UNIQUE_FIELDS.forEach((field) => seen[field].add(String(request[field])));
+
+    batch.push({ line: lineNumber, request });
+    if (batch.length >= batchSize) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  rejected.sort((a, b) => a.line - b.line);
+  return { dryRun, total, imported, rejected };
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  DEFAULT_BATCH_SIZE,
+  EXPORTS,
+  FORMATS,
+  MAX_BATCH_SIZE,
+  csvRow,
+  exportRecords,
+  importRequests,
+};
@@ -0,0 +1,85 @@
+const Transaction = require('../models/Transaction');
+const events = require('./events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const computeDueDate = (deliveredAt, duration) => new Date(deliveredAt.getTime() + duration * DAY_MS);
+
+// Works out which reminder, if any, is owed for a transaction at `now`, given
+// the reminder days relative to the due date (sorted, negative = before) and
+// the days between reminders once overdue.
+// Only the latest reminder that has come due is sent; earlier ones that were
+// missed (e.g. for short loans) are marked as sent without being sent.
+const dueReminder = (transaction, now, { reminderOffsetsDays, overdueReminderIntervalDays }) => {
+  const sent = transaction.RemindersSent || [];
+  const dueDate = transaction.DueDate.getTime();
+  const daysOverdue = Math.floor((now.getTime() - dueDate) / DAY_MS);
+
+  if (daysOverdue >= overdueReminderIntervalDays) {
+    const key = `overdue-${Math.floor(daysOverdue / overdueReminderIntervalDays)}`;
+    return sent.includes(key) ? null : { key, kind: 'overdue', keys: [key], daysOverdue };
+  }
+
+  const reached = reminderOffsetsDays.filter((offset) => now.getTime() >= dueDate + offset * DAY_MS);
+  if (reached.length === 0) return null;
+
+  const offset = reached[reached.length - 1];
+  const key = `due${offset}`;
+  if (sent.includes(key)) return null;
+
+  return {
+    key,
+    kind: offset < 0 ? 'due-soon' : 'due',
+    keys: reached.map((reachedOffset) => `due${reachedOffset}`),
+    daysUntilDue: Math.abs(offset),
+  };
+};
+
+// Flags newly overdue transactions and emits the reminders that have come due.
+// `settings` are config.dueDates. Only loans due within the earliest reminder
+// offset (or already due) can owe anything, so the others are not loaded.
+const checkDueDates = async (now, settings) => {
+  const daysAhead = Math.max(0, -Math.min(...settings.reminderOffsetsDays));
+  const lent = Transaction.find({
+    Status: 'Delivered',
+    DueDate: { $ne: null, $lte: new Date(now.getTime() + daysAhead * DAY_MS) },
+  }).cursor();
+
+  for await (const transaction of lent) {
+    const update = {};
+
+    const reminder = dueReminder(transaction, now, settings);
+    if (reminder) {
+      update.$addToSet = { RemindersSent: { $each: reminder.keys } };
+    }
+
+    const becameOverdue = !transaction.IsOverdue && now > transaction.DueDate;
+    if (becameOverdue) {
+      update.$set = { IsOverdue: true };
+    }
+
+    if (!reminder && !becameOverdue) continue;
+
+    // Only the run that records the change emits, so reminders go out once
+    const filter = { _id: transaction._id, DueDate: transaction.DueDate };
+    if (reminder) filter.RemindersSent = { $ne: reminder.key };
+    if (becameOverdue) filter.IsOverdue = { $ne: true };
+
+    const result = await Transaction.updateOne(filter, update);
+    if (result.modifiedCount === 0) continue;
+
+    if (becameOverdue) {
+      events.emit(events.TRANSACTION_OVERDUE, { transaction });
+    }
+    if (reminder) {
+      const { keys, ...details } = reminder;
+      events.emit(events.TRANSACTION_REMINDER, { transaction, ...details });
+    }
+  }
+};
+
+module.exports = {
+  computeDueDate,
+  checkDueDates,
+  dueReminder,
+};
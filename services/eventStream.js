@@ -0,0 +1,87 @@
+const StreamEvent = require('../models/StreamEvent');
+const events = require('./events');
+
+// Open streams by user ID
+const clients = new Map();
+
+const write = (res, event) => {
+  res.write(`id: ${event._id}\nevent: ${event.Type}\ndata: ${JSON.stringify(event.Data)}\n\n`);
+};
+
+// Stores an event and pushes it to the connected recipients
+const publish = async (type, recipients, data) => {
+  const userIds = [...new Set(recipients.filter(Boolean).map(String))];
+  if (userIds.length === 0) return;
+
+  const event = await StreamEvent.create({ Type: type, Recipients: userIds, Data: data });
+
+  for (const userId of userIds) {
+    for (const client of clients.get(userId) || []) {
+      if (client.buffer) client.buffer.push(event);
+      else write(client.res, event);
+    }
+  }
+};
+
+// Registers a stream for the user and replays the events stored after
+// `lastEventId`. Live events arriving during the replay are held back and
+// sent afterwards so nothing is lost or sent twice.
+const connect = async (userId, res, lastEventId) => {
+  const client = { res, buffer: [] };
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(client);
+
+  res.on('close', () => {
+    const userClients = clients.get(userId);
+    userClients.delete(client);
+    if (userClients.size === 0) clients.delete(userId);
+  });
+
+  let lastSent = lastEventId;
+  if (lastEventId) {
+    const missed = await StreamEvent.find({ Recipients: userId, _id: { $gt: lastEventId } }).sort({ _id: 1 });
+    for (const event of missed) {
+      write(res, event);
+      lastSent = event._id.toString();
+    }
+  }
+
+  for (const event of client.buffer) {
+    if (!lastSent || event._id.toString() > lastSent) write(res, event);
+  }
+  client.buffer = null;
+};
+
+// Ends every open stream, e.g. on shutdown. EventSource clients reconnect on
+// their own and catch up through Last-Event-ID.
+const closeAll = () => {
+  for (const userClients of clients.values()) {
+    for (const client of userClients) client.res.end();
+  }
+};
+
+// Attaches the stream to the event bus; called once at startup
+const subscribe = () => {
+  for (const type of [events.REQUEST_CREATED, events.REQUEST_STATUS_CHANGED]) {
+    events.subscribe(type, (payload) => publish(
+      type,
+      [payload.request.RequestedBy, payload.request.RequestedTo],
+      events.serialize(payload)
+    ));
+  }
+
+  for (const type of [events.TRANSACTION_CREATED, events.TRANSACTION_STATUS_CHANGED]) {
+    events.subscribe(type, (payload) => publish(
+      type,
+      [payload.transaction.OwnerID, payload.transaction.BorrowerID],
+      events.serialize(payload)
+    ));
+  }
+};
+
+module.exports = {
+  closeAll,
+  connect,
+  publish,
+  subscribe,
+};
@@ -0,0 +1,32 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+// In-process bus for domain events. Producers emit after the change is saved;
+// listeners must not throw, and a failing listener never affects the caller.
+const events = new EventEmitter();
+
+// Event names and their payloads
+events.REQUEST_CREATED = 'request.created'; // { request, actor }
+events.REQUEST_STATUS_CHANGED = 'request.status_changed'; // { request, from, to, actor, reason, reasonCode }
+events.TRANSACTION_CREATED = 'transaction.created'; // { transaction, request, actor }
+events.TRANSACTION_STATUS_CHANGED = 'transaction.status_changed'; // { transaction, from, to, actor, reason, reasonCode }
+events.TRANSACTION_EXTENSION_REQUESTED = 'transaction.extension_requested'; // { transaction, extension, actor }
+events.TRANSACTION_EXTENSION_ANSWERED = 'transaction.extension_answered'; // { transaction, extension, actor }
+events.TRANSACTION_REMINDER = 'transaction.reminder'; // { transaction, kind, daysUntilDue | daysOverdue }
+events.TRANSACTION_OVERDUE = 'transaction.overdue'; // { transaction }
+
+// Plain-object copy of an event payload, for sending it outside the process
+events.serialize = (payload) => Object.fromEntries(
+  Object.entries(payload).map(([key, value]) => [key, value && typeof value.toJSON === 'function' ? value.toJSON() : value])
+);
+
+// Subscribes an async listener whose failures are logged instead of crashing the process
+events.subscribe = (event, listener) => {
+  events.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => listener(payload, event))
+      .catch((error) => logger.error(`Listener for ${event} failed`, { error }));
+  });
+};
+
+module.exports = events;
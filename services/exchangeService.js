@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Request = require('../models/Request');
+const Transaction = require('../models/Transaction');
+const BookLock = require('../models/BookLock');
+const CounterOffer = require('../models/CounterOffer');
+const HttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const events = require('./events');
+const rateLimit = require('./rateLimit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a book stays reserved: until the due date once the borrower has it,
+// before that the loan period counted from the transaction date
+const reservedUntil = (transaction) => transaction.DueDate
+  || new Date(transaction.TransactionDate.getTime() + transaction.Duration * DAY_MS);
+
+// Takes the lock on a book for a new transaction, or explains who holds it
+const lockBook = async (request, transaction) => {
+  try {
+    return await new BookLock({
+      BookID: request.BookID,
+      TransactionID: transaction._id,
+      RequestID: request._id,
+      ReservedFrom: transaction.TransactionDate,
+      ReservedUntil: reservedUntil(transaction),
+    }).save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const lock = await BookLock.findOne({ BookID: request.BookID });
+    throw new HttpError(409, `Book ${request.BookID} is already lent under transaction ${lock ? lock.TransactionID : 'unknown'}`, {
+      BlockingTransactionID: lock ? lock.TransactionID : null,
+      ReservedUntil: lock ? lock.ReservedUntil : null,
+    });
+  }
+};
+
+// Makes the book of a finished or cancelled transaction available again
+const releaseBook = (transaction) => BookLock.deleteOne({ TransactionID: transaction._id });
+
+// Keeps the book's reservation in step with the transaction once its due date
+// or terms change
+const updateReservation = (transaction) => BookLock.updateOne(
+  { TransactionID: transaction._id },
+  { ReservedFrom: transaction.TransactionDate, ReservedUntil: reservedUntil(transaction) }
+);
+
+// Closes the counter-offers still awaiting an answer on a request that has
+// been decided some other way
+const supersedeOpenOffers = (request) => CounterOffer.updateMany(
+  { RequestID: request._id, Status: 'Pending' },
+  { Status: 'Superseded' }
+);
+
+// Rejects the other open requests for a book that has just been lent, along
+// with any counter-offer under negotiation on them
+const rejectCompetingRequests = async (request, actor) => {
+  const competing = await Request.find({
+    _id: { $ne: request._id },
+    BookID: request.BookID,
+    Status: { $in: ['Pending', 'Modified'] },
+  });
+
+  const rejected = [];
+  for (const other of competing) {
+    other.transitionTo('Rejected', { actor, reason: `Book lent under request ${request._id}` });
+    try {
+      rejected.push(await other.save());
+      await supersedeOpenOffers(other);
+    } catch (error) {
+      // A request changed meanwhile keeps its new state
+      if (!(error instanceof mongoose.Error.VersionError)) throw error;
+    }
+  }
+  return rejected;
+};
+
+// Seconds until the first of the matching open requests is expired by the
+// request-expiry job, which frees a place under a cap at the latest; an answer
+// or a withdrawal frees one sooner
+const secondsUntilFirstExpiry = async (filter) => {
+  const { pendingTtlDays, intervalMs } = config.requestExpiry;
+  const [first] = await Request.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        expiresAt: { $min: { $ifNull: ['$ResponseDeadline', { $add: ['$RequestDate', pendingTtlDays * DAY_MS] }] } },
+      },
+    },
+  ]);
+  const freedAt = first ? first.expiresAt.getTime() + intervalMs : Date.now();
+  return Math.max(Math.ceil((freedAt - Date.now()) / 1000), 1);
+};
+
+// Refuses a new request when the borrower or the book already has too many
+// open requests (config.pendingCaps), saying in details.retryAfter when a place
+// frees up at the latest. Counted outside the insert, so concurrent calls can
+// overshoot by a few; the per-user rate limit keeps that small.
+const checkPendingCaps = async (requesterId, bookId) => {
+  const { perBorrower, perBook } = config.pendingCaps;
+  const open = { Status: { $in: ['Pending', 'Modified'] } };
+
+  const byBorrowerFilter = { ...open, RequestedBy: String(requesterId) };
+  const forBookFilter = { ...open, BookID: String(bookId) };
+  const [byBorrower, forBook] = await Promise.all([
+    Request.countDocuments(byBorrowerFilter),
+    Request.countDocuments(forBookFilter),
+  ]);
+
+  const overBorrower = byBorrower >= perBorrower;
+  rateLimit.record('pending-per-borrower', overBorrower);
+  if (overBorrower) {
+    const retryAfter = await secondsUntilFirstExpiry(byBorrowerFilter);
+    throw new HttpError(429, `You already have ${byBorrower} open requests; wait for an answer or cancel one first`, { retryAfter });
+  }
+
+  const overBook = forBook >= perBook;
+  rateLimit.record('pending-per-book', overBook);
+  if (overBook) {
+    const retryAfter = await secondsUntilFirstExpiry(forBookFilter);
+    throw new HttpError(429, `Book ${bookId} already has ${forBook} open requests; try again later`, { retryAfter });
+  }
+};
+
+// Inserts the transaction of a request, copying the parties and terms from it.
+// The unique RequestID index makes a second transaction for the same request fail.
+const insertTransaction = async (request, actor) => {
+  try {
+    const newTransaction = new Transaction({
+      RequestID: request._id,
+      OwnerID: request.RequestedTo,
+      BorrowerID: request.RequestedBy,
+      BooKID: request.BookID,
+      DeliveryMethod: request.DeliveryMethod,
+      Duration: request.Duration,
+      Status: 'Pending',
+      TransactionDate: new Date(), // Current date
+    });
+    newTransaction.$locals.actor = actor;
+    return await newTransaction.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(409, 'A transaction already exists for this request');
+    }
+    throw error;
+  }
+};
+
+const rollback = (model, filter) => model.deleteOne(filter)
+  .catch((rollbackError) => logger.error(`Failed to roll back ${model.modelName}`, { error: rollbackError }));
+
+// Inserts the transaction and takes the book lock, removing the transaction
+// again when the book is already lent
+const openTransaction = async (request, actor) => {
+  const transaction = await insertTransaction(request, actor);
+
+  try {
+    await lockBook(request, transaction);
+  } catch (error) {
+    await rollback(Transaction, { _id: transaction._id });
+    throw error;
+  }
+  return transaction;
+};
+
+// Takes over the transaction an earlier acceptance of the same, still open
+// request left behind when it stopped half-way (the process died, or its
+// rollback failed). The terms are copied again, as they may have been
+// renegotiated since, and the book lock is taken if it is missing.
+const adoptTransaction = async (request, transaction, actor) => {
+  transaction.set({ DeliveryMethod: request.DeliveryMethod, Duration: request.Duration });
+  transaction.$locals.actor = actor;
+  await transaction.save();
+
+  if (await BookLock.exists({ TransactionID: transaction._id })) {
+    await updateReservation(transaction);
+  } else {
+    await lockBook(request, transaction);
+  }
+  return transaction;
+};
+
+// Accepts a request and creates its transaction as a single unit.
+// The transaction is inserted first, so a concurrent acceptance fails before
+// anything else is touched. The book lock comes next, then the request is
+// saved as Accepted; if a step fails, the records created by the earlier
+// steps are removed again. A transaction left behind by an interrupted
+// acceptance is taken over rather than blocking every retry.
+const acceptRequest = async (request, { actor, reason }) => {
+  if (!request.canTransitionTo('Accepted')) {
+    throw new HttpError(409, `Cannot change status from ${request.Status} to Accepted`);
+  }
+
+  const leftover = await Transaction.findOne({ RequestID: request._id, Status: 'Pending' });
+  const transaction = leftover
+    ? await adoptTransaction(request, leftover, actor)
+    : await openTransaction(request, actor);
+
+  try {
+    request.transitionTo('Accepted', { actor, reason });
+    await request.save();
+  } catch (error) {
+    // A concurrent acceptance that won keeps the transaction, which is now its own
+    const acceptedMeanwhile = await Request.exists({ _id: request._id, Status: 'Accepted' }).catch(() => null);
+    if (!acceptedMeanwhile) {
+      await rollback(BookLock, { TransactionID: transaction._id });
+      await rollback(Transaction, { _id: transaction._id });
+    }
+
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new HttpError(409, 'Request was modified concurrently, please retry', {}, 'CONCURRENT_MODIFICATION');
+    }
+    throw error;
+  }
+
+  events.emit(events.TRANSACTION_CREATED, { transaction, request, actor });
+
+  const rejectedRequests = await rejectCompetingRequests(request, actor);
+
+  return { request, transaction, rejectedRequests };
+};
+
+// Creates the missing transaction of an already accepted request, e.g. after
+// an admin removed it by mistake
+const createTransactionForRequest = async (request, { actor }) => {
+  if (request.Status !== 'Accepted') {
+    throw new HttpError(409, `Request is ${request.Status}; transactions are only created for accepted requests`);
+  }
+
+  // A deleted transaction still holds the request's place
+  const deleted = await Transaction.findOne({ RequestID: request._id, deletedAt: { $ne: null } });
+  if (deleted) {
+    throw new HttpError(409, 'The transaction of this request is deleted; restore it instead', { TransactionID: deleted._id });
+  }
+
+  const transaction = await openTransaction(request, actor);
+  events.emit(events.TRANSACTION_CREATED, { transaction, request, actor });
+  return transaction;
+};
+
+// Transaction statuses after which the book is free again
+const FINISHED_TRANSACTION_STATUSES = ['Returned', 'Cancelled'];
+
+// Cancels a transaction, frees its book for other requesters and cancels the
+// accepted request it came from with the same reason, so the two never
+// disagree. Pass `request` when the caller already holds the request document.
+const cancelTransaction = async (transaction, { actor, reasonCode, reason = '', request }) => {
+  transaction.transitionTo('Cancelled', { actor, reasonCode, reason });
+  const cancelledTransaction = await transaction.save();
+  await releaseBook(cancelledTransaction);
+
+  const accepted = request || await Request.findById(transaction.RequestID);
+  if (accepted && accepted.canTransitionTo('Cancelled')) {
+    accepted.transitionTo('Cancelled', { actor, reasonCode, reason });
+    await accepted.save();
+  }
+  return cancelledTransaction;
+};
+
+// Soft-deletes a request together with its transaction, so the transaction is
+// never left pointing at a missing request. An unfinished transaction blocks
+// the deletion unless `cascade` is set, in which case it is cancelled first,
+// with the request, and the book released; a book already delivered has to be
+// returned first.
+const deleteRequest = async (request, { actor, cascade = false }) => {
+  const transaction = await Transaction.findOne({ RequestID: request._id });
+
+  if (transaction && !FINISHED_TRANSACTION_STATUSES.includes(transaction.Status)) {
+    if (!cascade || !transaction.canTransitionTo('Cancelled')) {
+      const message = cascade
+        ? `Request has a ${transaction.Status} transaction that cannot be cancelled; record the return of the book first`
+        : `Request has a ${transaction.Status} transaction; cancel it first or delete with cascade=true`;
+      throw new HttpError(409, message, { BlockingTransactionID: transaction._id });
+    }
+    await cancelTransaction(transaction, { actor, reasonCode: 'request-deleted', request });
+  }
+
+  // Both share the deletion time, which is how restoring the request finds the transaction
+  const deletedAt = new Date();
+  if (transaction) await transaction.softDelete(actor, deletedAt).save();
+  return request.softDelete(actor, deletedAt).save();
+};
+
+// Brings back a soft-deleted request and the transaction deleted with it
+const restoreRequest = async (request) => {
+  const transaction = await Transaction.findOne({ RequestID: request._id, deletedAt: request.deletedAt });
+  if (transaction) await transaction.restore().save();
+  return request.restore().save();
+};
+
+// Soft-deletes a finished transaction. An unfinished one still holds the book
+// and its accepted request, so it has to be cancelled or returned first.
+const deleteTransaction = async (transaction, { actor }) => {
+  if (!FINISHED_TRANSACTION_STATUSES.includes(transaction.Status)) {
+    throw new HttpError(409, `Transaction is ${transaction.Status}; cancel it or record the return of the book first`);
+  }
+  return transaction.softDelete(actor).save();
+};
+
+// Brings back a soft-deleted transaction, unless its request is deleted.
+// Only finished transactions are deleted, so there is no book to lock again.
+const restoreTransaction = async (transaction) => {
+  const request = await Request.findById(transaction.RequestID).withDeleted();
+  if (request && request.isDeleted()) {
+    throw new HttpError(409, 'The request of this transaction is deleted; restore the request instead');
+  }
+  return transaction.restore().save();
+};
+
+module.exports = {
+  FINISHED_TRANSACTION_STATUSES,
+  acceptRequest,
+  cancelTransaction,
+  checkPendingCaps,
+  createTransactionForRequest,
+  deleteRequest,
+  deleteTransaction,
+  releaseBook,
+  restoreRequest,
+  restoreTransaction,
+  supersedeOpenOffers,
+  updateReservation,
+};
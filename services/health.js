@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const CONNECTION_STATES = {
+  0: 'disconnected',
+  1: 'connected',
+  2: 'connecting',
+  3: 'disconnecting',
+};
+
+let draining = false;
+
+// Called on shutdown so load balancers stop sending calls before the server closes
+const markDraining = () => {
+  draining = true;
+};
+
+// Whether this instance should receive traffic: MongoDB is connected and the
+// process is not shutting down
+const readiness = () => {
+  const mongo = CONNECTION_STATES[mongoose.connection.readyState] || 'unknown';
+  return {
+    ready: mongo === 'connected' && !draining,
+    checks: { mongo, draining },
+  };
+};
+
+module.exports = {
+  markDraining,
+  readiness,
+};
@@ -0,0 +1,92 @@
+const client = require('prom-client');
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const events = require('./events');
+const rateLimit = require('./rateLimit');
+
+// Prometheus metrics, served as text by GET /metrics. Business counters count
+// the events of this process; Prometheus adds them up across instances.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const requestsCreated = new client.Counter({
+  name: 'exchange_requests_created_total',
+  help: 'Book requests created',
+  registers: [registry],
+});
+
+const requestsAccepted = new client.Counter({
+  name: 'exchange_requests_accepted_total',
+  help: 'Book requests accepted',
+  registers: [registry],
+});
+
+const requestsRejected = new client.Counter({
+  name: 'exchange_requests_rejected_total',
+  help: 'Book requests rejected, by the owner or because the book was lent under another request',
+  registers: [registry],
+});
+
+const transactionStatusChanges = new client.Counter({
+  name: 'exchange_transaction_status_changes_total',
+  help: 'Transactions entering each status, including Pending on creation',
+  labelNames: ['status'],
+  registers: [registry],
+});
+
+// Read from the database at scrape time; keeps the last values while it is unreachable
+new client.Gauge({
+  name: 'exchange_transactions',
+  help: 'Transactions currently in each status',
+  labelNames: ['status'],
+  registers: [registry],
+  async collect() {
+    if (mongoose.connection.readyState !== 1) return;
+    const counts = await Transaction.aggregate([{ $group: { _id: '$Status', count: { $sum: 1 } } }]);
+    this.reset();
+    for (const { _id: status, count } of counts) this.set({ status }, count);
+  },
+});
+
+// The rate limiter keeps its own counters (also served at /api/metrics/rate-limits);
+// they are copied in at scrape time
+new client.Counter({
+  name: 'rate_limit_decisions_total',
+  help: 'Calls allowed and throttled by each rate limiter and open-request cap',
+  labelNames: ['limiter', 'outcome'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const [limiter, { allowed, throttled }] of Object.entries(rateLimit.metrics())) {
+      this.inc({ limiter, outcome: 'allowed' }, allowed);
+      this.inc({ limiter, outcome: 'throttled' }, throttled);
+    }
+  },
+});
+
+// Counts the business events; called once at startup
+const subscribe = () => {
+  events.subscribe(events.REQUEST_CREATED, () => requestsCreated.inc());
+
+  events.subscribe(events.REQUEST_STATUS_CHANGED, ({ to }) => {
+    if (to === 'Accepted') requestsAccepted.inc();
+    if (to === 'Rejected') requestsRejected.inc();
+  });
+
+  events.subscribe(events.TRANSACTION_CREATED, () => transactionStatusChanges.inc({ status: 'Pending' }));
+  events.subscribe(events.TRANSACTION_STATUS_CHANGED, ({ to }) => transactionStatusChanges.inc({ status: to }));
+};
+
+module.exports = {
+  httpRequestDuration,
+  registry,
+  subscribe,
+};
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+const User = require('../../models/User');
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const { host, port, secure, user, password } = config.notifications.email;
+    transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+    });
+  }
+  return transport;
+};
+
+// Emails the notification to the user's registered address
+const send = async (notification) => {
+  const user = await User.findById(notification.UserID).select('Email');
+  if (!user) return; // Not a registered user, nothing to send to
+
+  await getTransport().sendMail({
+    from: config.notifications.email.from,
+    to: user.Email,
+    subject: notification.Type,
+    text: notification.Message,
+  });
+};
+
+module.exports = {
+  send,
+};
@@ -0,0 +1,8 @@
+const Notification = require('../../models/Notification');
+
+// Stores the notification so the user sees it through /api/notification
+const send = (notification) => Notification.create(notification);
+
+module.exports = {
+  send,
+};
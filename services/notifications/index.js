@@ -0,0 +1,143 @@
+const config = require('../../config');
+const events = require('../events');
+const { labelOf } = require('../reasonCodes');
+const logger = require('../../utils/logger');
+
+// Delivery channels by name; each exposes send(notification)
+const channels = {
+  inApp: require('./inAppChannel'),
+  email: require('./emailChannel'),
+};
+
+const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+// The configured channels that exist
+const enabledChannels = () => config.notifications.channels.filter((name) => channels[name]);
+
+// Sends a notification through every enabled channel. A failing channel does
+// not stop the others.
+const notify = async (notification) => {
+  const names = enabledChannels();
+  const results = await Promise.allSettled(names.map((name) => channels[name].send(notification)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error(`Notification channel ${names[index]} failed`, { error: result.reason });
+    }
+  });
+};
+
+// Notifies each user once, skipping the user who caused the event
+const notifyUsers = (userIds, actor, notification) => Promise.all(
+  [...new Set(userIds.filter(Boolean).map(String))]
+    .filter((userId) => userId !== String(actor))
+    .map((userId) => notify({ ...notification, UserID: userId }))
+);
+
+const REQUEST_STATUS_MESSAGES = {
+  Accepted: (request) => `Your request to borrow Book ID ${request.BookID} was accepted.`,
+  Rejected: (request) => `Your request to borrow Book ID ${request.BookID} was rejected.`,
+  Modified: (request) => `A counter-offer was made on the request for Book ID ${request.BookID}.`,
+  Pending: (request) => `The request for Book ID ${request.BookID} is awaiting a decision again.`,
+  Cancelled: (request) => `The request for Book ID ${request.BookID} was cancelled.`,
+  Expired: (request) => `The request for Book ID ${request.BookID} expired without an answer.`,
+};
+
+// Adds the reason given for a withdrawal, decline or cancellation
+const withReason = (message, { reasonCode, reason }) => {
+  if (!reasonCode) return message;
+  return `${message} Reason: ${reasonCode === 'other' ? reason : labelOf(reasonCode)}.`;
+};
+
+const REMINDER_MESSAGES = {
+  'due-soon': ({ transaction, daysUntilDue }) => `Book ID ${transaction.BooKID} is due back in ${daysUntilDue} day(s).`,
+  due: ({ transaction }) => `Book ID ${transaction.BooKID} is due back today.`,
+  overdue: ({ transaction, daysOverdue }) => `Book ID ${transaction.BooKID} is ${daysOverdue} day(s) overdue.`,
+};
+
+// Attaches the notification rules to the event bus; called once at startup
+const subscribe = () => {
+  events.subscribe(events.REQUEST_CREATED, ({ request }) => Promise.all([
+    notify({
+      UserID: request.RequestedBy,
+      Message: `You have successfully requested to borrow Book ID ${request.BookID}.`,
+      Type: 'Exchange Request',
+      RequestID: request._id,
+    }),
+    notify({
+      UserID: request.RequestedTo,
+      Message: `User ID ${request.RequestedBy} has requested to borrow your book.`,
+      Type: 'Exchange Request',
+      RequestID: request._id,
+    }),
+  ]));
+
+  events.subscribe(events.REQUEST_STATUS_CHANGED, async ({ request, from, to, actor, ...why }) => {
+    // An accepted request is only cancelled with its transaction, whose notification covers both
+    if (from === 'Accepted') return;
+    await notifyUsers(
+      [request.RequestedBy, request.RequestedTo],
+      actor,
+      { Message: withReason(REQUEST_STATUS_MESSAGES[to](request), why), Type: 'Exchange Status Update', RequestID: request._id }
+    );
+  });
+
+  events.subscribe(events.TRANSACTION_STATUS_CHANGED, ({ transaction, to, actor, ...why }) => notifyUsers(
+    [transaction.OwnerID, transaction.BorrowerID],
+    actor,
+    {
+      Message: withReason(`The exchange of Book ID ${transaction.BooKID} is now ${to}.`, why),
+      Type: 'Transaction Update',
+      RequestID: transaction.RequestID,
+      TransactionID: transaction._id,
+    }
+  ));
+
+  events.subscribe(events.TRANSACTION_EXTENSION_REQUESTED, ({ transaction, extension, actor }) => notifyUsers(
+    [transaction.OwnerID],
+    actor,
+    {
+      Message: `The borrower of Book ID ${transaction.BooKID} asked to keep it ${extension.Days} more day(s).`,
+      Type: 'Transaction Update',
+      TransactionID: transaction._id,
+    }
+  ));
+
+  events.subscribe(events.TRANSACTION_EXTENSION_ANSWERED, ({ transaction, extension, actor }) => notifyUsers(
+    [transaction.BorrowerID],
+    actor,
+    {
+      Message: `Your extension for Book ID ${transaction.BooKID} was ${extension.Status.toLowerCase()}.`,
+      Type: 'Transaction Update',
+      TransactionID: transaction._id,
+    }
+  ));
+
+  events.subscribe(events.TRANSACTION_OVERDUE, ({ transaction }) => notifyUsers(
+    [transaction.BorrowerID, transaction.OwnerID],
+    null,
+    {
+      Message: `Book ID ${transaction.BooKID} is overdue; it was due back on ${transaction.DueDate.toDateString()}.`,
+      Type: 'Due Date Reminder',
+      TransactionID: transaction._id,
+    }
+  ));
+
+  events.subscribe(events.TRANSACTION_REMINDER, (reminder) => notifyUsers(
+    reminder.kind === 'overdue' ? [reminder.transaction.BorrowerID, reminder.transaction.OwnerID] : [reminder.transaction.BorrowerID],
+    null,
+    {
+      Message: REMINDER_MESSAGES[reminder.kind](reminder),
+      Type: 'Due Date Reminder',
+      TransactionID: reminder.transaction._id,
+    }
+  ));
+};
+
+module.exports = {
+  notify,
+  registerChannel,
+  subscribe,
+};
@@ -0,0 +1,60 @@
+const Redis = require('ioredis');
+const createMemoryStore = require('./memoryStore');
+const createRedisStore = require('./redisStore');
+const logger = require('../../utils/logger');
+
+// Where the counters live; in memory unless useStore is given a shared store.
+// A store exposes increment(key, windowMs) resolving to { count, resetAt }.
+let store = createMemoryStore();
+
+const useStore = (newStore) => {
+  store = newStore;
+};
+
+// Commands fail at once while Redis is unreachable instead of queueing, so the
+// limiters let calls through rather than holding them
+const connectRedis = (url) => {
+  const client = new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+  client.on('error', (error) => logger.error('Rate limit Redis connection failed', { error }));
+  return client;
+};
+
+// The store selected by config.rateLimits: `store` is memory or redis, the
+// latter connecting to `redisUrl` through `connect`
+const createStore = ({ store: name, redisUrl }, { connect = connectRedis } = {}) => (name === 'redis'
+  ? createRedisStore(connect(redisUrl))
+  : createMemoryStore());
+
+// Allowed and throttled calls per limiter, since startup
+const counters = {};
+
+const record = (name, throttled) => {
+  counters[name] = counters[name] || { allowed: 0, throttled: 0 };
+  counters[name][throttled ? 'throttled' : 'allowed'] += 1;
+};
+
+const metrics = () => JSON.parse(JSON.stringify(counters));
+
+// Counts a hit against the limit and tells whether it is allowed
+const hit = async (name, id, { max, windowMs }) => {
+  const { count, resetAt } = await store.increment(`${name}:${id}`, windowMs);
+  const allowed = count <= max;
+
+  record(name, !allowed);
+  return {
+    allowed,
+    limit: max,
+    remaining: Math.max(max - count, 0),
+    resetAt,
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createStore,
+  hit,
+  metrics,
+  record,
+  useStore,
+};
@@ -0,0 +1,36 @@
+// Fixed-window counters kept in process memory. Only correct for a single
+// instance; run several instances against a shared Redis store instead.
+const SWEEP_EVERY = 1000; // Drop expired windows after this many increments
+
+const createMemoryStore = () => {
+  const windows = new Map();
+  let increments = 0;
+
+  const sweep = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    // Counts a hit and returns { count, resetAt } of the current window
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (++increments % SWEEP_EVERY === 0) sweep(now);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    async reset() {
+      windows.clear();
+    },
+  };
+};
+
+module.exports = createMemoryStore;
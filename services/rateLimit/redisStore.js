@@ -0,0 +1,19 @@
+// Fixed-window counters in Redis, shared by every instance of the service.
+// Takes a connected client exposing incr, pexpire and pttl, such as ioredis
+// or anything with the same commands.
+const createRedisStore = (client, { prefix = 'ratelimit:' } = {}) => ({
+  async increment(key, windowMs) {
+    const redisKey = `${prefix}${key}`;
+    const count = await client.incr(redisKey);
+
+    let ttl = await client.pttl(redisKey);
+    // First hit of the window, or a key left without expiry by a crash between commands
+    if (count === 1 || ttl < 0) {
+      await client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+    return { count, resetAt: Date.now() + ttl };
+  },
+});
+
+module.exports = createRedisStore;
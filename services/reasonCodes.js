@@ -0,0 +1,51 @@
+const HttpError = require('../utils/httpError');
+
+// Reason codes for backing out of an exchange, by flow, with the wording used
+// in notifications. The route docs list the same codes in their input schemas.
+const WITHDRAWAL_REASONS = {
+  'no-longer-needed': 'the book is no longer needed',
+  'found-elsewhere': 'the book was found elsewhere',
+  'terms-changed': 'the terms no longer suit the requester',
+  other: 'other',
+};
+
+const DECLINE_REASONS = {
+  'not-available': 'the book is not available',
+  'already-promised': 'the book is promised to someone else',
+  'terms-unacceptable': 'the terms do not suit the owner',
+  other: 'other',
+};
+
+const CANCELLATION_REASONS = {
+  'no-longer-needed': 'the book is no longer needed',
+  'not-available': 'the book is not available any more',
+  'no-show': 'the other party did not show up',
+  'cannot-deliver': 'the book cannot be delivered',
+  'mutual-agreement': 'both parties agreed to call it off',
+  other: 'other',
+};
+
+// Set by the service itself rather than given by a caller
+const SYSTEM_REASONS = {
+  'request-deleted': 'the request was deleted',
+};
+
+const LABELS = { ...WITHDRAWAL_REASONS, ...DECLINE_REASONS, ...CANCELLATION_REASONS, ...SYSTEM_REASONS };
+
+const labelOf = (reasonCode) => LABELS[reasonCode] || reasonCode;
+
+// 'other' says nothing on its own, so it needs the reason spelled out
+const checkReason = ({ reasonCode, reason }) => {
+  if (reasonCode === 'other' && !(reason && reason.trim())) {
+    throw new HttpError(400, 'Request validation failed', { 'body.reason': 'is required when reasonCode is other' }, 'VALIDATION_ERROR');
+  }
+};
+
+module.exports = {
+  CANCELLATION_REASONS,
+  DECLINE_REASONS,
+  SYSTEM_REASONS,
+  WITHDRAWAL_REASONS,
+  checkReason,
+  labelOf,
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const logger = require('../utils/logger');
+const { supersedeOpenOffers } = require('./exchangeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses in which a request is still waiting for an answer
+const OPEN_STATUSES = ['Pending', 'Modified'];
+
+// Deadline given to a new request when the owner has not set one
+const defaultDeadline = (requestDate, { pendingTtlDays }) => new Date(requestDate.getTime() + pendingTtlDays * DAY_MS);
+
+// Moves the open requests whose response deadline has passed to Expired. The
+// change is recorded in the status history as made by 'system', and the
+// status event notifies the requester. Counter-offers still awaiting an answer
+// are superseded. Requests without a deadline, e.g.
+// imported ones, expire `pendingTtlDays` after their RequestDate.
+const expireStaleRequests = async (now, settings) => {
+  const stale = Request.find({
+    Status: { $in: OPEN_STATUSES },
+    $or: [
+      { ResponseDeadline: { $lte: now } },
+      { ResponseDeadline: null, RequestDate: { $lte: new Date(now.getTime() - settings.pendingTtlDays * DAY_MS) } },
+    ],
+  }).cursor();
+
+  let expired = 0;
+  for await (const request of stale) {
+    try {
+      request.transitionTo('Expired', { actor: 'system', reason: 'No answer before the response deadline' });
+      await request.save();
+      await supersedeOpenOffers(request);
+      expired += 1;
+    } catch (error) {
+      // Answered or withdrawn while this run was going; it is no longer stale
+      if (error instanceof mongoose.Error.VersionError) continue;
+      throw error;
+    }
+  }
+
+  if (expired > 0) {
+    logger.info('Expired stale requests', { expired });
+  }
+  return expired;
+};
+
+module.exports = {
+  defaultDeadline,
+  expireStaleRequests,
+};
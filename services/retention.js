@@ -0,0 +1,96 @@
+const Archive = require('../models/Archive');
+const Request = require('../models/Request');
+const Transaction = require('../models/Transaction');
+const logger = require('../utils/logger');
+const { FINISHED_TRANSACTION_STATUSES } = require('./exchangeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+// Request statuses after which only the transaction can still change; an
+// accepted request is archived once its transaction has been
+const FINISHED_REQUEST_STATUSES = ['Accepted', 'Rejected', 'Cancelled', 'Expired'];
+
+// Records finished before the cutoff, and records deleted before it
+const retentionFilter = (finished, cutoff) => ({
+  $or: [finished, { deletedAt: { $lt: cutoff } }],
+});
+
+// Requests are finished once in a final status; updatedAt tells since when
+const finishedRequests = (cutoff) => ({
+  Status: { $in: FINISHED_REQUEST_STATUSES },
+  updatedAt: { $lt: cutoff },
+});
+
+// Transactions have no updatedAt; their last status change tells instead
+const finishedTransactions = (cutoff) => ({
+  Status: { $in: FINISHED_TRANSACTION_STATUSES },
+  TransactionDate: { $lt: cutoff },
+  'StatusHistory.Timestamp': { $not: { $gte: cutoff } },
+});
+
+// Copies the batch into the archive, then removes it from its collection.
+// The copy is an upsert, so a run stopped in between is finished by the next.
+const moveToArchive = async (Model, entity, docs) => {
+  await Archive.bulkWrite(docs.map((doc) => ({
+    updateOne: {
+      filter: { Entity: entity, RecordID: doc._id },
+      update: { $setOnInsert: { Record: doc, ArchivedAt: new Date() } },
+      upsert: true,
+    },
+  })), { ordered: false });
+  await Model.deleteMany({ _id: { $in: docs.map((doc) => doc._id) } }).withDeleted();
+};
+
+// Walks the matching documents in batches of BATCH_SIZE by _id; `keep` drops
+// the ones that must stay. Returns how many were archived.
+const archiveMatching = async (Model, entity, filter, keep = async () => new Set()) => {
+  let archived = 0;
+  let lastId = null;
+
+  for (;;) {
+    const batch = await Model.find({ ...filter, ...(lastId && { _id: { $gt: lastId } }) })
+      .withDeleted()
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) return archived;
+    lastId = batch[batch.length - 1]._id;
+
+    const kept = await keep(batch);
+    const docs = batch.filter((doc) => !kept.has(String(doc._id)));
+    if (docs.length > 0) {
+      await moveToArchive(Model, entity, docs);
+      archived += docs.length;
+    }
+  }
+};
+
+// A request stays while it still has a transaction, deleted or not
+const requestsWithTransactions = async (requests) => {
+  const transactions = await Transaction.find({ RequestID: { $in: requests.map((request) => request._id) } })
+    .withDeleted()
+    .select('RequestID')
+    .lean();
+  return new Set(transactions.map((transaction) => String(transaction.RequestID)));
+};
+
+// Moves to the archive the transactions and requests finished or deleted more
+// than `afterDays` days before `now`. Transactions go first so their requests
+// can follow in the same run.
+const archiveOldRecords = async (now, { afterDays }) => {
+  const cutoff = new Date(now.getTime() - afterDays * DAY_MS);
+
+  const transactions = await archiveMatching(Transaction, 'transaction', retentionFilter(finishedTransactions(cutoff), cutoff));
+  const requests = await archiveMatching(Request, 'request', retentionFilter(finishedRequests(cutoff), cutoff), requestsWithTransactions);
+
+  if (transactions + requests > 0) {
+    logger.info('Archived old records', { requests, transactions, cutoff });
+  }
+  return { requests, transactions };
+};
+
+module.exports = {
+  BATCH_SIZE,
+  archiveOldRecords,
+};
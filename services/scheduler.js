@@ -0,0 +1,35 @@
+const logger = require('../utils/logger');
+
+// Minimal in-process job runner: each job runs on its own interval and a run
+// is skipped while the previous one is still going
+const jobs = [];
+
+const schedule = (name, intervalMs, task) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task(new Date());
+    } catch (error) {
+      logger.error(`Scheduled job ${name} failed`, { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref(); // Never keep the process alive just for a job
+  jobs.push({ name, timer, run });
+  return run;
+};
+
+const stopAll = () => {
+  for (const job of jobs.splice(0)) clearInterval(job.timer);
+};
+
+module.exports = {
+  schedule,
+  stopAll,
+};
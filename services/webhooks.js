@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const events = require('./events');
+
+// Events that can be subscribed to
+const WEBHOOK_EVENTS = [
+  events.REQUEST_CREATED,
+  events.REQUEST_STATUS_CHANGED,
+  events.TRANSACTION_CREATED,
+  events.TRANSACTION_STATUS_CHANGED,
+  events.TRANSACTION_OVERDUE,
+];
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const LEASE_MS = 60 * 1000; // How long a claimed delivery is hidden from other workers
+
+// Signature sent in X-Webhook-Signature: HMAC-SHA256 of "<timestamp>.<body>"
+const sign = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Posts a delivery once and records the outcome. The delivery is claimed
+// first so two workers never send it at the same time.
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, Status: { $in: ['Pending', 'Retrying'] }, NextAttemptAt: { $lte: now } },
+    { NextAttemptAt: new Date(now.getTime() + LEASE_MS) },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.SubscriptionID).select('+Secret');
+  if (!subscription || !subscription.Active) {
+    delivery.Status = 'DeadLettered';
+    delivery.Attempts.push({ Error: 'Subscription was removed or deactivated' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.Payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const attempt = { At: now };
+
+  try {
+    const response = await fetch(subscription.Url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Scalable-Request-Service-Webhooks',
+        'X-Webhook-Event': delivery.Event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(subscription.Secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    attempt.StatusCode = response.status;
+    if (!response.ok) attempt.Error = `HTTP ${response.status}`;
+  } catch (error) {
+    attempt.Error = error.message;
+  }
+  attempt.DurationMs = Date.now() - now.getTime();
+
+  delivery.Attempts.push(attempt);
+  delivery.AttemptCount += 1;
+
+  // Dead-lettered after maxAttempts; the delay before a retry doubles after each failure
+  const { maxAttempts, retryBaseDelayMs: baseDelayMs } = config.webhooks;
+  if (!attempt.Error) {
+    delivery.Status = 'Succeeded';
+  } else if (delivery.AttemptCount >= maxAttempts) {
+    delivery.Status = 'DeadLettered';
+  } else {
+    // Exponential backoff: base, 2 x base, 4 x base, ...
+    delivery.Status = 'Retrying';
+    delivery.NextAttemptAt = new Date(Date.now() + baseDelayMs * 2 ** (delivery.AttemptCount - 1));
+  }
+
+  return delivery.save();
+};
+
+// Queues a delivery of the event to every active subscription and tries each once right away
+const dispatch = async (type, payload) => {
+  const subscriptions = await WebhookSubscription.find({ Active: true, Events: type });
+  const data = events.serialize(payload);
+
+  const deliveries = await WebhookDelivery.insertMany(subscriptions.map((subscription) => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      SubscriptionID: subscription._id,
+      Event: type,
+      Payload: { id: _id.toString(), type, createdAt: new Date().toISOString(), data },
+    };
+  }));
+
+  await Promise.all(deliveries.map((delivery) => attemptDelivery(delivery._id)));
+};
+
+// Retries the deliveries whose backoff has elapsed; run by the scheduler
+const retryDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ Status: { $in: ['Pending', 'Retrying'] }, NextAttemptAt: { $lte: now } })
+    .select('_id')
+    .sort({ NextAttemptAt: 1 })
+    .limit(100);
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery._id);
+  }
+};
+
+// Attaches the dispatcher to the event bus; called once at startup
+const subscribe = () => {
+  for (const type of WEBHOOK_EVENTS) {
+    events.subscribe(type, (payload) => dispatch(type, payload));
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  attemptDelivery,
+  generateSecret,
+  retryDueDeliveries,
+  sign,
+  subscribe,
+};
@@ -1,3 +1,4 @@
+const path = require('path');
 const swaggerJSDoc = require('swagger-jsdoc');
 
 const swaggerDefinition = {
@@ -5,13 +6,31 @@ openapi: '3.0.0',
 info: {
 title: 'Request/Transaction API',
 version: '1.0.0',
-description: 'Request/Transaction API Description',
+description: 'Request/Transaction API Description. Every error response carries the Error schema.',
+},
+// Paths in the route docs are relative to where App.js mounts the routers
+servers: [{ url: '/api' }],
+components: {
+securitySchemes: {
+bearerAuth: {
+type: 'http',
+scheme: 'bearer',
+bearerFormat: 'JWT',
+description: 'Access token from /auth/login, /auth/register or /auth/refresh',
+},
+},
+responses: {
+Unauthorized: {
+description: 'Missing or invalid access token',
+content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+},
+},
 },
 };
 
 const options = {
 swaggerDefinition,
-apis: ['routes/*.js'], // Path to the API routes in your Node.js application
+apis: [path.join(__dirname, 'Auth.js'), path.join(__dirname, 'routes/*.js')], // Path to the API routes in your Node.js application
 };
 
 const swaggerSpec = swaggerJSDoc(options);
@@ -0,0 +1,195 @@
+// Checks the OpenAPI spec against the mounted routes, the Mongoose models and
+// the responses the routes actually give. None of these calls reach MongoDB:
+// with command buffering off, a route that touches the database before doing
+// what the spec says fails here instead of hanging.
+const mongoose = require('mongoose');
+const request = require('supertest');
+const SwaggerParser = require('@apidevtools/swagger-parser');
+const swaggerSpec = require('../../swagger');
+const { createApp } = require('../../App');
+const {
+  checkResponse,
+  documentedOperations,
+  fillPath,
+  mountedOperations,
+  resolve,
+} = require('../helpers/openapi');
+const { tokenFor } = require('../helpers/fixtures');
+
+mongoose.set('bufferCommands', false);
+
+const Request = require('../../models/Request');
+const Transaction = require('../../models/Transaction');
+const CounterOffer = require('../../models/CounterOffer');
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const AuditLog = require('../../models/AuditLog');
+
+const app = createApp();
+const adminToken = tokenFor(new mongoose.Types.ObjectId().toString(), ['admin']);
+const VALID_ID = '000000000000000000000000';
+
+const operations = documentedOperations();
+const secured = operations.filter(({ operation }) => operation.security);
+const withBody = secured.filter(({ operation }) => operation.requestBody);
+
+// Operations whose path parameters are all documented as ObjectIds
+const isObjectIdParameter = (parameter) => parameter.in === 'path'
+  && parameter.schema.$ref === '#/components/schemas/ObjectId';
+const withIdParams = secured.filter(({ operation }) => {
+  const pathParameters = (operation.parameters || []).map(resolve).filter((parameter) => parameter.in === 'path');
+  return pathParameters.length > 0 && pathParameters.every(isObjectIdParameter);
+});
+
+const send = (method, path) => request(app)[method](`/api${path}`);
+
+describe('OpenAPI document', () => {
+  test('is a valid OpenAPI 3 document', async () => {
+    await expect(SwaggerParser.validate(JSON.parse(JSON.stringify(swaggerSpec)))).resolves.toBeDefined();
+  });
+
+  test('is served under the /api base path with bearer authentication', () => {
+    expect(swaggerSpec.servers).toEqual([{ url: '/api' }]);
+    expect(swaggerSpec.components.securitySchemes.bearerAuth).toMatchObject({ type: 'http', scheme: 'bearer' });
+  });
+
+  test('documents every mounted route', () => {
+    const documented = new Set(operations.map(({ key }) => key));
+    expect(mountedOperations().filter((key) => !documented.has(key))).toEqual([]);
+  });
+
+  test('documents only mounted routes', () => {
+    const mounted = new Set(mountedOperations());
+    expect(operations.map(({ key }) => key).filter((key) => !mounted.has(key))).toEqual([]);
+  });
+
+  test('declares every path parameter of each route', () => {
+    const problems = operations.flatMap(({ key, path, operation }) => {
+      const declared = (operation.parameters || []).map(resolve)
+        .filter((parameter) => parameter.in === 'path')
+        .map((parameter) => parameter.name);
+      const inPath = (path.match(/\{(\w+)\}/g) || []).map((name) => name.slice(1, -1));
+      return inPath.filter((name) => !declared.includes(name)).map((name) => `${key}: ${name}`);
+    });
+    expect(problems).toEqual([]);
+  });
+});
+
+// Schema name -> Mongoose schema it documents
+const MODEL_SCHEMAS = {
+  Request: Request.schema,
+  Transaction: Transaction.schema,
+  Extension: Transaction.schema.path('Extensions').schema,
+  StatusChange: Request.schema.path('StatusHistory').schema,
+  CounterOffer: CounterOffer.schema,
+  Notification: Notification.schema,
+  User: User.schema,
+  WebhookSubscription: WebhookSubscription.schema,
+  WebhookDelivery: WebhookDelivery.schema,
+  AuditLogEntry: AuditLog.schema,
+};
+
+// Top-level fields a model returns in JSON; fields excluded from queries
+// (select: false) never reach a response
+const modelFields = (schema) => Object.values(schema.paths)
+  .filter((schemaType) => schemaType.path !== '__v' && schemaType.options.select !== false)
+  .map((schemaType) => schemaType.path.split('.')[0]);
+
+describe.each(Object.entries(MODEL_SCHEMAS))('%s schema', (name, schema) => {
+  const documented = swaggerSpec.components.schemas[name];
+
+  test('documents every field of the model', () => {
+    const properties = Object.keys(documented.properties);
+    expect([...new Set(modelFields(schema))].filter((field) => !properties.includes(field))).toEqual([]);
+  });
+
+  test('documents only fields of the model or embedded summaries', () => {
+    const fields = modelFields(schema);
+    const extra = Object.entries(documented.properties)
+      .filter(([property, definition]) => !fields.includes(property) && !(definition.readOnly && definition.allOf))
+      .map(([property]) => property);
+    expect(extra).toEqual([]);
+  });
+
+  test('uses the enums of the model', () => {
+    const problems = Object.entries(documented.properties).flatMap(([property, definition]) => {
+      const schemaType = schema.path(property);
+      const modelEnum = schemaType && schemaType.enumValues && schemaType.enumValues.length > 0
+        ? schemaType.enumValues
+        : schemaType && schemaType.caster && schemaType.caster.enumValues;
+      const documentedEnum = definition.enum || (definition.items && definition.items.enum);
+      if (!modelEnum || modelEnum.length === 0) return documentedEnum ? [`${property} is not an enum`] : [];
+      const same = documentedEnum && [...documentedEnum].sort().join() === [...modelEnum].sort().join();
+      return same ? [] : [`${property}: expected [${modelEnum.join(', ')}]`];
+    });
+    expect(problems).toEqual([]);
+  });
+});
+
+describe.each([
+  ['RequestStatusFilter', Request.schema],
+  ['TransactionStatusFilter', Transaction.schema],
+])('%s parameter', (name, schema) => {
+  const pattern = new RegExp(swaggerSpec.components.parameters[name].schema.pattern);
+  const statuses = schema.path('Status').enumValues;
+
+  test('accepts the statuses of the model, alone or comma-separated', () => {
+    expect(statuses.filter((status) => !pattern.test(status))).toEqual([]);
+    expect(pattern.test(statuses.join(','))).toBe(true);
+  });
+
+  test('refuses other statuses', () => {
+    expect(pattern.test('Lost')).toBe(false);
+    expect(pattern.test(`${statuses[0]},Lost`)).toBe(false);
+    expect(pattern.test(`${statuses[0]},`)).toBe(false);
+  });
+});
+
+describe('documented responses', () => {
+  test.each(secured.map(({ key, path, method, operation }) => [key, path, method, operation]))(
+    '%s answers 401 without a token',
+    async (key, path, method, operation) => {
+      const res = await send(method, fillPath(path, VALID_ID));
+      expect(res.status).toBe(401);
+      expect(checkResponse(operation, res)).toEqual([]);
+    },
+  );
+
+  test.each(secured.map(({ key, path, method, operation }) => [key, path, method, operation]))(
+    '%s answers 401 with an invalid token',
+    async (key, path, method, operation) => {
+      const res = await send(method, fillPath(path, VALID_ID)).set('Authorization', 'Bearer not-a-token');
+      expect(res.status).toBe(401);
+      expect(checkResponse(operation, res)).toEqual([]);
+    },
+  );
+
+  test.each(withBody.map(({ key, path, method, operation }) => [key, path, method, operation]))(
+    '%s answers a documented 400 to an invalid body',
+    async (key, path, method, operation) => {
+      const res = await send(method, fillPath(path, VALID_ID))
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send([]);
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+      expect(checkResponse(operation, res)).toEqual([]);
+    },
+  );
+
+  test.each(withIdParams.map(({ key, path, method, operation }) => [key, path, method, operation]))(
+    '%s answers a documented 400 to a malformed ID',
+    async (key, path, method, operation) => {
+      const res = await send(method, fillPath(path, 'not-an-id')).set('Authorization', `Bearer ${adminToken}`);
+      expect(res.status).toBe(400);
+      expect(checkResponse(operation, res)).toEqual([]);
+    },
+  );
+
+  test('unknown routes answer with the error envelope', async () => {
+    const res = await send('get', '/nothing-here');
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: expect.objectContaining({ code: 'NOT_FOUND', message: expect.any(String) }) });
+  });
+});
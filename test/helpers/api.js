@@ -0,0 +1,57 @@
+const request = require('supertest');
+const { createApp } = require('../../App');
+const { checkResponse, findOperation } = require('./openapi');
+
+const app = createApp();
+
+// Fails a call whose success response does not match what the OpenAPI spec
+// documents for it; calls outside the API, such as the probes, are not checked
+const matchesSpec = (method, path) => (res) => {
+  if (!path.startsWith('/api/') || res.status >= 300) return;
+  const operation = findOperation(method, path);
+  if (!operation) throw new Error(`${method.toUpperCase()} ${path} is not documented`);
+  const problems = checkResponse(operation, res);
+  if (problems.length) {
+    throw new Error(`${method.toUpperCase()} ${path} does not match the spec: ${problems.join('; ')}`);
+  }
+};
+
+// supertest calls to the app, signed in as `user` when one is given, e.g.
+//   api(owner).put(`/api/request/${id}`).send({ status: 'Accepted' })
+// Success responses are checked against the OpenAPI spec.
+const api = (user) => {
+  const agent = request(app);
+  const call = (method) => (path) => {
+    const pending = agent[method](path).expect(matchesSpec(method, path));
+    return user ? pending.set('Authorization', `Bearer ${user.token}`) : pending;
+  };
+  return {
+    get: call('get'),
+    post: call('post'),
+    put: call('put'),
+    delete: call('delete'),
+  };
+};
+
+// Asks for `book` as `borrower`; the terms default to a two-week in-person loan
+const requestBook = (borrower, book, terms = {}) => api(borrower)
+  .post('/api/request')
+  .send({ BookID: book._id, DeliveryMethod: 'In-person', Duration: 14, ...terms });
+
+// Requests `book` as `borrower` and accepts it as the owner, returning the
+// accepted request and the transaction opened for it
+const lendBook = async (owner, borrower, book, terms = {}) => {
+  const created = await requestBook(borrower, book, terms).expect(201);
+  const requestId = created.body.Request._id;
+
+  const accepted = await api(owner).put(`/api/request/${requestId}`).send({ status: 'Accepted' }).expect(200);
+  const transaction = await api(owner).get(`/api/transaction/request/${requestId}`).expect(200);
+  return { request: accepted.body, transaction: transaction.body };
+};
+
+module.exports = {
+  api,
+  app,
+  lendBook,
+  requestBook,
+};
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server;
+
+// Starts an in-memory MongoDB and connects mongoose to it. The unique indexes
+// the routes rely on (one transaction per request, one lock per book) are
+// built before the first test runs. Commands are not buffered, so when MongoDB
+// cannot be started every test fails at once instead of timing out.
+const connect = async () => {
+  mongoose.set('bufferCommands', false);
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+};
+
+// Empties every collection, keeping the indexes
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+};
+
+module.exports = {
+  clear,
+  connect,
+  disconnect,
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const catalog = require('../../services/catalog');
+const memoryCatalog = require('../../services/catalog/memoryClient');
+const rateLimit = require('../../services/rateLimit');
+
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+const tokenFor = (id, roles = ['user']) => jwt.sign({ id, roles }, config.jwt.secret, { expiresIn: '5m' });
+
+// A user known to the in-memory profile service, with an access token
+const createUser = ({ name = 'Test User', roles = ['user'] } = {}) => {
+  const id = newId();
+  memoryCatalog.addUser({ _id: id, Name: name });
+  return { id, name, token: tokenFor(id, roles) };
+};
+
+// A book owned by `owner` in the in-memory catalog
+const createBook = (owner, { title = 'Dune', author = 'Frank Herbert' } = {}) => {
+  const book = { _id: newId(), Title: title, Author: author, OwnerID: owner.id };
+  memoryCatalog.addBook(book);
+  return book;
+};
+
+// Forgets the catalog records, cached lookups and rate-limit counters of a test
+const reset = () => {
+  memoryCatalog.reset();
+  catalog.clearCache();
+  rateLimit.useStore(rateLimit.createMemoryStore());
+};
+
+module.exports = {
+  createBook,
+  createUser,
+  newId,
+  reset,
+  tokenFor,
+};
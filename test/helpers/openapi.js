@@ -0,0 +1,72 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const swaggerSpec = require('../../swagger');
+const { ROUTES } = require('../../routes');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Express ':param' segments written the OpenAPI way, e.g. /request/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Every method and path the API routers answer, as 'get /request/{id}'
+const mountedOperations = () => Object.entries(ROUTES).flatMap(([mountPath, router]) => router.stack
+  .filter((layer) => layer.route)
+  .flatMap((layer) => Object.keys(layer.route.methods)
+    .filter((method) => METHODS.includes(method))
+    .map((method) => `${method} ${toOpenApiPath(`${mountPath}${layer.route.path}`.replace(/\/$/, ''))}`)));
+
+// Every documented operation, as { key: 'get /request/{id}', path, method, operation }
+const documentedOperations = () => Object.entries(swaggerSpec.paths).flatMap(([path, item]) => METHODS
+  .filter((method) => item[method])
+  .map((method) => ({ key: `${method} ${path}`, path, method, operation: item[method] })));
+
+// Fills the path params of a documented path, e.g. /request/{id} -> /request/000000000000000000000000
+const fillPath = (path, value) => path.replace(/\{\w+\}/g, value);
+
+// The documented operation answering `method` on an API URL, e.g.
+// ('get', '/api/transaction/overdue?limit=5') -> get /transaction/overdue;
+// paths holding fewer parameters are tried first, as in httpMetrics
+const API_BASE = swaggerSpec.servers[0].url;
+const findOperation = (method, url) => {
+  const path = url.split('?')[0].slice(API_BASE.length).replace(/\/$/, '');
+  const matches = documentedOperations()
+    .filter((documented) => documented.method === method.toLowerCase())
+    .filter((documented) => new RegExp(`^${documented.path.replace(/\{\w+\}/g, '[^/]+')}$`).test(path))
+    .sort((a, b) => (a.path.match(/\{/g) || []).length - (b.path.match(/\{/g) || []).length);
+  return matches.length ? matches[0].operation : null;
+};
+
+const resolve = (object) => (object && object.$ref
+  ? object.$ref.split('/').slice(1).reduce((node, key) => node[key], swaggerSpec)
+  : object);
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+ajv.addSchema({ $id: 'openapi.json', components: swaggerSpec.components });
+
+// Checks a response against what the operation documents for its status code
+// (error responses without their own schema must match the Error schema),
+// returning a list of problems (empty when the response matches)
+const checkResponse = (operation, res) => {
+  const documented = resolve(operation.responses[res.status]);
+  if (!documented) return [`status ${res.status} is not documented`];
+
+  const media = documented.content && documented.content['application/json'];
+  const documentedSchema = media && media.schema
+    ? media.schema
+    : res.status >= 400 && { $ref: '#/components/schemas/Error' };
+  if (!documentedSchema) return [];
+
+  const schema = JSON.parse(JSON.stringify(documentedSchema).replace(/"#\/components\//g, '"openapi.json#/components/'));
+  const check = ajv.compile(schema);
+  return check(res.body) ? [] : check.errors.map((error) => `${error.instancePath || 'body'} ${error.message}`);
+};
+
+module.exports = {
+  checkResponse,
+  documentedOperations,
+  fillPath,
+  findOperation,
+  mountedOperations,
+  resolve,
+};
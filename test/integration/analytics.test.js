@@ -0,0 +1,154 @@
+const db = require('../helpers/db');
+const { createBook, createUser, reset } = require('../helpers/fixtures');
+const { api, lendBook, requestBook } = require('../helpers/api');
+const Request = require('../../models/Request');
+const Transaction = require('../../models/Transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let owner;
+let borrower;
+let moderator;
+let book;
+
+beforeAll(db.connect, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  owner = createUser({ name: 'Olivia Owner' });
+  borrower = createUser({ name: 'Bob Borrower' });
+  moderator = createUser({ roles: ['moderator'] });
+  book = createBook(owner);
+});
+
+afterEach(db.clear);
+
+// Moves a request back in time, with its status history
+const backdate = async (requestId, date) => {
+  const request = await Request.findById(requestId);
+  const shift = request.RequestDate.getTime() - date.getTime();
+  request.RequestDate = date;
+  request.StatusHistory.forEach((change) => { change.Timestamp = new Date(change.Timestamp.getTime() - shift); });
+  await request.save();
+};
+
+describe('GET /api/analytics/requests', () => {
+  test('reports statuses, delivery methods, acceptance rate and time to accept', async () => {
+    const { request } = await lendBook(owner, borrower, book);
+    const rejected = await requestBook(createUser(), createBook(owner), { DeliveryMethod: 'Shipping' }).expect(201);
+    await api(owner).post(`/api/request/${rejected.body.Request._id}/decline`).send({ reasonCode: 'not-available' }).expect(200);
+    await requestBook(createUser(), createBook(owner)).expect(201);
+
+    const accepted = await Request.findById(request._id);
+    accepted.RequestDate = new Date(accepted.StatusHistory[1].Timestamp.getTime() - 6 * 60 * 60 * 1000);
+    await accepted.save();
+
+    const res = await api(moderator).get('/api/analytics/requests').expect(200);
+
+    expect(res.body).toEqual({
+      interval: null,
+      data: [{
+        period: null,
+        requests: 3,
+        statuses: { Pending: 1, Modified: 0, Accepted: 1, Rejected: 1, Cancelled: 0, Expired: 0 },
+        deliveryMethods: { 'In-person': 2, Shipping: 1 },
+        acceptanceRate: 0.5,
+        medianHoursToAccept: 6,
+      }],
+    });
+  });
+
+  test('buckets by month and filters by date', async () => {
+    const first = await requestBook(borrower, book).expect(201);
+    const second = await requestBook(createUser(), book).expect(201);
+    const third = await requestBook(createUser(), book).expect(201);
+    await backdate(first.body.Request._id, new Date('2024-01-10T12:00:00Z'));
+    await backdate(second.body.Request._id, new Date('2024-01-20T12:00:00Z'));
+    await backdate(third.body.Request._id, new Date('2024-03-05T12:00:00Z'));
+
+    const res = await api(moderator).get('/api/analytics/requests?interval=month&from=2024-01-01&to=2024-12-31').expect(200);
+
+    expect(res.body.interval).toBe('month');
+    expect(res.body.data.map(({ period, requests }) => [period, requests])).toEqual([
+      ['2024-01-01T00:00:00.000Z', 2],
+      ['2024-03-01T00:00:00.000Z', 1],
+    ]);
+  });
+
+  test('rejects an unknown interval', async () => {
+    const res = await api(moderator).get('/api/analytics/requests?interval=year').expect(400);
+
+    expect(res.body.error.details).toHaveProperty(['query.interval']);
+  });
+
+  test('is refused to regular users', async () => {
+    await api(borrower).get('/api/analytics/requests').expect(403);
+  });
+});
+
+describe('GET /api/analytics/requests/books', () => {
+  test('lists the most requested books with their summaries', async () => {
+    const popular = createBook(owner, { title: 'Emma', author: 'Jane Austen' });
+    await requestBook(borrower, book).expect(201);
+    await requestBook(borrower, popular).expect(201);
+    await requestBook(createUser(), popular).expect(201);
+
+    const res = await api(moderator).get('/api/analytics/requests/books?limit=1').expect(200);
+
+    expect(res.body.data).toEqual([{
+      BookID: popular._id,
+      Book: { _id: popular._id, Title: 'Emma', Author: 'Jane Austen' },
+      requests: 2,
+      accepted: 0,
+      requesters: 2,
+    }]);
+  });
+});
+
+describe('GET /api/analytics/requests/users', () => {
+  test('counts requests per requester or per owner', async () => {
+    await lendBook(owner, borrower, book);
+    await requestBook(borrower, createBook(owner)).expect(201);
+
+    const requesters = await api(moderator).get('/api/analytics/requests/users').expect(200);
+    const owners = await api(moderator).get('/api/analytics/requests/users?role=owner').expect(200);
+
+    expect(requesters.body.data).toEqual([{
+      UserID: borrower.id,
+      User: { _id: borrower.id, Name: 'Bob Borrower' },
+      requests: 2,
+      accepted: 1,
+      acceptanceRate: 0.5,
+    }]);
+    expect(owners.body.data[0]).toMatchObject({ UserID: owner.id, User: { Name: 'Olivia Owner' }, requests: 2 });
+  });
+});
+
+describe('GET /api/analytics/transactions', () => {
+  test('compares actual and requested loan length and reports late loans', async () => {
+    const deliveredAt = new Date('2024-02-01T00:00:00Z');
+    const loans = await Promise.all([book, createBook(owner), createBook(owner)]
+      .map((lent) => lendBook(owner, createUser(), lent, { Duration: 10 })));
+    const [onTime, returnedLate, overdue] = loans.map(({ transaction }) => transaction._id);
+
+    const dueDate = new Date(deliveredAt.getTime() + 10 * DAY_MS);
+    const delivered = { Status: 'Delivered', DeliveredAt: deliveredAt, DueDate: dueDate };
+    await Transaction.updateOne({ _id: onTime }, { ...delivered, Status: 'Returned', BookReturnedDate: new Date(deliveredAt.getTime() + 8 * DAY_MS) });
+    await Transaction.updateOne({ _id: returnedLate }, { ...delivered, Status: 'Returned', BookReturnedDate: new Date(deliveredAt.getTime() + 14 * DAY_MS) });
+    await Transaction.updateOne({ _id: overdue }, { ...delivered, IsOverdue: true });
+
+    const res = await api(moderator).get('/api/analytics/transactions').expect(200);
+
+    expect(res.body.data).toEqual([{
+      period: null,
+      transactions: 3,
+      statuses: { Pending: 0, 'In Progress': 0, Shipping: 0, Delivered: 1, Returned: 2, Cancelled: 0 },
+      returned: 2,
+      averageRequestedDays: 10,
+      averageActualDays: 11,
+      late: 2,
+      overdueRate: 0.6667,
+    }]);
+  });
+});
@@ -0,0 +1,109 @@
+const db = require('../helpers/db');
+const { createBook, createUser, reset } = require('../helpers/fixtures');
+const { api, lendBook, requestBook } = require('../helpers/api');
+const AuditLog = require('../../models/AuditLog');
+const Transaction = require('../../models/Transaction');
+
+let owner;
+let borrower;
+let admin;
+let book;
+
+beforeAll(db.connect, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  owner = createUser();
+  borrower = createUser();
+  admin = createUser({ roles: ['admin'] });
+  book = createBook(owner);
+});
+
+afterEach(db.clear);
+
+describe('audit trail', () => {
+  test('records a created request with its actor, IP and request ID', async () => {
+    const res = await requestBook(borrower, book).set('X-Request-Id', 'create-1').expect(201);
+
+    const entry = await AuditLog.findOne({ Action: 'request.created' }).lean();
+    expect(entry).toMatchObject({
+      Actor: borrower.id,
+      ActorRoles: ['user'],
+      Entity: 'request',
+      EntityID: res.body.Request._id,
+      Method: 'POST',
+      Path: '/api/request',
+      IP: expect.any(String),
+      RequestID: 'create-1',
+    });
+    expect(entry.Changes.Status).toEqual({ From: null, To: 'Pending' });
+    expect(entry.Changes).not.toHaveProperty('StatusHistory');
+  });
+
+  test('records only the fields an update changed', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+
+    const updated = await AuditLog.findOne({ Action: 'request.updated', EntityID: request._id }).lean();
+    expect(updated.Actor).toBe(owner.id);
+    expect(Object.keys(updated.Changes)).toEqual(['Status']);
+    expect(updated.Changes.Status).toEqual({ From: 'Pending', To: 'Accepted' });
+
+    const opened = await AuditLog.findOne({ Action: 'transaction.created', EntityID: transaction._id }).lean();
+    expect(opened.Actor).toBe(owner.id);
+  });
+
+  test('records admin edits and deletes with the values before', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await api(admin).put(`/api/transaction/${transaction._id}`).send({ Duration: 21 }).expect(200);
+    await api(admin).post(`/api/transaction/${transaction._id}/cancel`).send({ reasonCode: 'mutual-agreement' }).expect(200);
+    await api(admin).delete(`/api/transaction/${transaction._id}`).expect(200);
+
+    const [deleted, edited] = await AuditLog.find({ Entity: 'transaction', Actor: admin.id }).sort({ Timestamp: -1, _id: -1 }).lean();
+    expect(edited.Action).toBe('transaction.updated');
+    expect(edited.Changes).toEqual({ Duration: { From: 14, To: 21 } });
+    expect(deleted.Action).toBe('transaction.deleted');
+    expect(deleted.Changes.deletedBy).toEqual({ From: null, To: admin.id });
+  });
+
+  test('attributes changes made outside a call to the system', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await Transaction.updateOne({ _id: transaction._id }, { Status: 'Cancelled' });
+
+    const entry = await AuditLog.findOne({ Action: 'transaction.updated', EntityID: transaction._id }).lean();
+    expect(entry).toMatchObject({ Actor: 'system', Changes: { Status: { From: 'Pending', To: 'Cancelled' } } });
+    expect(entry.RequestID).toBeUndefined();
+  });
+});
+
+describe('GET /api/audit', () => {
+  test('lets admins filter entries by record', async () => {
+    const { request } = await lendBook(owner, borrower, book);
+
+    const res = await api(admin).get(`/api/audit?entity=request&entityId=${request._id}&count=true`).expect(200);
+
+    expect(res.body.total).toBe(2);
+    expect(res.body.data.map((entry) => entry.Action)).toEqual(['request.updated', 'request.created']);
+  });
+
+  test('filters by actor and action', async () => {
+    await lendBook(owner, borrower, book);
+
+    const res = await api(admin).get(`/api/audit?actor=${borrower.id}&action=request.created`).expect(200);
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].Actor).toBe(borrower.id);
+  });
+
+  test('rejects an unknown entity', async () => {
+    const res = await api(admin).get('/api/audit?entity=user').expect(400);
+
+    expect(res.body.error.details).toHaveProperty(['query.entity']);
+  });
+
+  test('is refused to non-admins', async () => {
+    await api(owner).get('/api/audit').expect(403);
+  });
+});
@@ -0,0 +1,136 @@
+const jwt = require('jsonwebtoken');
+const db = require('../helpers/db');
+const { createUser, newId, reset } = require('../helpers/fixtures');
+const { api } = require('../helpers/api');
+const User = require('../../models/User');
+
+const PASSWORD = 'correct horse battery';
+
+beforeAll(db.connect, 120000);
+afterAll(db.disconnect);
+
+beforeEach(reset);
+afterEach(db.clear);
+
+const register = (Email = 'ada@example.com') => api()
+  .post('/api/auth/register')
+  .send({ Name: 'Ada', Email, Password: PASSWORD });
+
+const login = (Email = 'ada@example.com', Password = PASSWORD) => api()
+  .post('/api/auth/login')
+  .send({ Email, Password });
+
+const refresh = (refreshToken) => api().post('/api/auth/refresh').send({ refreshToken });
+
+describe('POST /api/auth/register', () => {
+  test('creates a user and signs them in', async () => {
+    const res = await register().expect(201);
+
+    expect(res.body).toMatchObject({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+      user: { Name: 'Ada', Email: 'ada@example.com', Roles: ['user'] },
+    });
+    expect(jwt.decode(res.body.token)).toMatchObject({ id: res.body.user._id, roles: ['user'] });
+
+    const stored = await User.findById(res.body.user._id).select('+Password');
+    expect(stored.Password).not.toBe(PASSWORD);
+  });
+
+  test('answers 409 for an email already registered', async () => {
+    await register().expect(201);
+
+    const res = await register('ADA@example.com').expect(409);
+
+    expect(res.body.error.details).toEqual({ 'body.Email': 'is already registered' });
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(() => register().expect(201));
+
+  test('signs in with the right password', async () => {
+    const res = await login().expect(200);
+
+    await api({ token: res.body.token }).get('/api/notification/unread-count').expect(200);
+  });
+
+  test('answers 401 to a wrong password or an unknown email', async () => {
+    await login('ada@example.com', 'wrong password').expect(401);
+    await login('bob@example.com').expect(401);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  let session;
+
+  beforeEach(async () => {
+    session = (await register().expect(201)).body;
+  });
+
+  test('rotates the token pair', async () => {
+    const res = await refresh(session.refreshToken).expect(200);
+
+    expect(res.body.refreshToken).not.toBe(session.refreshToken);
+    await refresh(res.body.refreshToken).expect(200);
+  });
+
+  test('takes each refresh token once, even when sent twice at the same time', async () => {
+    const results = await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([200, 401]);
+  });
+
+  test('ends every session of the user when a used token comes back', async () => {
+    const other = (await login().expect(200)).body;
+    const rotated = (await refresh(session.refreshToken).expect(200)).body;
+
+    await refresh(session.refreshToken).expect(401);
+
+    await refresh(rotated.refreshToken).expect(401);
+    await refresh(other.refreshToken).expect(401);
+  });
+
+  test('refuses an unknown token', async () => {
+    await refresh('not-a-token').expect(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('revokes the refresh token', async () => {
+    const session = (await register().expect(201)).body;
+
+    await api().post('/api/auth/logout').send({ refreshToken: session.refreshToken }).expect(200);
+
+    await refresh(session.refreshToken).expect(401);
+  });
+});
+
+describe('PUT /api/auth/users/:id/roles', () => {
+  let userId;
+
+  beforeEach(async () => {
+    userId = (await register().expect(201)).body.user._id;
+  });
+
+  const setRoles = (caller, id, Roles) => api(caller).put(`/api/auth/users/${id}/roles`).send({ Roles });
+
+  test('lets admins change the roles, which the next token carries', async () => {
+    const res = await setRoles(createUser({ roles: ['admin'] }), userId, ['moderator']).expect(200);
+
+    expect(res.body.Roles).toEqual(['moderator']);
+    const session = (await login().expect(200)).body;
+    expect(jwt.decode(session.token).roles).toEqual(['moderator']);
+  });
+
+  test('forbids everyone else', async () => {
+    await setRoles(createUser({ roles: ['moderator'] }), userId, ['admin']).expect(403);
+    await setRoles(createUser(), userId, ['admin']).expect(403);
+
+    expect([...(await User.findById(userId)).Roles]).toEqual(['user']);
+  });
+
+  test('answers 404 for an unknown user', async () => {
+    await setRoles(createUser({ roles: ['admin'] }), newId(), ['moderator']).expect(404);
+  });
+});
@@ -0,0 +1,144 @@
+const db = require('../helpers/db');
+const { createBook, createUser, newId, reset } = require('../helpers/fixtures');
+const { api, lendBook, requestBook } = require('../helpers/api');
+const Request = require('../../models/Request');
+const AuditLog = require('../../models/AuditLog');
+
+let owner;
+let borrower;
+let admin;
+let book;
+
+beforeAll(db.connect, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  owner = createUser();
+  borrower = createUser();
+  admin = createUser({ roles: ['admin'] });
+  book = createBook(owner);
+});
+
+afterEach(db.clear);
+
+// Exports as text; supertest only buffers JSON lines when asked to
+const download = (path) => api(admin).get(path).buffer(true).expect(200);
+
+const jsonLines = (text) => text.trim().split('\n').map((line) => JSON.parse(line));
+
+// A valid request line for the import, with `fields` overriding the defaults
+const requestLine = (fields = {}) => JSON.stringify({
+  RequestedBy: borrower.id,
+  RequestedTo: owner.id,
+  BookID: book._id,
+  DeliveryMethod: 'Shipping',
+  Duration: 10,
+  ...fields,
+});
+
+const importLines = (lines, query = '') => api(admin)
+  .post(`/api/bulk/requests/import${query}`)
+  .set('Content-Type', 'application/x-ndjson')
+  .send(lines.join('\n'));
+
+describe('GET /api/bulk/requests/export', () => {
+  test('streams every request as JSON lines, oldest first', async () => {
+    const first = await requestBook(borrower, book).expect(201);
+    const second = await requestBook(createUser(), book).expect(201);
+
+    const res = await download('/api/bulk/requests/export');
+
+    expect(res.headers['content-type']).toMatch('application/x-ndjson');
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="requests-\d{4}-\d{2}-\d{2}\.jsonl"/);
+    expect(jsonLines(res.text).map((request) => request._id)).toEqual([first.body.Request._id, second.body.Request._id]);
+    expect(jsonLines(res.text)[0].StatusHistory).toHaveLength(1);
+  });
+
+  test('filters by status and writes CSV with a header row', async () => {
+    await lendBook(owner, borrower, book);
+    await requestBook(borrower, createBook(owner)).expect(201);
+
+    const res = await download('/api/bulk/requests/export?format=csv&status=Accepted');
+
+    const [header, ...rows] = res.text.trim().split('\r\n');
+    expect(res.headers['content-type']).toMatch('text/csv');
+    expect(header).toBe('_id,RequestID,RequestedBy,RequestedTo,BookID,Status,DeliveryMethod,Duration,NegotiatedTerms,RequestDate,ResponseDeadline,createdAt,updatedAt');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].split(',')[5]).toBe('Accepted');
+  });
+
+  test('is refused to non-admins', async () => {
+    await api(owner).get('/api/bulk/requests/export').expect(403);
+  });
+});
+
+describe('GET /api/bulk/transactions/export', () => {
+  test('filters by date range', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    const inRange = await download('/api/bulk/transactions/export?from=2000-01-01');
+    const outOfRange = await download('/api/bulk/transactions/export?to=2000-01-01');
+
+    expect(jsonLines(inRange.text).map((record) => record._id)).toEqual([transaction._id]);
+    expect(outOfRange.text).toBe('');
+  });
+});
+
+describe('POST /api/bulk/requests/import', () => {
+  test('inserts valid lines and reports rejected ones', async () => {
+    const res = await importLines([
+      requestLine(),
+      '{ not json',
+      requestLine({ Duration: undefined, DeliveryMethod: 'Teleport' }),
+      '',
+      requestLine({ Status: 'Accepted' }),
+    ]).expect(200);
+
+    expect(res.body).toEqual({
+      dryRun: false,
+      total: 4,
+      imported: 2,
+      rejected: [
+        { line: 2, errors: { line: 'is not valid JSON' } },
+        { line: 3, errors: { Duration: expect.any(String), DeliveryMethod: expect.any(String) } },
+      ],
+    });
+    const imported = await Request.find().sort({ Status: 1 });
+    expect(imported.map((request) => request.Status)).toEqual(['Accepted', 'Pending']);
+    expect(imported[0].StatusHistory[0]).toMatchObject({ From: null, To: 'Accepted', Actor: admin.id, Reason: 'Imported' });
+    expect(await AuditLog.countDocuments({ Action: 'request.created', Actor: admin.id })).toBe(2);
+  });
+
+  test('writes nothing on a dry run', async () => {
+    const res = await importLines([requestLine(), requestLine({ Duration: 'long' })], '?dryRun=true').expect(200);
+
+    expect(res.body).toMatchObject({ dryRun: true, total: 2, imported: 1, rejected: [{ line: 2 }] });
+    expect(await Request.countDocuments()).toBe(0);
+  });
+
+  test('round-trips an export and rejects IDs already taken', async () => {
+    await requestBook(borrower, book).expect(201);
+    const exported = (await download('/api/bulk/requests/export')).text.trim().split('\n');
+    const _id = newId();
+
+    const res = await importLines([...exported, requestLine({ _id }), requestLine({ _id })], '?batchSize=1').expect(200);
+
+    expect(res.body.imported).toBe(1);
+    expect(res.body.rejected).toEqual([
+      { line: 1, errors: { _id: 'already exists' } },
+      { line: 3, errors: { _id: 'appears on an earlier line' } },
+    ]);
+    expect(await Request.countDocuments()).toBe(2);
+  });
+
+  test('answers 400 to a body that is not JSON lines', async () => {
+    const res = await api(admin).post('/api/bulk/requests/import').send([requestLine()]).expect(400);
+
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('is refused to non-admins', async () => {
+    await api(borrower).post('/api/bulk/requests/import').set('Content-Type', 'application/x-ndjson').send(requestLine()).expect(403);
+  });
+});
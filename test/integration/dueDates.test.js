@@ -0,0 +1,93 @@
+const db = require('../helpers/db');
+const { createBook, createUser, reset } = require('../helpers/fixtures');
+const { api, lendBook } = require('../helpers/api');
+const Transaction = require('../../models/Transaction');
+const events = require('../../services/events');
+const { checkDueDates } = require('../../services/dueDates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTINGS = { reminderOffsetsDays: [-3, 0], overdueReminderIntervalDays: 7 };
+
+let owner;
+let borrower;
+let emitted;
+
+const record = (event) => (payload) => emitted.push({ event, id: String(payload.transaction._id), key: payload.kind });
+const onReminder = record(events.TRANSACTION_REMINDER);
+const onOverdue = record(events.TRANSACTION_OVERDUE);
+
+beforeAll(async () => {
+  events.on(events.TRANSACTION_REMINDER, onReminder);
+  events.on(events.TRANSACTION_OVERDUE, onOverdue);
+  await db.connect();
+}, 120000);
+afterAll(async () => {
+  events.off(events.TRANSACTION_REMINDER, onReminder);
+  events.off(events.TRANSACTION_OVERDUE, onOverdue);
+  await db.disconnect();
+});
+
+beforeEach(() => {
+  reset();
+  emitted = [];
+  owner = createUser();
+  borrower = createUser();
+});
+
+afterEach(db.clear);
+
+// Lends a new book and hands it over in person, so the loan is running
+const deliveredLoan = async (terms) => {
+  const { transaction } = await lendBook(owner, borrower, createBook(owner), terms);
+  await api(owner).post(`/api/transaction/${transaction._id}/start`).expect(200);
+  const delivered = await api(borrower).post(`/api/transaction/${transaction._id}/deliver`).expect(200);
+  return delivered.body;
+};
+
+const daysFromDue = (loan, days) => new Date(new Date(loan.DueDate).getTime() + days * DAY_MS);
+
+// Runs the check twice at `now`, as two scheduler ticks would
+const checkTwice = async (now) => {
+  await checkDueDates(now, SETTINGS);
+  await checkDueDates(now, SETTINGS);
+};
+
+describe('checkDueDates', () => {
+  test('sends each reminder once across runs', async () => {
+    const loan = await deliveredLoan({ Duration: 14 });
+
+    await checkTwice(daysFromDue(loan, -3));
+    await checkTwice(daysFromDue(loan, 0));
+    await checkTwice(daysFromDue(loan, 7));
+
+    expect(emitted).toEqual([
+      { event: events.TRANSACTION_REMINDER, id: loan._id, key: 'due-soon' },
+      { event: events.TRANSACTION_REMINDER, id: loan._id, key: 'due' },
+      { event: events.TRANSACTION_OVERDUE, id: loan._id, key: undefined },
+      { event: events.TRANSACTION_REMINDER, id: loan._id, key: 'overdue' },
+    ]);
+    expect([...(await Transaction.findById(loan._id)).RemindersSent]).toEqual(['due-3', 'due0', 'overdue-1']);
+  });
+
+  test('flags a loan past its due date as overdue once', async () => {
+    const loan = await deliveredLoan({ Duration: 14 });
+
+    await checkTwice(daysFromDue(loan, 1));
+
+    expect((await Transaction.findById(loan._id)).IsOverdue).toBe(true);
+    expect(emitted.filter(({ event }) => event === events.TRANSACTION_OVERDUE)).toHaveLength(1);
+    expect(emitted.filter(({ event }) => event === events.TRANSACTION_REMINDER)).toHaveLength(1);
+  });
+
+  test('leaves loans that owe nothing yet alone', async () => {
+    const soon = await deliveredLoan({ Duration: 14 });
+    const later = await deliveredLoan({ Duration: 60 });
+
+    await checkDueDates(daysFromDue(soon, -3), SETTINGS);
+
+    expect(emitted.map(({ id }) => id)).toEqual([soon._id]);
+    const untouched = await Transaction.findById(later._id);
+    expect(untouched.RemindersSent).toHaveLength(0);
+    expect(untouched.IsOverdue).toBe(false);
+  });
+});
@@ -0,0 +1,176 @@
+const http = require('http');
+const db = require('../helpers/db');
+const { createBook, createUser, reset } = require('../helpers/fixtures');
+const { api, app, requestBook } = require('../helpers/api');
+const StreamEvent = require('../../models/StreamEvent');
+const eventStream = require('../../services/eventStream');
+
+let server;
+let baseUrl;
+let streams;
+
+let owner;
+let borrower;
+let book;
+
+beforeAll(async () => {
+  eventStream.subscribe();
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => { server.once('listening', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await db.connect();
+}, 120000);
+afterAll(async () => {
+  await new Promise((resolve) => { server.close(resolve); });
+  await db.disconnect();
+});
+
+beforeEach(() => {
+  reset();
+  streams = [];
+  owner = createUser();
+  borrower = createUser();
+  book = createBook(owner);
+});
+
+afterEach(async () => {
+  streams.forEach((stream) => stream.close());
+  await db.clear();
+});
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the event stream');
+    await new Promise((resolve) => { setTimeout(resolve, 20); });
+  }
+};
+
+// Parses "id:", "event:" and "data:" fields of server-sent events, skipping
+// the retry hint and heartbeat comments
+const parseEvents = (text) => text.split('\n\n')
+  .map((block) => Object.fromEntries(block.split('\n')
+    .map((line) => line.match(/^(id|event|data): (.*)$/))
+    .filter(Boolean)
+    .map(([, field, value]) => [field, value])))
+  .filter((event) => event.id);
+
+// Opens /api/events/stream as `user`, collecting the events received. The
+// token goes in the access_token query parameter, as EventSource sends it.
+const openStream = (user, { query = '', headers = {} } = {}) => new Promise((resolve, reject) => {
+  const stream = { status: null, text: '', events: [] };
+  const req = http.get(`${baseUrl}/api/events/stream?access_token=${user.token}${query}`, { headers }, (res) => {
+    stream.status = res.statusCode;
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      stream.text += chunk;
+      stream.events = parseEvents(stream.text);
+    });
+    resolve(stream);
+  });
+  req.on('error', (error) => { if (!stream.closed) reject(error); });
+  stream.close = () => {
+    stream.closed = true;
+    req.destroy();
+  };
+  streams.push(stream);
+});
+
+const typesOf = (stream) => stream.events.map((event) => event.event);
+
+describe('GET /api/events/stream', () => {
+  test('pushes the caller\'s events as they happen', async () => {
+    const stream = await openStream(owner);
+    expect(stream.status).toBe(200);
+
+    const created = await requestBook(borrower, book).expect(201);
+    await api(owner).post(`/api/request/${created.body.Request._id}/decline`).send({ reasonCode: 'not-available' }).expect(200);
+
+    await waitFor(() => stream.events.length === 2);
+    expect(typesOf(stream)).toEqual(['request.created', 'request.status_changed']);
+    expect(JSON.parse(stream.events[1].data)).toMatchObject({ from: 'Pending', to: 'Rejected' });
+  });
+
+  test('replays what was missed after Last-Event-ID, once', async () => {
+    const first = await openStream(owner);
+    const created = await requestBook(borrower, book).expect(201);
+    await waitFor(() => first.events.length === 1);
+    first.close();
+
+    // Happens while the owner is disconnected
+    await api(owner).post(`/api/request/${created.body.Request._id}/decline`).send({ reasonCode: 'not-available' }).expect(200);
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+
+    const second = await openStream(owner, { headers: { 'Last-Event-ID': first.events[0].id } });
+    await waitFor(() => second.events.length === 1);
+
+    // And a live event once the stream is back
+    await requestBook(borrower, createBook(owner, { title: 'Emma' })).expect(201);
+    await waitFor(() => second.events.length === 2);
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+
+    expect(typesOf(second)).toEqual(['request.status_changed', 'request.created']);
+    expect(new Set(second.events.map((event) => event.id)).size).toBe(2);
+    expect(second.events.map((event) => event.id)).not.toContain(first.events[0].id);
+  });
+
+  test('takes the last event ID from the query string too', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+    const [stored] = await StreamEvent.find({ Recipients: owner.id });
+    await api(owner).post(`/api/request/${created.body.Request._id}/decline`).send({ reasonCode: 'not-available' }).expect(200);
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+
+    const stream = await openStream(owner, { query: `&lastEventId=${stored.id}` });
+    await waitFor(() => stream.events.length === 1);
+
+    expect(typesOf(stream)).toEqual(['request.status_changed']);
+  });
+
+  test('answers 400 to a malformed last event ID', async () => {
+    const stream = await openStream(owner, { headers: { 'Last-Event-ID': 'yesterday' } });
+
+    expect(stream.status).toBe(400);
+  });
+
+  test('answers 401 without a valid token', async () => {
+    const stream = await openStream({ token: 'not-a-token' });
+
+    expect(stream.status).toBe(401);
+  });
+});
+
+describe('eventStream.connect', () => {
+  // Enough of a response to collect what is written to the stream
+  const fakeResponse = () => {
+    const res = { written: [], on: () => res };
+    res.write = (text) => res.written.push(text);
+    return res;
+  };
+
+  const idsWritten = (res) => res.written.map((text) => text.match(/^id: (\w+)/)[1]);
+
+  test('sends events published during the replay after it, and each only once', async () => {
+    const seen = await StreamEvent.create({ Type: 'request.created', Recipients: [owner.id], Data: {} });
+    const missed = await StreamEvent.create({ Type: 'request.created', Recipients: [owner.id], Data: {} });
+
+    // One event is published before the replay query runs, so it is both
+    // replayed and held back; another after the query, so only held back
+    const find = StreamEvent.find.bind(StreamEvent);
+    jest.spyOn(StreamEvent, 'find').mockImplementationOnce((filter) => ({
+      sort: async (order) => {
+        await eventStream.publish('request.status_changed', [owner.id], { step: 'during query' });
+        const replayed = await find(filter).sort(order);
+        await eventStream.publish('request.status_changed', [owner.id], { step: 'after query' });
+        return replayed;
+      },
+    }));
+
+    const res = fakeResponse();
+    await eventStream.connect(owner.id, res, seen.id);
+    jest.restoreAllMocks();
+
+    const stored = await StreamEvent.find({ Recipients: owner.id }).sort({ _id: 1 });
+    expect(idsWritten(res)).toEqual([missed.id, stored[2].id, stored[3].id]);
+  });
+});
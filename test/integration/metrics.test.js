@@ -0,0 +1,57 @@
+const db = require('../helpers/db');
+const { createBook, createUser, reset } = require('../helpers/fixtures');
+const { api, lendBook, requestBook } = require('../helpers/api');
+const metrics = require('../../services/metrics');
+
+let owner;
+let borrower;
+
+beforeAll(async () => {
+  metrics.subscribe();
+  await db.connect();
+}, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  owner = createUser();
+  borrower = createUser();
+});
+
+afterEach(db.clear);
+
+// Value of a metric sample in the Prometheus text, 0 when absent
+const sample = (text, name) => {
+  const line = text.split('\n').find((row) => row.startsWith(`${name} `));
+  return line ? Number(line.split(' ')[1]) : 0;
+};
+
+// Lets the event listeners, which run asynchronously, catch up
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('GET /readyz answers 200 once MongoDB is connected', async () => {
+  const res = await api().get('/readyz').expect(200);
+
+  expect(res.body).toEqual({ status: 'ok', checks: { mongo: 'connected', draining: false } });
+});
+
+test('GET /metrics counts requests and transactions', async () => {
+  const before = (await api().get('/metrics').expect(200)).text;
+  const book = createBook(owner);
+  const competing = createUser();
+
+  await requestBook(competing, book).expect(201);
+  const { transaction } = await lendBook(owner, borrower, book);
+  await api(owner).post(`/api/transaction/${transaction._id}/start`).expect(200);
+  await settle();
+
+  const after = (await api().get('/metrics').expect(200)).text;
+  const increase = (name) => sample(after, name) - sample(before, name);
+
+  expect(increase('exchange_requests_created_total')).toBe(2);
+  expect(increase('exchange_requests_accepted_total')).toBe(1);
+  expect(increase('exchange_requests_rejected_total')).toBe(1);
+  expect(increase('exchange_transaction_status_changes_total{status="Pending"}')).toBe(1);
+  expect(increase('exchange_transaction_status_changes_total{status="In Progress"}')).toBe(1);
+  expect(sample(after, 'exchange_transactions{status="In Progress"}')).toBe(1);
+});
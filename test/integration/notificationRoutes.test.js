@@ -0,0 +1,107 @@
+const db = require('../helpers/db');
+const { createUser, newId, reset } = require('../helpers/fixtures');
+const { api } = require('../helpers/api');
+const Notification = require('../../models/Notification');
+
+const MINUTE_MS = 60 * 1000;
+
+let reader;
+let other;
+
+beforeAll(db.connect, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  reader = createUser();
+  other = createUser();
+});
+
+afterEach(db.clear);
+
+// A notification for `user`, `minutesAgo` old
+const notify = (user, { minutesAgo = 0, IsRead = false, Message = 'Your request was accepted.' } = {}) => Notification.create({
+  UserID: user.id,
+  Message,
+  Type: 'Exchange Status Update',
+  Timestamp: new Date(Date.now() - minutesAgo * MINUTE_MS),
+  IsRead,
+});
+
+const idsOf = (res) => res.body.data.map((notification) => notification._id);
+
+describe('GET /api/notification', () => {
+  test('lists the caller\'s notifications, newest first', async () => {
+    const older = await notify(reader, { minutesAgo: 5 });
+    const newer = await notify(reader);
+    await notify(other);
+
+    const res = await api(reader).get('/api/notification?count=true').expect(200);
+
+    expect(idsOf(res)).toEqual([newer.id, older.id]);
+    expect(res.body.total).toBe(2);
+  });
+
+  test('lists only unread notifications when asked', async () => {
+    const unread = await notify(reader);
+    await notify(reader, { minutesAgo: 1, IsRead: true });
+
+    const res = await api(reader).get('/api/notification?unread=true').expect(200);
+
+    expect(idsOf(res)).toEqual([unread.id]);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get('/api/notification').expect(401);
+  });
+});
+
+describe('GET /api/notification/unread-count', () => {
+  test('counts the caller\'s unread notifications', async () => {
+    await notify(reader);
+    await notify(reader, { minutesAgo: 1 });
+    await notify(reader, { IsRead: true });
+    await notify(other);
+
+    const res = await api(reader).get('/api/notification/unread-count').expect(200);
+
+    expect(res.body).toEqual({ count: 2 });
+  });
+});
+
+describe('PUT /api/notification/read-all', () => {
+  test('marks the caller\'s unread notifications as read', async () => {
+    await notify(reader);
+    await notify(reader, { minutesAgo: 1 });
+    await notify(reader, { IsRead: true });
+    const others = await notify(other);
+
+    const res = await api(reader).put('/api/notification/read-all').expect(200);
+
+    expect(res.body).toEqual({ updated: 2 });
+    expect(await Notification.countDocuments({ UserID: reader.id, IsRead: false })).toBe(0);
+    expect((await Notification.findById(others.id)).IsRead).toBe(false);
+  });
+});
+
+describe('PUT /api/notification/:id/read', () => {
+  test('marks the notification as read', async () => {
+    const notification = await notify(reader);
+
+    const res = await api(reader).put(`/api/notification/${notification.id}/read`).expect(200);
+
+    expect(res.body).toMatchObject({ _id: notification.id, IsRead: true, ReadAt: expect.any(String) });
+  });
+
+  test('answers 404 for another user\'s notification and leaves it unread', async () => {
+    const notification = await notify(other);
+
+    await api(reader).put(`/api/notification/${notification.id}/read`).expect(404);
+
+    expect((await Notification.findById(notification.id)).IsRead).toBe(false);
+  });
+
+  test('answers 404 for an unknown notification', async () => {
+    await api(reader).put(`/api/notification/${newId()}/read`).expect(404);
+  });
+});
@@ -0,0 +1,130 @@
+const db = require('../helpers/db');
+const { createBook, createUser, reset } = require('../helpers/fixtures');
+const { api, requestBook } = require('../helpers/api');
+const CounterOffer = require('../../models/CounterOffer');
+const Notification = require('../../models/Notification');
+const Request = require('../../models/Request');
+const notifications = require('../../services/notifications');
+const { expireStaleRequests } = require('../../services/requestExpiry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTINGS = { pendingTtlDays: 14 };
+
+let owner;
+let borrower;
+let book;
+
+beforeAll(async () => {
+  notifications.subscribe();
+  await db.connect();
+}, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  owner = createUser();
+  borrower = createUser();
+  book = createBook(owner);
+});
+
+afterEach(db.clear);
+
+const later = (days) => new Date(Date.now() + days * DAY_MS);
+
+// Notifications are sent by event listeners after the save resolves
+const waitForNotifications = () => new Promise((resolve) => { setTimeout(resolve, 50); });
+
+describe('expireStaleRequests', () => {
+  test('gives new requests a deadline of PENDING_REQUEST_TTL_DAYS', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+
+    const { RequestDate, ResponseDeadline } = created.body.Request;
+    expect(new Date(ResponseDeadline) - new Date(RequestDate)).toBe(14 * DAY_MS);
+  });
+
+  test('expires open requests past their deadline and records it', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    const id = created.body.Request._id;
+
+    expect(await expireStaleRequests(later(13), SETTINGS)).toBe(0);
+    expect(await expireStaleRequests(later(15), SETTINGS)).toBe(1);
+
+    const expired = await Request.findById(id);
+    expect(expired.Status).toBe('Expired');
+    expect(expired.StatusHistory.at(-1)).toMatchObject({ From: 'Pending', To: 'Expired', Actor: 'system' });
+  });
+
+  test('notifies the requester', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+
+    await expireStaleRequests(later(15), SETTINGS);
+    await waitForNotifications();
+
+    const notification = await Notification.findOne({ UserID: borrower.id, RequestID: created.body.Request._id, Message: /expired/ });
+    expect(notification).not.toBeNull();
+  });
+
+  test('expires requests under counter-offer and supersedes the offer', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    const id = created.body.Request._id;
+    const offer = await api(owner).post(`/api/request/${id}/offers`).send({ Duration: 7 }).expect(201);
+
+    expect(await expireStaleRequests(later(15), SETTINGS)).toBe(1);
+
+    expect((await Request.findById(id)).Status).toBe('Expired');
+    expect((await CounterOffer.findById(offer.body.Offer._id)).Status).toBe('Superseded');
+  });
+
+  test('leaves answered requests alone', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    await api(owner).put(`/api/request/${created.body.Request._id}`).send({ status: 'Accepted' }).expect(200);
+
+    expect(await expireStaleRequests(later(30), SETTINGS)).toBe(0);
+  });
+
+  test('falls back to the TTL for requests without a deadline', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    await Request.updateOne({ _id: created.body.Request._id }, { ResponseDeadline: null });
+
+    expect(await expireStaleRequests(later(13), SETTINGS)).toBe(0);
+    expect(await expireStaleRequests(later(15), SETTINGS)).toBe(1);
+  });
+});
+
+describe('PUT /api/request/:id/deadline', () => {
+  let requestId;
+
+  beforeEach(async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    requestId = created.body.Request._id;
+  });
+
+  const setDeadline = (user, deadline) => api(user)
+    .put(`/api/request/${requestId}/deadline`)
+    .send({ ResponseDeadline: deadline.toISOString() });
+
+  test('lets the owner move the deadline', async () => {
+    const deadline = later(2);
+
+    const res = await setDeadline(owner, deadline).expect(200);
+
+    expect(res.body.ResponseDeadline).toBe(deadline.toISOString());
+    expect(await expireStaleRequests(later(3), SETTINGS)).toBe(1);
+  });
+
+  test('forbids the requester', async () => {
+    await setDeadline(borrower, later(2)).expect(403);
+  });
+
+  test('rejects a deadline in the past', async () => {
+    const res = await setDeadline(owner, later(-1)).expect(400);
+
+    expect(res.body.error.details).toEqual({ 'body.ResponseDeadline': 'must be in the future' });
+  });
+
+  test('answers 409 once the request is answered', async () => {
+    await api(owner).post(`/api/request/${requestId}/decline`).send({ reasonCode: 'not-available' }).expect(200);
+
+    await setDeadline(owner, later(2)).expect(409);
+  });
+});
@@ -0,0 +1,752 @@
+const db = require('../helpers/db');
+const { createBook, createUser, newId, reset } = require('../helpers/fixtures');
+const { api, lendBook, requestBook } = require('../helpers/api');
+const Request = require('../../models/Request');
+const Transaction = require('../../models/Transaction');
+const BookLock = require('../../models/BookLock');
+const CounterOffer = require('../../models/CounterOffer');
+const config = require('../../config');
+
+let owner;
+let borrower;
+let stranger;
+let admin;
+let book;
+
+beforeAll(db.connect, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  owner = createUser({ name: 'Olivia Owner' });
+  borrower = createUser({ name: 'Bob Borrower' });
+  stranger = createUser({ name: 'Sam Stranger' });
+  admin = createUser({ name: 'Ada Admin', roles: ['admin'] });
+  book = createBook(owner);
+});
+
+afterEach(db.clear);
+
+describe('POST /api/request', () => {
+  test('creates a pending request to the book owner', async () => {
+    const res = await requestBook(borrower, book, { Duration: 7, NegotiatedTerms: 'Weekend pickup' }).expect(201);
+
+    expect(res.body.Request).toMatchObject({
+      RequestedBy: borrower.id,
+      RequestedTo: owner.id,
+      BookID: book._id,
+      Status: 'Pending',
+      DeliveryMethod: 'In-person',
+      Duration: 7,
+      NegotiatedTerms: 'Weekend pickup',
+      Book: { _id: book._id, Title: 'Dune', Author: 'Frank Herbert' },
+      Requester: { _id: borrower.id, Name: 'Bob Borrower' },
+      Owner: { _id: owner.id, Name: 'Olivia Owner' },
+    });
+    expect(res.body.Request.StatusHistory).toEqual([expect.objectContaining({ From: null, To: 'Pending', Actor: borrower.id })]);
+    expect(await Request.countDocuments()).toBe(1);
+  });
+
+  test('answers 401 without a token', async () => {
+    const res = await api().post('/api/request').send({ BookID: book._id, DeliveryMethod: 'In-person', Duration: 14 });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('UNAUTHENTICATED');
+  });
+
+  test('answers 401 with an invalid token', async () => {
+    const res = await api({ token: 'not-a-token' }).post('/api/request').send({ BookID: book._id });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects an invalid body with per-field details', async () => {
+    const res = await requestBook(borrower, book, { Duration: 'long', DeliveryMethod: 'Pigeon' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error.details).toEqual(expect.objectContaining({
+      'body.Duration': expect.any(String),
+      'body.DeliveryMethod': expect.stringContaining('must be one of'),
+    }));
+  });
+
+  test('refuses a loan longer than a year up front', async () => {
+    const res = await requestBook(borrower, book, { Duration: 1e9 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual({ 'body.Duration': 'must be <= 365' });
+    expect(await Request.countDocuments()).toBe(0);
+  });
+
+  test('rejects a book the catalog does not know', async () => {
+    const res = await requestBook(borrower, { _id: newId() });
+
+    expect(res.status).toBe(400);
+    expect(await Request.countDocuments()).toBe(0);
+  });
+
+  test('rejects a request for the caller\'s own book', async () => {
+    const res = await requestBook(owner, book);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toMatch(/own book/);
+  });
+
+  test('rejects a RequestedTo other than the book owner', async () => {
+    const res = await requestBook(borrower, book, { RequestedTo: stranger.id });
+
+    expect(res.status).toBe(400);
+  });
+
+  // Leaves the borrower with as many open requests as they may have
+  const fillBorrowerCap = async () => {
+    const created = [];
+    for (let i = 0; i < config.pendingCaps.perBorrower; i += 1) {
+      created.push(await requestBook(borrower, createBook(stranger)).expect(201));
+    }
+    return created;
+  };
+
+  test('caps the open requests of a borrower', async () => {
+    await fillBorrowerCap();
+
+    const res = await requestBook(borrower, book);
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('TOO_MANY_REQUESTS');
+    // Until the first of the open requests expires
+    const retryAfter = Number(res.headers['retry-after']);
+    expect(retryAfter).toBe(res.body.error.details.retryAfter);
+    expect(retryAfter).toBeGreaterThan((config.requestExpiry.pendingTtlDays * 24 - 1) * 60 * 60);
+  });
+
+  test('replays the response to a repeated Idempotency-Key', async () => {
+    const send = () => requestBook(borrower, book).set('Idempotency-Key', 'create-once');
+
+    const first = await send().expect(201);
+    const second = await send().expect(201);
+
+    expect(second.body.Request._id).toBe(first.body.Request._id);
+    expect(await Request.countDocuments()).toBe(1);
+  });
+
+  test('runs a call refused with 429 again on a retry with the same Idempotency-Key', async () => {
+    const [first] = await fillBorrowerCap();
+    const send = () => requestBook(borrower, book).set('Idempotency-Key', 'over-cap');
+
+    await send().expect(429);
+    await api(borrower).post(`/api/request/${first.body.Request._id}/withdraw`).send({ reasonCode: 'no-longer-needed' }).expect(200);
+
+    const retried = await send().expect(201);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
+
+describe('GET /api/request', () => {
+  test('lists only the requests the caller is part of', async () => {
+    await requestBook(borrower, book).expect(201);
+    await requestBook(stranger, createBook(admin)).expect(201);
+
+    const asBorrower = await api(borrower).get('/api/request').expect(200);
+    const asOwner = await api(owner).get('/api/request').expect(200);
+
+    expect(asBorrower.body.data).toHaveLength(1);
+    expect(asBorrower.body.data[0]).toMatchObject({ RequestedBy: borrower.id, Book: { Title: 'Dune' } });
+    expect(asOwner.body.data).toHaveLength(1);
+  });
+
+  test('lists every request for admins', async () => {
+    await requestBook(borrower, book).expect(201);
+    await requestBook(stranger, createBook(owner)).expect(201);
+
+    const res = await api(admin).get('/api/request?count=true').expect(200);
+
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.total).toBe(2);
+  });
+
+  test('pages through the results with a cursor', async () => {
+    await requestBook(borrower, book).expect(201);
+    await requestBook(borrower, createBook(owner, { title: 'Emma' })).expect(201);
+
+    const first = await api(borrower).get('/api/request?limit=1').expect(200);
+    expect(first.body).toMatchObject({ hasMore: true, nextCursor: expect.any(String) });
+
+    const second = await api(borrower).get(`/api/request?limit=1&cursor=${first.body.nextCursor}`).expect(200);
+    expect(second.body.hasMore).toBe(false);
+    expect(second.body.data[0]._id).not.toBe(first.body.data[0]._id);
+  });
+
+  test('filters by status', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    await requestBook(borrower, createBook(owner)).expect(201);
+    await api(borrower).post(`/api/request/${created.body.Request._id}/withdraw`).send({ reasonCode: 'no-longer-needed' }).expect(200);
+
+    const res = await api(borrower).get('/api/request?status=Cancelled').expect(200);
+
+    expect(res.body.data.map((item) => item._id)).toEqual([created.body.Request._id]);
+  });
+
+  test('rejects an invalid limit', async () => {
+    const res = await api(borrower).get('/api/request?limit=0');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toHaveProperty(['query.limit']);
+  });
+
+  test('rejects an unknown status or sort field', async () => {
+    const res = await api(borrower).get('/api/request?status=Pending,Lost&sortBy=Title');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual(expect.objectContaining({
+      'query.status': expect.any(String),
+      'query.sortBy': 'must be one of: RequestDate, updatedAt, Duration, Status',
+    }));
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get('/api/request').expect(401);
+  });
+});
+
+describe('GET /api/request/user/:userId', () => {
+  test('lists the requests made and received by the user', async () => {
+    await requestBook(borrower, book).expect(201);
+
+    const asOwner = await api(owner).get(`/api/request/user/${owner.id}`).expect(200);
+    const asBorrower = await api(borrower).get(`/api/request/user/${borrower.id}`).expect(200);
+
+    expect(asOwner.body.data).toHaveLength(1);
+    expect(asBorrower.body.data).toHaveLength(1);
+  });
+
+  test('forbids listing another user\'s requests', async () => {
+    const res = await api(stranger).get(`/api/request/user/${borrower.id}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('FORBIDDEN');
+  });
+
+  test('lets moderators list any user\'s requests', async () => {
+    await requestBook(borrower, book).expect(201);
+    const moderator = createUser({ roles: ['moderator'] });
+
+    const res = await api(moderator).get(`/api/request/user/${borrower.id}`).expect(200);
+
+    expect(res.body.data).toHaveLength(1);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get(`/api/request/user/${borrower.id}`).expect(401);
+  });
+});
+
+describe('GET /api/request/:id', () => {
+  test('returns the request to its participants', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    const id = created.body.Request._id;
+
+    const res = await api(owner).get(`/api/request/${id}`).expect(200);
+
+    expect(res.body).toMatchObject({ _id: id, Owner: { Name: 'Olivia Owner' } });
+    await api(borrower).get(`/api/request/${id}`).expect(200);
+  });
+
+  test('forbids other users', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+
+    await api(stranger).get(`/api/request/${created.body.Request._id}`).expect(403);
+  });
+
+  test('answers 404 for an unknown request', async () => {
+    const res = await api(borrower).get(`/api/request/${newId()}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('answers 400 for a malformed ID', async () => {
+    const res = await api(borrower).get('/api/request/not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toHaveProperty(['params.id']);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get(`/api/request/${newId()}`).expect(401);
+  });
+});
+
+describe('GET /api/request/:id/history', () => {
+  test('returns every status change with its actor', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    const id = created.body.Request._id;
+    await api(owner).post(`/api/request/${id}/decline`).send({ reasonCode: 'other', reason: 'Not lending it now' }).expect(200);
+
+    const res = await api(borrower).get(`/api/request/${id}/history`).expect(200);
+
+    expect(res.body.Status).toBe('Rejected');
+    expect(res.body.StatusHistory).toEqual([
+      expect.objectContaining({ From: null, To: 'Pending', Actor: borrower.id }),
+      expect.objectContaining({ From: 'Pending', To: 'Rejected', Actor: owner.id, ReasonCode: 'other', Reason: 'Not lending it now' }),
+    ]);
+  });
+
+  test('forbids other users', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+
+    await api(stranger).get(`/api/request/${created.body.Request._id}/history`).expect(403);
+  });
+
+  test('answers 404 for an unknown request', async () => {
+    await api(borrower).get(`/api/request/${newId()}/history`).expect(404);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get(`/api/request/${newId()}/history`).expect(401);
+  });
+});
+
+describe('counter-offers', () => {
+  let requestId;
+
+  beforeEach(async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    requestId = created.body.Request._id;
+  });
+
+  const propose = (user, offer = { Duration: 21, Message: 'Three weeks?' }) => api(user)
+    .post(`/api/request/${requestId}/offers`)
+    .send(offer);
+
+  test('POST /:id/offers records the offer and marks the request Modified', async () => {
+    const res = await propose(owner).expect(201);
+
+    expect(res.body.Offer).toMatchObject({ RequestID: requestId, ProposedBy: owner.id, Duration: 21, Status: 'Pending' });
+    expect((await Request.findById(requestId)).Status).toBe('Modified');
+  });
+
+  test('POST /:id/offers supersedes the offer still awaiting an answer', async () => {
+    const first = await propose(owner).expect(201);
+    await propose(borrower, { Duration: 10 }).expect(201);
+
+    expect((await CounterOffer.findById(first.body.Offer._id)).Status).toBe('Superseded');
+  });
+
+  test('POST /:id/offers needs at least one proposed term', async () => {
+    await propose(owner, {}).expect(400);
+  });
+
+  test('POST /:id/offers forbids other users', async () => {
+    await propose(stranger).expect(403);
+  });
+
+  test('POST /:id/offers answers 409 once the request is decided', async () => {
+    await api(owner).post(`/api/request/${requestId}/decline`).send({ reasonCode: 'not-available' }).expect(200);
+
+    await propose(owner).expect(409);
+  });
+
+  test('POST /:id/offers answers 404 for an unknown request', async () => {
+    await api(owner).post(`/api/request/${newId()}/offers`).send({ Duration: 3 }).expect(404);
+  });
+
+  test('POST /:id/offers answers 401 without a token', async () => {
+    await propose(null).expect(401);
+  });
+
+  test('GET /:id/offers lists the thread oldest first', async () => {
+    await propose(owner).expect(201);
+    await propose(borrower, { Message: 'Two weeks is enough' }).expect(201);
+
+    const res = await api(borrower).get(`/api/request/${requestId}/offers`).expect(200);
+
+    expect(res.body.map((offer) => offer.ProposedBy)).toEqual([owner.id, borrower.id]);
+  });
+
+  test('GET /:id/offers forbids other users', async () => {
+    await api(stranger).get(`/api/request/${requestId}/offers`).expect(403);
+  });
+
+  test('GET /:id/offers answers 404 for an unknown request', async () => {
+    await api(borrower).get(`/api/request/${newId()}/offers`).expect(404);
+  });
+
+  test('GET /:id/offers answers 401 without a token', async () => {
+    await api().get(`/api/request/${requestId}/offers`).expect(401);
+  });
+
+  test('POST /:id/offers/:offerId/accept applies the terms and reopens the request', async () => {
+    const offer = await propose(owner, { Duration: 21, DeliveryMethod: 'Shipping', Message: 'Shipped, three weeks' }).expect(201);
+
+    const res = await api(borrower).post(`/api/request/${requestId}/offers/${offer.body.Offer._id}/accept`).expect(200);
+
+    expect(res.body.Offer).toMatchObject({ Status: 'Accepted', RespondedBy: borrower.id });
+    expect(res.body.Request).toMatchObject({
+      Status: 'Pending',
+      Duration: 21,
+      DeliveryMethod: 'Shipping',
+      NegotiatedTerms: 'Shipped, three weeks',
+    });
+  });
+
+  test('POST /:id/offers/:offerId/reject keeps the terms and reopens the request', async () => {
+    const offer = await propose(owner).expect(201);
+
+    const res = await api(borrower).post(`/api/request/${requestId}/offers/${offer.body.Offer._id}/reject`).expect(200);
+
+    expect(res.body.Offer.Status).toBe('Rejected');
+    expect(res.body.Request).toMatchObject({ Status: 'Pending', Duration: 14 });
+  });
+
+  test('only the other party can answer an offer', async () => {
+    const offer = await propose(owner).expect(201);
+    const path = `/api/request/${requestId}/offers/${offer.body.Offer._id}`;
+
+    await api(owner).post(`${path}/accept`).expect(403);
+    await api(stranger).post(`${path}/reject`).expect(403);
+  });
+
+  test('an answered offer cannot be answered again', async () => {
+    const offer = await propose(owner).expect(201);
+    const path = `/api/request/${requestId}/offers/${offer.body.Offer._id}`;
+    await api(borrower).post(`${path}/reject`).expect(200);
+
+    await api(borrower).post(`${path}/accept`).expect(409);
+  });
+
+  test('answering answers 404 for an unknown offer', async () => {
+    await api(borrower).post(`/api/request/${requestId}/offers/${newId()}/accept`).expect(404);
+    await api(borrower).post(`/api/request/${newId()}/offers/${newId()}/reject`).expect(404);
+  });
+
+  test('answering answers 401 without a token', async () => {
+    await api().post(`/api/request/${requestId}/offers/${newId()}/accept`).expect(401);
+    await api().post(`/api/request/${requestId}/offers/${newId()}/reject`).expect(401);
+  });
+});
+
+describe('PUT /api/request/:id', () => {
+  let requestId;
+
+  beforeEach(async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    requestId = created.body.Request._id;
+  });
+
+  const setStatus = (user, status) => api(user).put(`/api/request/${requestId}`).send({ status });
+
+  test('accepting opens a transaction and locks the book', async () => {
+    const res = await setStatus(owner, 'Accepted').expect(200);
+
+    expect(res.body.Status).toBe('Accepted');
+
+    const transaction = await Transaction.findOne({ RequestID: requestId });
+    expect(transaction).toMatchObject({
+      OwnerID: owner.id,
+      BorrowerID: borrower.id,
+      BooKID: book._id,
+      DeliveryMethod: 'In-person',
+      Duration: 14,
+      Status: 'Pending',
+    });
+    expect(await BookLock.findOne({ BookID: book._id })).toMatchObject({ TransactionID: transaction._id });
+  });
+
+  test('accepting rejects the other open requests for the book', async () => {
+    const competing = await requestBook(stranger, book).expect(201);
+
+    await setStatus(owner, 'Accepted').expect(200);
+
+    expect((await Request.findById(competing.body.Request._id)).Status).toBe('Rejected');
+  });
+
+  test('accepting also rejects a competing request under counter-offer', async () => {
+    const competing = await requestBook(stranger, book).expect(201);
+    const competingId = competing.body.Request._id;
+    const offer = await api(owner).post(`/api/request/${competingId}/offers`).send({ Duration: 7 }).expect(201);
+
+    await setStatus(owner, 'Accepted').expect(200);
+
+    const rejected = await Request.findById(competingId);
+    expect(rejected.Status).toBe('Rejected');
+    expect(rejected.StatusHistory.at(-1)).toMatchObject({ From: 'Modified', To: 'Rejected' });
+    expect((await CounterOffer.findById(offer.body.Offer._id)).Status).toBe('Superseded');
+  });
+
+  test('a retry completes an acceptance that stopped after opening the transaction', async () => {
+    // What an acceptance leaves behind when it dies before saving the request
+    const request = await Request.findById(requestId);
+    const leftover = await Transaction.create({
+      RequestID: request._id,
+      OwnerID: owner.id,
+      BorrowerID: borrower.id,
+      BooKID: book._id,
+      DeliveryMethod: 'Shipping',
+      Duration: 3,
+      Status: 'Pending',
+      TransactionDate: new Date(),
+    });
+    await BookLock.create({
+      BookID: book._id,
+      TransactionID: leftover._id,
+      RequestID: request._id,
+      ReservedFrom: leftover.TransactionDate,
+      ReservedUntil: leftover.TransactionDate,
+    });
+
+    const res = await setStatus(owner, 'Accepted').expect(200);
+
+    expect(res.body.Status).toBe('Accepted');
+    const transactions = await Transaction.find({ RequestID: requestId });
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({ _id: leftover._id, DeliveryMethod: 'In-person', Duration: 14 });
+    expect(await BookLock.countDocuments({ TransactionID: leftover._id })).toBe(1);
+  });
+
+  test('a retry takes the book lock an interrupted acceptance did not get to', async () => {
+    const request = await Request.findById(requestId);
+    const leftover = await Transaction.create({
+      RequestID: request._id,
+      OwnerID: owner.id,
+      BorrowerID: borrower.id,
+      BooKID: book._id,
+      DeliveryMethod: 'In-person',
+      Duration: 14,
+      Status: 'Pending',
+      TransactionDate: new Date(),
+    });
+
+    await setStatus(owner, 'Accepted').expect(200);
+
+    expect(await BookLock.findOne({ BookID: book._id })).toMatchObject({ TransactionID: leftover._id });
+  });
+
+  test('an accepted request cannot be accepted again', async () => {
+    await setStatus(owner, 'Accepted').expect(200);
+
+    const res = await setStatus(owner, 'Accepted');
+
+    expect(res.status).toBe(409);
+    expect(await Transaction.countDocuments()).toBe(1);
+  });
+
+  test('a book that is lent out cannot be lent again', async () => {
+    const other = await Request.create({
+      RequestedBy: stranger.id,
+      RequestedTo: owner.id,
+      BookID: book._id,
+      DeliveryMethod: 'In-person',
+      Duration: 5,
+    });
+    await setStatus(owner, 'Accepted').expect(200);
+    // Reopened behind the service's back, e.g. by a concurrent writer
+    await Request.updateOne({ _id: other._id }, { Status: 'Pending' });
+
+    const res = await api(owner).put(`/api/request/${other._id}`).send({ status: 'Accepted' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.details).toHaveProperty('BlockingTransactionID');
+    expect(await Transaction.countDocuments()).toBe(1);
+    expect((await Request.findById(other._id)).Status).toBe('Pending');
+  });
+
+  test('only the owner can accept', async () => {
+    await setStatus(borrower, 'Accepted').expect(403);
+    await setStatus(stranger, 'Accepted').expect(403);
+    expect(await Transaction.countDocuments()).toBe(0);
+  });
+
+  test('refuses moves the lifecycle does not allow', async () => {
+    await api(owner).post(`/api/request/${requestId}/decline`).send({ reasonCode: 'not-available' }).expect(200);
+
+    await setStatus(owner, 'Accepted').expect(409);
+  });
+
+  test('leaves rejecting and cancelling to decline and withdraw, which take a reason code', async () => {
+    for (const [user, status] of [[owner, 'Rejected'], [borrower, 'Cancelled']]) {
+      const res = await setStatus(user, status).expect(400);
+      expect(res.body.error.details).toHaveProperty(['body.status']);
+    }
+    expect((await Request.findById(requestId)).Status).toBe('Pending');
+  });
+
+  test('rejects an unknown status', async () => {
+    const res = await setStatus(owner, 'Lost');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toHaveProperty(['body.status']);
+  });
+
+  test('answers 404 for an unknown request', async () => {
+    await api(owner).put(`/api/request/${newId()}`).send({ status: 'Accepted' }).expect(404);
+  });
+
+  test('answers 401 without a token', async () => {
+    await setStatus(null, 'Accepted').expect(401);
+  });
+});
+
+describe('POST /api/request/:id/withdraw and /decline', () => {
+  let requestId;
+
+  beforeEach(async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    requestId = created.body.Request._id;
+  });
+
+  const close = (user, action, body) => api(user).post(`/api/request/${requestId}/${action}`).send(body);
+
+  test('the requester withdraws with a reason code', async () => {
+    const res = await close(borrower, 'withdraw', { reasonCode: 'found-elsewhere' }).expect(200);
+
+    expect(res.body.Status).toBe('Cancelled');
+    expect(res.body.StatusHistory.at(-1)).toMatchObject({ From: 'Pending', To: 'Cancelled', Actor: borrower.id, ReasonCode: 'found-elsewhere' });
+  });
+
+  test('the owner declines with a reason code', async () => {
+    const res = await close(owner, 'decline', { reasonCode: 'other', reason: 'Lending it to family' }).expect(200);
+
+    expect(res.body.Status).toBe('Rejected');
+    expect(res.body.StatusHistory.at(-1)).toMatchObject({ ReasonCode: 'other', Reason: 'Lending it to family' });
+  });
+
+  test('each party can only take its own way out', async () => {
+    await close(owner, 'withdraw', { reasonCode: 'no-longer-needed' }).expect(403);
+    await close(borrower, 'decline', { reasonCode: 'not-available' }).expect(403);
+    await close(stranger, 'withdraw', { reasonCode: 'no-longer-needed' }).expect(403);
+  });
+
+  test('only open requests can be withdrawn or declined', async () => {
+    await api(owner).put(`/api/request/${requestId}`).send({ status: 'Accepted' }).expect(200);
+
+    await close(borrower, 'withdraw', { reasonCode: 'no-longer-needed' }).expect(409);
+    await close(owner, 'decline', { reasonCode: 'not-available' }).expect(409);
+  });
+
+  test('closes a request under counter-offer and supersedes the open offer', async () => {
+    const offer = await api(borrower).post(`/api/request/${requestId}/offers`).send({ Duration: 7 }).expect(201);
+
+    const res = await close(owner, 'decline', { reasonCode: 'terms-unacceptable' }).expect(200);
+
+    expect(res.body.StatusHistory.at(-1)).toMatchObject({ From: 'Modified', To: 'Rejected' });
+    expect((await CounterOffer.findById(offer.body.Offer._id)).Status).toBe('Superseded');
+  });
+
+  test('withdrawing supersedes the open offer too', async () => {
+    const offer = await api(owner).post(`/api/request/${requestId}/offers`).send({ Duration: 7 }).expect(201);
+
+    await close(borrower, 'withdraw', { reasonCode: 'terms-changed' }).expect(200);
+
+    expect((await CounterOffer.findById(offer.body.Offer._id)).Status).toBe('Superseded');
+  });
+
+  test('rejects reason codes of another flow and other without a reason', async () => {
+    const res = await close(borrower, 'withdraw', { reasonCode: 'not-available' }).expect(400);
+    expect(res.body.error.details).toHaveProperty(['body.reasonCode']);
+
+    await close(owner, 'decline', { reasonCode: 'other', reason: ' ' }).expect(400);
+    expect((await Request.findById(requestId)).Status).toBe('Pending');
+  });
+
+  test('answers 404 for an unknown request', async () => {
+    await api(borrower).post(`/api/request/${newId()}/withdraw`).send({ reasonCode: 'no-longer-needed' }).expect(404);
+  });
+});
+
+describe('DELETE /api/request/:id', () => {
+  test('lets admins delete a request', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+
+    await api(admin).delete(`/api/request/${created.body.Request._id}`).expect(200);
+
+    expect(await Request.countDocuments()).toBe(0);
+    await api(borrower).get(`/api/request/${created.body.Request._id}`).expect(404);
+    const deleted = await Request.findById(created.body.Request._id).withDeleted();
+    expect(deleted).toMatchObject({ Status: 'Pending', deletedBy: admin.id });
+  });
+
+  test('answers 409 while the transaction is unfinished', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+
+    const res = await api(admin).delete(`/api/request/${request._id}`).expect(409);
+
+    expect(res.body.error.details).toEqual({ BlockingTransactionID: transaction._id });
+    expect(await Request.countDocuments()).toBe(1);
+  });
+
+  test('cancels the transaction and releases the book with cascade', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+
+    await api(admin).delete(`/api/request/${request._id}?cascade=true`).expect(200);
+
+    const cancelled = await Transaction.findById(transaction._id).withDeleted();
+    expect(cancelled.Status).toBe('Cancelled');
+    expect(cancelled.StatusHistory.at(-1)).toMatchObject({ To: 'Cancelled', Actor: admin.id, ReasonCode: 'request-deleted' });
+    expect((await Request.findById(request._id).withDeleted()).Status).toBe('Cancelled');
+    expect(cancelled.deletedAt).toEqual((await Request.findById(request._id).withDeleted()).deletedAt);
+    expect(await BookLock.countDocuments()).toBe(0);
+  });
+
+  test('refuses to cascade once the book is delivered', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+    await api(owner).post(`/api/transaction/${transaction._id}/start`).expect(200);
+    await api(borrower).post(`/api/transaction/${transaction._id}/deliver`).expect(200);
+
+    await api(admin).delete(`/api/request/${request._id}?cascade=true`).expect(409);
+
+    expect((await Transaction.findById(transaction._id)).Status).toBe('Delivered');
+  });
+
+  test('forbids users other than admins', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+
+    await api(borrower).delete(`/api/request/${created.body.Request._id}`).expect(403);
+    expect(await Request.countDocuments()).toBe(1);
+  });
+
+  test('answers 404 for an unknown request', async () => {
+    await api(admin).delete(`/api/request/${newId()}`).expect(404);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().delete(`/api/request/${newId()}`).expect(401);
+  });
+});
+
+describe('POST /api/request/:id/restore', () => {
+  test('brings back the request and the transaction deleted with it', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+    await api(admin).delete(`/api/request/${request._id}?cascade=true`).expect(200);
+
+    const res = await api(admin).post(`/api/request/${request._id}/restore`).expect(200);
+
+    expect(res.body).toMatchObject({ _id: request._id, Status: 'Cancelled', deletedAt: null });
+    expect(await Transaction.findById(transaction._id)).toMatchObject({ Status: 'Cancelled', deletedAt: null });
+  });
+
+  test('leaves a transaction deleted on its own alone', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+    await api(owner).post(`/api/transaction/${transaction._id}/cancel`).send({ reasonCode: 'not-available' }).expect(200);
+    await api(admin).delete(`/api/transaction/${transaction._id}`).expect(200);
+    await api(admin).delete(`/api/request/${request._id}`).expect(200);
+
+    await api(admin).post(`/api/request/${request._id}/restore`).expect(200);
+
+    expect(await Transaction.findById(transaction._id)).toBeNull();
+  });
+
+  test('answers 409 for a request that is not deleted', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+
+    await api(admin).post(`/api/request/${created.body.Request._id}/restore`).expect(409);
+  });
+
+  test('forbids users other than admins', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    await api(admin).delete(`/api/request/${created.body.Request._id}`).expect(200);
+
+    await api(borrower).post(`/api/request/${created.body.Request._id}/restore`).expect(403);
+  });
+});
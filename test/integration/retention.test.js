@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const db = require('../helpers/db');
+const { createBook, createUser, reset } = require('../helpers/fixtures');
+const { api, lendBook, requestBook } = require('../helpers/api');
+const Archive = require('../../models/Archive');
+const Request = require('../../models/Request');
+const Transaction = require('../../models/Transaction');
+const { archiveOldRecords } = require('../../services/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTINGS = { afterDays: 30 };
+
+let owner;
+let borrower;
+let admin;
+let book;
+
+beforeAll(db.connect, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  owner = createUser();
+  borrower = createUser();
+  admin = createUser({ roles: ['admin'] });
+  book = createBook(owner);
+});
+
+afterEach(db.clear);
+
+// Straight to the collections, so updatedAt and the history keep the old dates
+const age = (Model, id, fields) => Model.collection.updateOne({ _id: id }, { $set: fields });
+
+const later = (days) => new Date(Date.now() + days * DAY_MS);
+
+describe('archiveOldRecords', () => {
+  test('archives requests finished before the cutoff', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    const id = created.body.Request._id;
+    await api(borrower).post(`/api/request/${id}/withdraw`).send({ reasonCode: 'no-longer-needed' }).expect(200);
+
+    expect(await archiveOldRecords(later(10), SETTINGS)).toEqual({ requests: 0, transactions: 0 });
+    expect(await archiveOldRecords(later(31), SETTINGS)).toEqual({ requests: 1, transactions: 0 });
+
+    expect(await Request.findById(id).withDeleted()).toBeNull();
+    const archived = await Archive.findOne({ Entity: 'request' }).lean();
+    expect(String(archived.RecordID)).toBe(id);
+    expect(archived.Record).toMatchObject({ Status: 'Cancelled', BookID: book._id });
+  });
+
+  test('keeps open requests and running loans however old', async () => {
+    await requestBook(createUser(), createBook(owner)).expect(201);
+    await lendBook(owner, borrower, book);
+
+    expect(await archiveOldRecords(later(400), SETTINGS)).toEqual({ requests: 0, transactions: 0 });
+  });
+
+  test('archives a returned loan, then its request', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+    const past = new Date(Date.now() - 60 * DAY_MS);
+    await age(Transaction, new mongoose.Types.ObjectId(transaction._id), {
+      Status: 'Returned',
+      TransactionDate: past,
+      'StatusHistory.0.Timestamp': past,
+    });
+
+    expect(await archiveOldRecords(new Date(), SETTINGS)).toEqual({ requests: 0, transactions: 1 });
+    expect(await Transaction.countDocuments()).toBe(0);
+
+    // The request was updated on acceptance, less than 30 days ago
+    expect(await archiveOldRecords(later(31), SETTINGS)).toEqual({ requests: 1, transactions: 0 });
+    expect(await Archive.countDocuments({ Entity: 'transaction', RecordID: transaction._id })).toBe(1);
+    expect(await Request.findById(request._id).withDeleted()).toBeNull();
+  });
+
+  test('archives records deleted before the cutoff', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+    await api(admin).delete(`/api/request/${created.body.Request._id}`).expect(200);
+
+    expect(await archiveOldRecords(later(31), SETTINGS)).toEqual({ requests: 1, transactions: 0 });
+  });
+});
@@ -0,0 +1,665 @@
+const db = require('../helpers/db');
+const { createBook, createUser, newId, reset } = require('../helpers/fixtures');
+const { api, lendBook, requestBook } = require('../helpers/api');
+const Request = require('../../models/Request');
+const Transaction = require('../../models/Transaction');
+const BookLock = require('../../models/BookLock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let owner;
+let borrower;
+let stranger;
+let admin;
+let book;
+
+beforeAll(db.connect, 120000);
+afterAll(db.disconnect);
+
+beforeEach(() => {
+  reset();
+  owner = createUser({ name: 'Olivia Owner' });
+  borrower = createUser({ name: 'Bob Borrower' });
+  stranger = createUser({ name: 'Sam Stranger' });
+  admin = createUser({ name: 'Ada Admin', roles: ['admin'] });
+  book = createBook(owner);
+});
+
+afterEach(db.clear);
+
+const CANCEL = { reasonCode: 'no-longer-needed' };
+
+const act = (user, transaction, action, body = {}) => api(user)
+  .post(`/api/transaction/${transaction._id}/${action}`)
+  .send(body);
+
+// Lends the book and hands it over in person, so the loan is running
+const deliveredLoan = async (terms) => {
+  const { transaction } = await lendBook(owner, borrower, book, terms);
+  await act(owner, transaction, 'start').expect(200);
+  const delivered = await act(borrower, transaction, 'deliver').expect(200);
+  return delivered.body;
+};
+
+describe('accepting a request', () => {
+  test('creates a transaction carrying the terms of the request', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book, { Duration: 10, DeliveryMethod: 'Shipping' });
+
+    expect(transaction).toMatchObject({
+      RequestID: request._id,
+      OwnerID: owner.id,
+      BorrowerID: borrower.id,
+      BooKID: book._id,
+      DeliveryMethod: 'Shipping',
+      Duration: 10,
+      Status: 'Pending',
+    });
+    expect(transaction.StatusHistory).toEqual([expect.objectContaining({ From: null, To: 'Pending', Actor: owner.id })]);
+  });
+
+  test('marks the book unavailable until the transaction ends', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    const res = await api(stranger).get(`/api/transaction/book/${book._id}/availability`).expect(200);
+
+    expect(res.body).toMatchObject({ BookID: book._id, Available: false, BlockingTransactionID: transaction._id });
+    expect(new Date(res.body.ReservedUntil) - new Date(res.body.ReservedFrom)).toBe(14 * DAY_MS);
+  });
+});
+
+describe('POST /api/transaction', () => {
+  test('recreates the missing transaction of an accepted request', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+    await Transaction.deleteOne({ _id: transaction._id });
+    await BookLock.deleteMany({});
+
+    const res = await api(admin).post('/api/transaction').send({ RequestID: request._id }).expect(201);
+
+    expect(res.body).toMatchObject({ RequestID: request._id, OwnerID: owner.id, BorrowerID: borrower.id, Status: 'Pending' });
+    expect(await BookLock.findOne({ BookID: book._id })).toMatchObject({ TransactionID: expect.anything() });
+  });
+
+  test('answers 409 when the transaction of the request is deleted', async () => {
+    const loan = await deliveredLoan();
+    await act(owner, loan, 'return').expect(200);
+    await api(admin).delete(`/api/transaction/${loan._id}`).expect(200);
+
+    const res = await api(admin).post('/api/transaction').send({ RequestID: loan.RequestID }).expect(409);
+
+    expect(res.body.error.details).toEqual({ TransactionID: loan._id });
+  });
+
+  test('answers 409 when the request already has a transaction', async () => {
+    const { request } = await lendBook(owner, borrower, book);
+
+    await api(admin).post('/api/transaction').send({ RequestID: request._id }).expect(409);
+    expect(await Transaction.countDocuments()).toBe(1);
+  });
+
+  test('answers 409 for a request that is not accepted', async () => {
+    const created = await requestBook(borrower, book).expect(201);
+
+    await api(admin).post('/api/transaction').send({ RequestID: created.body.Request._id }).expect(409);
+    expect(await Transaction.countDocuments()).toBe(0);
+  });
+
+  test('answers 404 for an unknown request', async () => {
+    await api(admin).post('/api/transaction').send({ RequestID: newId() }).expect(404);
+  });
+
+  test('rejects a malformed RequestID', async () => {
+    const res = await api(admin).post('/api/transaction').send({ RequestID: 'nope' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toHaveProperty(['body.RequestID']);
+  });
+
+  test('forbids users other than admins', async () => {
+    const { request } = await lendBook(owner, borrower, book);
+
+    await api(owner).post('/api/transaction').send({ RequestID: request._id }).expect(403);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().post('/api/transaction').send({ RequestID: newId() }).expect(401);
+  });
+});
+
+describe('GET /api/transaction', () => {
+  test('lists only the transactions the caller is part of, with summaries', async () => {
+    await lendBook(owner, borrower, book);
+
+    const asBorrower = await api(borrower).get('/api/transaction').expect(200);
+    const asStranger = await api(stranger).get('/api/transaction').expect(200);
+
+    expect(asBorrower.body.data).toHaveLength(1);
+    expect(asBorrower.body.data[0]).toMatchObject({
+      Book: { Title: 'Dune' },
+      Owner: { Name: 'Olivia Owner' },
+      Borrower: { Name: 'Bob Borrower' },
+    });
+    expect(asStranger.body.data).toHaveLength(0);
+  });
+
+  test('lists every transaction for admins', async () => {
+    await lendBook(owner, borrower, book);
+    await lendBook(stranger, borrower, createBook(stranger));
+
+    const res = await api(admin).get('/api/transaction?count=true').expect(200);
+
+    expect(res.body.total).toBe(2);
+  });
+
+  test('filters by book', async () => {
+    await lendBook(owner, borrower, book);
+    await lendBook(owner, stranger, createBook(owner, { title: 'Emma' }));
+
+    const res = await api(owner).get(`/api/transaction?bookId=${book._id}`).expect(200);
+
+    expect(res.body.data.map((transaction) => transaction.BooKID)).toEqual([book._id]);
+  });
+
+  test('rejects an unknown status or sort field', async () => {
+    const res = await api(borrower).get('/api/transaction?status=Lost&sortBy=DueDate');
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.error.details).sort()).toEqual(['query.sortBy', 'query.status']);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get('/api/transaction').expect(401);
+  });
+});
+
+describe('GET /api/transaction/request/:exchangeRequestId', () => {
+  test('returns the transaction of a request to its participants', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+
+    const res = await api(borrower).get(`/api/transaction/request/${request._id}`).expect(200);
+
+    expect(res.body._id).toBe(transaction._id);
+  });
+
+  test('forbids other users', async () => {
+    const { request } = await lendBook(owner, borrower, book);
+
+    await api(stranger).get(`/api/transaction/request/${request._id}`).expect(403);
+  });
+
+  test('answers 404 when the request has no transaction', async () => {
+    await api(owner).get(`/api/transaction/request/${newId()}`).expect(404);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get(`/api/transaction/request/${newId()}`).expect(401);
+  });
+});
+
+describe('GET /api/transaction/overdue', () => {
+  test('lists delivered loans past their due date', async () => {
+    const loan = await deliveredLoan();
+    await Transaction.updateOne({ _id: loan._id }, { DueDate: new Date(Date.now() - DAY_MS) });
+    await lendBook(stranger, borrower, createBook(stranger));
+
+    const res = await api(borrower).get('/api/transaction/overdue').expect(200);
+
+    expect(res.body.data.map((transaction) => transaction._id)).toEqual([loan._id]);
+  });
+
+  test('leaves out loans of other users', async () => {
+    const loan = await deliveredLoan();
+    await Transaction.updateOne({ _id: loan._id }, { DueDate: new Date(Date.now() - DAY_MS) });
+
+    const res = await api(stranger).get('/api/transaction/overdue').expect(200);
+
+    expect(res.body.data).toHaveLength(0);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get('/api/transaction/overdue').expect(401);
+  });
+});
+
+describe('GET /api/transaction/book/:bookId/availability', () => {
+  test('reports a book without a running loan as available', async () => {
+    const res = await api(stranger).get(`/api/transaction/book/${book._id}/availability`).expect(200);
+
+    expect(res.body).toEqual({
+      BookID: book._id,
+      Available: true,
+      BlockingTransactionID: null,
+      ReservedFrom: null,
+      ReservedUntil: null,
+    });
+  });
+
+  test('rejects a malformed book ID', async () => {
+    const res = await api(stranger).get(`/api/transaction/book/${'x'.repeat(129)}/availability`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toHaveProperty(['params.bookId']);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get(`/api/transaction/book/${book._id}/availability`).expect(401);
+  });
+});
+
+describe('GET /api/transaction/:id', () => {
+  test('returns the transaction to its participants', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+
+    const res = await api(owner).get(`/api/transaction/${transaction._id}`).expect(200);
+
+    expect(res.body).toMatchObject({
+      _id: transaction._id,
+      RequestID: { _id: request._id, RequestedBy: borrower.id, BookID: book._id },
+      Book: { _id: book._id },
+    });
+  });
+
+  test('lets moderators view any transaction', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+    const moderator = createUser({ roles: ['moderator'] });
+
+    await api(moderator).get(`/api/transaction/${transaction._id}`).expect(200);
+  });
+
+  test('forbids other users', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await api(stranger).get(`/api/transaction/${transaction._id}`).expect(403);
+  });
+
+  test('answers 404 for an unknown transaction', async () => {
+    const res = await api(owner).get(`/api/transaction/${newId()}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('answers 400 for a malformed ID', async () => {
+    await api(owner).get('/api/transaction/not-an-id').expect(400);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().get(`/api/transaction/${newId()}`).expect(401);
+  });
+});
+
+describe('PUT /api/transaction/:id', () => {
+  test('lets admins correct the terms', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    const res = await api(admin).put(`/api/transaction/${transaction._id}`).send({ Duration: 21 }).expect(200);
+
+    expect(res.body.Duration).toBe(21);
+  });
+
+  test('refuses lifecycle fields', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    const res = await api(admin).put(`/api/transaction/${transaction._id}`).send({ Status: 'Returned' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toHaveProperty(['body.Status']);
+    expect((await Transaction.findById(transaction._id)).Status).toBe('Pending');
+  });
+
+  test('refuses update operators and ownership fields alongside allowed ones', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await api(admin).put(`/api/transaction/${transaction._id}`).send({ $set: { Status: 'Delivered' } }).expect(400);
+    await api(admin).put(`/api/transaction/${transaction._id}`).send({ Duration: 21, OwnerID: admin.id, deletedAt: new Date() }).expect(400);
+
+    const stored = await Transaction.findById(transaction._id);
+    expect(stored).toMatchObject({ Status: 'Pending', OwnerID: owner.id, Duration: 14 });
+  });
+
+  test('fixes the delivery method once the transaction has left Pending', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await api(admin).put(`/api/transaction/${transaction._id}`).send({ DeliveryMethod: 'Shipping' }).expect(200);
+    await api(admin).put(`/api/transaction/${transaction._id}`).send({ DeliveryMethod: 'In-person' }).expect(200);
+    await act(owner, transaction, 'start').expect(200);
+
+    await api(admin).put(`/api/transaction/${transaction._id}`).send({ DeliveryMethod: 'Shipping' }).expect(409);
+    expect((await Transaction.findById(transaction._id)).DeliveryMethod).toBe('In-person');
+  });
+
+  test('moves the due date with a new duration', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+    await act(owner, transaction, 'start').expect(200);
+    const delivered = await act(borrower, transaction, 'deliver').expect(200);
+
+    const res = await api(admin).put(`/api/transaction/${transaction._id}`).send({ Duration: 21 }).expect(200);
+
+    expect(new Date(res.body.DueDate) - new Date(delivered.body.DeliveredAt)).toBe(21 * DAY_MS);
+    expect((await BookLock.findOne({ TransactionID: transaction._id })).ReservedUntil.toISOString()).toBe(res.body.DueDate);
+  });
+
+  test('rejects invalid values', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    const res = await api(admin).put(`/api/transaction/${transaction._id}`).send({ Duration: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toHaveProperty(['body.Duration']);
+  });
+
+  test('refuses a duration longer than a year', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    const res = await api(admin).put(`/api/transaction/${transaction._id}`).send({ Duration: 1e9 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual({ 'body.Duration': 'must be <= 365' });
+  });
+
+  test('forbids users other than admins', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await api(owner).put(`/api/transaction/${transaction._id}`).send({ Duration: 21 }).expect(403);
+  });
+
+  test('answers 404 for an unknown transaction', async () => {
+    await api(admin).put(`/api/transaction/${newId()}`).send({ Duration: 21 }).expect(404);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().put(`/api/transaction/${newId()}`).send({ Duration: 21 }).expect(401);
+  });
+});
+
+describe('transaction actions', () => {
+  test('an in-person loan goes from Pending to Returned and frees the book', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await act(owner, transaction, 'start').expect(200);
+    const delivered = await act(borrower, transaction, 'deliver').expect(200);
+    expect(delivered.body.Status).toBe('Delivered');
+    expect(new Date(delivered.body.DueDate) - new Date(delivered.body.DeliveredAt)).toBe(14 * DAY_MS);
+    expect((await BookLock.findOne({ BookID: book._id })).ReservedUntil.toISOString()).toBe(delivered.body.DueDate);
+
+    const returned = await act(owner, transaction, 'return', { reason: 'Back in good shape' }).expect(200);
+    expect(returned.body).toMatchObject({ Status: 'Returned', BookReturnedDate: expect.any(String) });
+    expect(returned.body.StatusHistory.map((change) => change.To)).toEqual(['Pending', 'In Progress', 'Delivered', 'Returned']);
+    expect(await BookLock.countDocuments()).toBe(0);
+  });
+
+  test('a shipped loan records the carrier and tracking number', async () => {
+    const { transaction } = await lendBook(owner, borrower, book, { DeliveryMethod: 'Shipping' });
+    await act(owner, transaction, 'start').expect(200);
+
+    const shipped = await act(owner, transaction, 'ship', { Carrier: 'DHL', TrackingNumber: 'JD0001' }).expect(200);
+
+    expect(shipped.body).toMatchObject({ Status: 'Shipping', Carrier: 'DHL', TrackingNumber: 'JD0001', ShippedAt: expect.any(String) });
+    await act(borrower, transaction, 'deliver').expect(200);
+  });
+
+  test('shipping needs a carrier and tracking number', async () => {
+    const { transaction } = await lendBook(owner, borrower, book, { DeliveryMethod: 'Shipping' });
+    await act(owner, transaction, 'start').expect(200);
+
+    const res = await act(owner, transaction, 'ship', { Carrier: 'DHL' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toHaveProperty(['body.TrackingNumber']);
+  });
+
+  test('an in-person loan cannot be shipped', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+    await act(owner, transaction, 'start').expect(200);
+
+    await act(owner, transaction, 'ship', { Carrier: 'DHL', TrackingNumber: 'JD0001' }).expect(409);
+  });
+
+  test('refuses moves the lifecycle does not allow', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    const res = await act(borrower, transaction, 'deliver');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('CONFLICT');
+  });
+
+  test('only the named party can perform an action', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await act(borrower, transaction, 'start').expect(403);
+    await act(stranger, transaction, 'cancel', CANCEL).expect(403);
+    await act(owner, transaction, 'start').expect(200);
+    await act(owner, transaction, 'deliver').expect(403);
+  });
+
+  test('admins can perform any action', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await act(admin, transaction, 'start').expect(200);
+  });
+
+  test('cancelling frees the book for another request', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    const cancelled = await act(borrower, transaction, 'cancel', CANCEL).expect(200);
+
+    expect(cancelled.body.Status).toBe('Cancelled');
+    expect(await BookLock.countDocuments()).toBe(0);
+    const next = await requestBook(stranger, book).expect(201);
+    await api(owner).put(`/api/request/${next.body.Request._id}`).send({ status: 'Accepted' }).expect(200);
+  });
+
+  test('cancelling records the reason and cancels the request too', async () => {
+    const { request, transaction } = await lendBook(owner, borrower, book);
+
+    const res = await act(owner, transaction, 'cancel', { reasonCode: 'no-show' }).expect(200);
+
+    expect(res.body.StatusHistory.at(-1)).toMatchObject({ To: 'Cancelled', Actor: owner.id, ReasonCode: 'no-show' });
+    const cancelledRequest = await Request.findById(request._id);
+    expect(cancelledRequest.Status).toBe('Cancelled');
+    expect(cancelledRequest.StatusHistory.at(-1)).toMatchObject({ From: 'Accepted', To: 'Cancelled', ReasonCode: 'no-show' });
+  });
+
+  test('only the owner can cancel once the handover has started', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+    await act(owner, transaction, 'start').expect(200);
+
+    await act(borrower, transaction, 'cancel', CANCEL).expect(403);
+    await act(owner, transaction, 'cancel', CANCEL).expect(200);
+  });
+
+  test('nobody can cancel once the book is delivered', async () => {
+    const loan = await deliveredLoan();
+
+    await act(owner, loan, 'cancel', CANCEL).expect(409);
+  });
+
+  test('cancelling needs a known reason code, and a reason for other', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await act(borrower, transaction, 'cancel').expect(400);
+    await act(borrower, transaction, 'cancel', { reasonCode: 'bored' }).expect(400);
+    const res = await act(borrower, transaction, 'cancel', { reasonCode: 'other' }).expect(400);
+    expect(res.body.error.details).toEqual({ 'body.reason': 'is required when reasonCode is other' });
+
+    await act(borrower, transaction, 'cancel', { reasonCode: 'other', reason: 'Moving abroad' }).expect(200);
+  });
+
+  test.each(['start', 'ship', 'deliver', 'return', 'cancel'])('%s answers 404 for an unknown transaction', async (action) => {
+    const body = { ship: { Carrier: 'DHL', TrackingNumber: 'JD0001' }, cancel: CANCEL }[action] || {};
+
+    await act(admin, { _id: newId() }, action, body).expect(404);
+  });
+
+  test.each(['start', 'ship', 'deliver', 'return', 'cancel'])('%s answers 401 without a token', async (action) => {
+    await act(null, { _id: newId() }, action).expect(401);
+  });
+});
+
+describe('extensions', () => {
+  test('the borrower asks and the owner approves, moving the due date', async () => {
+    const loan = await deliveredLoan();
+
+    const asked = await act(borrower, loan, 'extensions', { Days: 7, Reason: 'Still reading' }).expect(201);
+    expect(asked.body.Extension).toMatchObject({ Days: 7, Status: 'Pending', RequestedBy: borrower.id });
+
+    const approved = await api(owner)
+      .post(`/api/transaction/${loan._id}/extensions/${asked.body.Extension._id}/approve`)
+      .expect(200);
+
+    expect(new Date(approved.body.DueDate) - new Date(loan.DueDate)).toBe(7 * DAY_MS);
+    expect(approved.body.Extensions[0]).toMatchObject({ Status: 'Approved', RespondedBy: owner.id });
+    // The book stays reserved until the new due date
+    const lock = await BookLock.findOne({ TransactionID: loan._id });
+    expect(lock.ReservedUntil.toISOString()).toBe(approved.body.DueDate);
+  });
+
+  test('refuses an extension longer than a year', async () => {
+    const loan = await deliveredLoan();
+
+    const res = await act(borrower, loan, 'extensions', { Days: 1e9 }).expect(400);
+
+    expect(res.body.error.details).toEqual({ 'body.Days': 'must be <= 365' });
+  });
+
+  test('a rejected extension keeps the due date', async () => {
+    const loan = await deliveredLoan();
+    const asked = await act(borrower, loan, 'extensions', { Days: 7 }).expect(201);
+
+    const rejected = await api(owner)
+      .post(`/api/transaction/${loan._id}/extensions/${asked.body.Extension._id}/reject`)
+      .expect(200);
+
+    expect(rejected.body.DueDate).toBe(loan.DueDate);
+    expect(rejected.body.Extensions[0].Status).toBe('Rejected');
+  });
+
+  test('only one extension can await an answer', async () => {
+    const loan = await deliveredLoan();
+    await act(borrower, loan, 'extensions', { Days: 7 }).expect(201);
+
+    await act(borrower, loan, 'extensions', { Days: 3 }).expect(409);
+  });
+
+  test('only the borrower can ask, and only while the book is lent out', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await act(borrower, transaction, 'extensions', { Days: 7 }).expect(409);
+    await act(owner, transaction, 'extensions', { Days: 7 }).expect(403);
+  });
+
+  test('only the owner can answer, and only once', async () => {
+    const loan = await deliveredLoan();
+    const asked = await act(borrower, loan, 'extensions', { Days: 7 }).expect(201);
+    const path = `/api/transaction/${loan._id}/extensions/${asked.body.Extension._id}`;
+
+    await api(borrower).post(`${path}/approve`).expect(403);
+    await api(owner).post(`${path}/reject`).expect(200);
+    await api(owner).post(`${path}/approve`).expect(409);
+  });
+
+  test('asking needs a positive number of days', async () => {
+    const loan = await deliveredLoan();
+
+    await act(borrower, loan, 'extensions', { Days: 0 }).expect(400);
+  });
+
+  test('answers 404 for an unknown transaction or extension', async () => {
+    const loan = await deliveredLoan();
+
+    await act(borrower, { _id: newId() }, 'extensions', { Days: 7 }).expect(404);
+    await api(owner).post(`/api/transaction/${loan._id}/extensions/${newId()}/approve`).expect(404);
+    await api(owner).post(`/api/transaction/${newId()}/extensions/${newId()}/reject`).expect(404);
+  });
+
+  test('answers 401 without a token', async () => {
+    await act(null, { _id: newId() }, 'extensions', { Days: 7 }).expect(401);
+    await api().post(`/api/transaction/${newId()}/extensions/${newId()}/approve`).expect(401);
+    await api().post(`/api/transaction/${newId()}/extensions/${newId()}/reject`).expect(401);
+  });
+});
+
+describe('DELETE /api/transaction/:id', () => {
+  // Lends the book and cancels the loan, so the transaction can be deleted
+  const cancelledLoan = async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+    await act(owner, transaction, 'cancel', CANCEL).expect(200);
+    return transaction;
+  };
+
+  test('lets admins delete a finished transaction', async () => {
+    const transaction = await cancelledLoan();
+
+    await api(admin).delete(`/api/transaction/${transaction._id}`).expect(200);
+
+    expect(await Transaction.countDocuments()).toBe(0);
+    await api(admin).get(`/api/transaction/${transaction._id}`).expect(404);
+  });
+
+  test('refuses an unfinished transaction, which still holds the book and its request', async () => {
+    const loan = await deliveredLoan();
+
+    const res = await api(admin).delete(`/api/transaction/${loan._id}`).expect(409);
+
+    expect(res.body.error.message).toMatch(/Delivered/);
+    expect(await Transaction.findById(loan._id)).not.toBeNull();
+    expect(await BookLock.countDocuments({ TransactionID: loan._id })).toBe(1);
+    expect((await Request.findById(loan.RequestID)).Status).toBe('Accepted');
+  });
+
+  test('keeps the transaction, marked as deleted', async () => {
+    const transaction = await cancelledLoan();
+
+    await api(admin).delete(`/api/transaction/${transaction._id}`).expect(200);
+
+    const deleted = await Transaction.findById(transaction._id).withDeleted();
+    expect(deleted.deletedAt).toBeInstanceOf(Date);
+    expect(deleted.deletedBy).toBe(admin.id);
+  });
+
+  test('forbids users other than admins', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await api(owner).delete(`/api/transaction/${transaction._id}`).expect(403);
+    expect(await Transaction.countDocuments()).toBe(1);
+  });
+
+  test('answers 404 for an unknown transaction', async () => {
+    await api(admin).delete(`/api/transaction/${newId()}`).expect(404);
+  });
+
+  test('answers 401 without a token', async () => {
+    await api().delete(`/api/transaction/${newId()}`).expect(401);
+  });
+});
+
+describe('POST /api/transaction/:id/restore', () => {
+  test('brings the transaction back', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+    await act(owner, transaction, 'cancel', CANCEL).expect(200);
+    await api(admin).delete(`/api/transaction/${transaction._id}`).expect(200);
+
+    const res = await api(admin).post(`/api/transaction/${transaction._id}/restore`).expect(200);
+
+    expect(res.body).toMatchObject({ _id: transaction._id, Status: 'Cancelled', deletedAt: null, deletedBy: null });
+    await api(owner).get(`/api/transaction/${transaction._id}`).expect(200);
+  });
+
+  test('answers 409 for a transaction that is not deleted', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+
+    await api(admin).post(`/api/transaction/${transaction._id}/restore`).expect(409);
+  });
+
+  test('forbids users other than admins', async () => {
+    const { transaction } = await lendBook(owner, borrower, book);
+    await act(owner, transaction, 'cancel', CANCEL).expect(200);
+    await api(admin).delete(`/api/transaction/${transaction._id}`).expect(200);
+
+    await api(owner).post(`/api/transaction/${transaction._id}/restore`).expect(403);
+  });
+
+  test('answers 404 for an unknown transaction', async () => {
+    await api(admin).post(`/api/transaction/${newId()}/restore`).expect(404);
+  });
+});
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const http = require('http');
+const db = require('../helpers/db');
+const { createBook, createUser, reset } = require('../helpers/fixtures');
+const { api, requestBook } = require('../helpers/api');
+const config = require('../../config');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const webhooks = require('../../services/webhooks');
+
+const SECRET = 'a-secret-of-at-least-16-chars';
+
+// Local stand-in for a subscriber: records every call and answers with `status`
+let receiver;
+let receiverUrl;
+let received;
+let status;
+
+let admin;
+let owner;
+let borrower;
+
+beforeAll(async () => {
+  webhooks.subscribe();
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => { receiver.listen(0, '127.0.0.1', resolve); });
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  await db.connect();
+}, 120000);
+afterAll(async () => {
+  await new Promise((resolve) => { receiver.close(resolve); });
+  await db.disconnect();
+});
+
+beforeEach(() => {
+  reset();
+  received = [];
+  status = 200;
+  admin = createUser({ roles: ['admin'] });
+  owner = createUser();
+  borrower = createUser();
+});
+
+afterEach(db.clear);
+
+const subscribe = (events = ['request.created']) => api(admin)
+  .post('/api/webhooks')
+  .send({ Url: receiverUrl, Events: events, Secret: SECRET })
+  .expect(201)
+  .then((res) => res.body.Subscription);
+
+// A delivery queued for `subscription` but not tried yet
+const queueDelivery = (subscription) => WebhookDelivery.create({
+  SubscriptionID: subscription._id,
+  Event: 'request.created',
+  Payload: { id: 'test', type: 'request.created', data: {} },
+});
+
+// Makes a retrying delivery due now, as if its backoff had elapsed
+const elapseBackoff = (delivery) => WebhookDelivery.updateOne({ _id: delivery._id }, { NextAttemptAt: new Date() });
+
+// Waits for the event listeners, which dispatch after the call has answered
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the webhook');
+    await new Promise((resolve) => { setTimeout(resolve, 20); });
+  }
+};
+
+describe('webhook subscriptions', () => {
+  test('registers a subscription, returning its secret only once', async () => {
+    const res = await api(admin).post('/api/webhooks').send({ Url: receiverUrl, Events: ['request.created'] }).expect(201);
+
+    expect(res.body.Secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(res.body.Subscription).not.toHaveProperty('Secret');
+
+    const list = await api(admin).get('/api/webhooks').expect(200);
+    expect(list.body).toEqual([expect.objectContaining({ _id: res.body.Subscription._id, Url: receiverUrl, Active: true })]);
+    expect(list.body[0]).not.toHaveProperty('Secret');
+  });
+
+  test('are for admins only', async () => {
+    await api(owner).get('/api/webhooks').expect(403);
+    await api(owner).post('/api/webhooks').send({ Url: receiverUrl, Events: ['request.created'] }).expect(403);
+  });
+});
+
+describe('webhook deliveries', () => {
+  test('posts subscribed events signed over "<timestamp>.<body>"', async () => {
+    const subscription = await subscribe();
+
+    await requestBook(borrower, createBook(owner)).expect(201);
+    await waitFor(() => received.length === 1);
+
+    const [{ headers, body }] = received;
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-webhook-event']).toBe('request.created');
+    expect(JSON.parse(body)).toMatchObject({ id: headers['x-webhook-delivery'], type: 'request.created', data: { request: expect.any(Object) } });
+
+    await waitFor(async () => (await WebhookDelivery.findById(headers['x-webhook-delivery'])).Status === 'Succeeded');
+    const deliveries = await api(admin).get(`/api/webhooks/${subscription._id}/deliveries`).expect(200);
+    expect(deliveries.body.data).toEqual([expect.objectContaining({ Status: 'Succeeded', AttemptCount: 1 })]);
+  });
+
+  test('skips events the subscription does not list', async () => {
+    await subscribe(['transaction.created']);
+
+    await requestBook(borrower, createBook(owner)).expect(201);
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+
+    expect(received).toHaveLength(0);
+  });
+
+  test('sends a claimed delivery once when two workers try it', async () => {
+    const delivery = await queueDelivery(await subscribe());
+
+    const attempts = await Promise.all([webhooks.attemptDelivery(delivery._id), webhooks.attemptDelivery(delivery._id)]);
+
+    expect(received).toHaveLength(1);
+    expect(attempts.filter((attempt) => attempt === null)).toHaveLength(1);
+  });
+
+  test('doubles the delay before each retry', async () => {
+    status = 500;
+    const delivery = await queueDelivery(await subscribe());
+    const baseDelayMs = config.webhooks.retryBaseDelayMs;
+
+    const delays = [];
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await elapseBackoff(delivery);
+      const retried = await webhooks.attemptDelivery(delivery._id);
+      const { At, DurationMs } = retried.Attempts.at(-1);
+      delays.push(retried.NextAttemptAt - At - DurationMs);
+    }
+
+    expect(delays.map((delay) => Math.round(delay / baseDelayMs))).toEqual([1, 2, 4]);
+    expect(await WebhookDelivery.findById(delivery._id).lean()).toMatchObject({ Status: 'Retrying', AttemptCount: 3 });
+  });
+
+  test('dead-letters a delivery after the last attempt and retries it on request', async () => {
+    status = 503;
+    const delivery = await queueDelivery(await subscribe());
+
+    for (let attempt = 0; attempt < config.webhooks.maxAttempts; attempt += 1) {
+      await elapseBackoff(delivery);
+      await webhooks.retryDueDeliveries();
+    }
+
+    const deadLettered = await WebhookDelivery.findById(delivery._id).lean();
+    expect(deadLettered).toMatchObject({ Status: 'DeadLettered', AttemptCount: config.webhooks.maxAttempts });
+    expect(deadLettered.Attempts.at(-1)).toMatchObject({ StatusCode: 503, Error: 'HTTP 503' });
+
+    const deadLetters = await api(admin).get('/api/webhooks/dead-letters').expect(200);
+    expect(deadLetters.body.data.map((item) => item._id)).toEqual([delivery._id.toString()]);
+
+    status = 200;
+    const retried = await api(admin).post(`/api/webhooks/deliveries/${delivery._id}/retry`).expect(200);
+    expect(retried.body).toMatchObject({ Status: 'Succeeded', AttemptCount: 1 });
+    expect(received).toHaveLength(config.webhooks.maxAttempts + 1);
+
+    await api(admin).post(`/api/webhooks/deliveries/${delivery._id}/retry`).expect(409);
+  });
+
+  test('dead-letters deliveries of a deleted subscription', async () => {
+    const subscription = await subscribe();
+    const delivery = await queueDelivery(subscription);
+    await api(admin).delete(`/api/webhooks/${subscription._id}`).expect(200);
+
+    const attempted = await webhooks.attemptDelivery(delivery._id);
+
+    expect(attempted.Status).toBe('DeadLettered');
+    expect(received).toHaveLength(0);
+  });
+});
@@ -0,0 +1,60 @@
+const catalog = require('../../services/catalog');
+const memoryCatalog = require('../../services/catalog/memoryClient');
+const config = require('../../config');
+
+const BOOK = { _id: 'book-1', Title: 'Dune', Author: 'Frank Herbert', OwnerID: 'owner-1' };
+
+let getBook;
+
+beforeEach(() => {
+  memoryCatalog.reset();
+  catalog.clearCache();
+  getBook = jest.spyOn(memoryCatalog, 'getBook');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('catalog lookups', () => {
+  test('fetch a record once for lookups made while it loads', async () => {
+    memoryCatalog.addBook(BOOK);
+
+    const books = await Promise.all([catalog.getBook('book-1'), catalog.getBook('book-1'), catalog.bookSummary('book-1')]);
+
+    expect(books[0]).toMatchObject({ Title: 'Dune' });
+    expect(books[2]).toEqual({ _id: 'book-1', Title: 'Dune', Author: 'Frank Herbert' });
+    expect(getBook).toHaveBeenCalledTimes(1);
+  });
+
+  test('reuse a found record until CATALOG_CACHE_TTL_SECONDS pass', async () => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T00:00:00Z') });
+    memoryCatalog.addBook(BOOK);
+
+    await catalog.getBook('book-1');
+    jest.setSystemTime(Date.now() + config.catalog.cacheTtlMs - 1);
+    await catalog.getBook('book-1');
+    expect(getBook).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(Date.now() + 1);
+    await catalog.getBook('book-1');
+    expect(getBook).toHaveBeenCalledTimes(2);
+  });
+
+  test('do not keep missing records, so a book added later is found', async () => {
+    expect(await catalog.getBook('book-1')).toBeNull();
+
+    memoryCatalog.addBook(BOOK);
+
+    expect(await catalog.getBook('book-1')).toMatchObject({ Title: 'Dune' });
+  });
+
+  test('do not keep failed lookups', async () => {
+    memoryCatalog.addBook(BOOK);
+    getBook.mockRejectedValueOnce(new Error('Catalog unavailable'));
+
+    await expect(catalog.getBook('book-1')).rejects.toThrow('Catalog unavailable');
+    expect(await catalog.bookSummary('book-1')).toMatchObject({ Title: 'Dune' });
+  });
+});
@@ -0,0 +1,161 @@
+const { ConfigError, loadConfig } = require('../../config/load');
+
+const PRODUCTION = {
+  NODE_ENV: 'production',
+  MONGO_URI: 'mongodb+srv://db.example.com/exchange',
+  JWT_SECRET: 'x'.repeat(32),
+  CORS_ORIGINS: 'https://app.example.com, https://admin.example.com',
+};
+
+const problemsOf = (env) => {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigError);
+    return error.problems;
+  }
+  throw new Error('Expected the configuration to be rejected');
+};
+
+describe('loadConfig', () => {
+  test('fills in the development profile', () => {
+    const config = loadConfig({ JWT_SECRET: 'dev-secret' });
+
+    expect(config).toMatchObject({
+      env: 'development',
+      port: 7000,
+      mongoUri: 'mongodb://localhost:27017/ScalableReques',
+      jwt: { secret: 'dev-secret', expiresIn: '15m', refreshTokenTtlDays: 30 },
+      corsOrigins: ['*'],
+      trustProxy: false,
+      logLevel: 'debug',
+      shutdownTimeoutMs: 10000,
+      archive: { afterDays: 365, intervalMs: 24 * 60 * 60 * 1000 },
+      requestExpiry: { pendingTtlDays: 14, intervalMs: 15 * 60 * 1000 },
+      rateLimits: {
+        store: 'memory',
+        auth: { max: 10, windowMs: 15 * 60 * 1000 },
+        requestCreate: { max: 20, windowMs: 60 * 60 * 1000 },
+      },
+      pendingCaps: { perBorrower: 5, perBook: 10 },
+      dueDates: { intervalMs: 60 * 60 * 1000, reminderOffsetsDays: [-3, 0], overdueReminderIntervalDays: 7 },
+      webhooks: { maxAttempts: 8, retryBaseDelayMs: 30000, retryIntervalMs: 30000 },
+      catalog: { client: 'http', cacheTtlMs: 300000, bookServiceUrl: 'http://localhost:5000/api/books' },
+      notifications: { channels: ['inApp'], email: { host: 'localhost', port: 1025, secure: false, user: undefined } },
+    });
+    expect(Object.isFrozen(config)).toBe(true);
+  });
+
+  test('reads the feature settings from the environment', () => {
+    const config = loadConfig({
+      ...PRODUCTION,
+      RATE_LIMIT_AUTH_MAX: '3',
+      MAX_PENDING_REQUESTS_PER_BOOK: '2',
+      REMINDER_OFFSETS_DAYS: '0, -1, -7',
+      WEBHOOK_RETRY_INTERVAL_SECONDS: '5',
+      CATALOG_CLIENT: 'memory',
+      NOTIFICATION_CHANNELS: 'inApp, email',
+      SMTP_SECURE: 'true',
+      SMTP_USER: 'mailer',
+    });
+
+    expect(config).toMatchObject({
+      rateLimits: { auth: { max: 3 } },
+      pendingCaps: { perBorrower: 5, perBook: 2 },
+      dueDates: { reminderOffsetsDays: [-7, -1, 0] },
+      webhooks: { retryIntervalMs: 5000 },
+      catalog: { client: 'memory' },
+      notifications: { channels: ['inApp', 'email'], email: { secure: true, user: 'mailer' } },
+    });
+  });
+
+  test('reads the proxies to trust as a flag, a hop count or a list', () => {
+    expect(loadConfig({ ...PRODUCTION, TRUST_PROXY: 'true' }).trustProxy).toBe(true);
+    expect(loadConfig({ ...PRODUCTION, TRUST_PROXY: '2' }).trustProxy).toBe(2);
+    expect(loadConfig({ ...PRODUCTION, TRUST_PROXY: 'loopback, 10.0.0.0/8' }).trustProxy).toEqual(['loopback', '10.0.0.0/8']);
+    expect(problemsOf({ ...PRODUCTION, TRUST_PROXY: 'proxy one' })).toEqual([
+      'TRUST_PROXY must be true, false, a number of proxies or a comma-separated list of proxy addresses',
+    ]);
+  });
+
+  test('shares the rate-limit counters through Redis when asked to', () => {
+    expect(loadConfig({ ...PRODUCTION, RATE_LIMIT_STORE: 'redis', REDIS_URL: 'redis://cache:6379' }).rateLimits)
+      .toMatchObject({ store: 'redis', redisUrl: 'redis://cache:6379' });
+    expect(problemsOf({ ...PRODUCTION, RATE_LIMIT_STORE: 'redis' })).toEqual([
+      'REDIS_URL must be a redis:// or rediss:// URL when RATE_LIMIT_STORE is redis',
+    ]);
+    expect(problemsOf({ ...PRODUCTION, RATE_LIMIT_STORE: 'memcached' })).toEqual(['RATE_LIMIT_STORE must be one of: memory, redis']);
+  });
+
+  test('uses the in-memory catalog in the test profile', () => {
+    expect(loadConfig({ NODE_ENV: 'test' }).catalog.client).toBe('memory');
+  });
+
+  test('lets the environment override the profile', () => {
+    const config = loadConfig({ ...PRODUCTION, PORT: '8080', LOG_LEVEL: 'warn', SHUTDOWN_TIMEOUT_SECONDS: '5', ARCHIVE_AFTER_DAYS: '90', PENDING_REQUEST_TTL_DAYS: '3' });
+
+    expect(config).toMatchObject({
+      env: 'production',
+      port: 8080,
+      corsOrigins: ['https://app.example.com', 'https://admin.example.com'],
+      logLevel: 'warn',
+      shutdownTimeoutMs: 5000,
+      archive: { afterDays: 90 },
+      requestExpiry: { pendingTtlDays: 3 },
+    });
+  });
+
+  test('lists every invalid setting at once', () => {
+    expect(problemsOf({ PORT: 'seven', MONGO_URI: 'localhost', LOG_LEVEL: 'loud', JWT_EXPIRES_IN: 'soon', ARCHIVE_AFTER_DAYS: '-1', PENDING_REQUEST_TTL_DAYS: 'never' })).toEqual([
+      'PORT must be a port number',
+      'MONGO_URI must be a mongodb:// or mongodb+srv:// URI',
+      'JWT_SECRET is required',
+      'JWT_EXPIRES_IN must be a duration such as 900, 15m or 1h',
+      'LOG_LEVEL must be one of: error, warn, info, debug',
+      'ARCHIVE_AFTER_DAYS must be a positive number of days',
+      'PENDING_REQUEST_TTL_DAYS must be a positive number of days',
+    ]);
+  });
+
+  test('lists invalid feature settings', () => {
+    expect(problemsOf({
+      JWT_SECRET: 'dev-secret',
+      RATE_LIMIT_REQUESTS_MAX: '2.5',
+      MAX_PENDING_REQUESTS_PER_BORROWER: '0',
+      REMINDER_OFFSETS_DAYS: '-3,2',
+      WEBHOOK_RETRY_INTERVAL_SECONDS: 'often',
+      BOOK_SERVICE_URL: 'books.local',
+      NOTIFICATION_CHANNELS: 'inApp,e-mail',
+      SMTP_PORT: '70000',
+      SMTP_SECURE: 'yes',
+    })).toEqual([
+      'RATE_LIMIT_REQUESTS_MAX must be a positive whole number',
+      'MAX_PENDING_REQUESTS_PER_BORROWER must be a positive whole number',
+      'REMINDER_OFFSETS_DAYS must be a comma-separated list of days up to 0, such as -3,0',
+      'WEBHOOK_RETRY_INTERVAL_SECONDS must be a positive number of seconds',
+      'BOOK_SERVICE_URL must be an http:// or https:// URL',
+      'NOTIFICATION_CHANNELS must be a comma-separated list of channels such as inApp,email',
+      'SMTP_PORT must be a port number',
+      'SMTP_SECURE must be true or false',
+    ]);
+  });
+
+  test('requires production to name its database, a long secret and its origins', () => {
+    expect(problemsOf({ NODE_ENV: 'production', JWT_SECRET: 'short' })).toEqual([
+      'MONGO_URI must be a mongodb:// or mongodb+srv:// URI',
+      'JWT_SECRET must be at least 32 characters in production',
+      'CORS_ORIGINS must list the allowed origins in production',
+    ]);
+    expect(problemsOf({ ...PRODUCTION, CORS_ORIGINS: '*' })).toEqual(['CORS_ORIGINS must list the allowed origins in production']);
+  });
+
+  test('rejects origins that are not bare origins', () => {
+    expect(problemsOf({ ...PRODUCTION, CORS_ORIGINS: 'https://app.example.com/path' })).toEqual([
+      'CORS_ORIGINS must be * or a comma-separated list of origins such as https://app.example.com',
+    ]);
+  });
+
+  test('rejects an unknown NODE_ENV', () => {
+    expect(problemsOf({ NODE_ENV: 'staging' })).toEqual(['NODE_ENV must be one of: development, production, test']);
+  });
+});
@@ -0,0 +1,19 @@
+const { csvRow } = require('../../services/dataTransfer');
+
+describe('csvRow', () => {
+  test('joins plain values with commas and ends with CRLF', () => {
+    expect(csvRow(['abc', 14, true])).toBe('abc,14,true\r\n');
+  });
+
+  test('leaves missing values empty', () => {
+    expect(csvRow([undefined, null, ''])).toBe(',,\r\n');
+  });
+
+  test('writes dates as ISO 8601', () => {
+    expect(csvRow([new Date('2024-05-01T10:00:00Z')])).toBe('2024-05-01T10:00:00.000Z\r\n');
+  });
+
+  test('quotes values holding separators, quotes or line breaks', () => {
+    expect(csvRow(['a,b', 'say "hi"', 'two\nlines'])).toBe('"a,b","say ""hi""","two\nlines"\r\n');
+  });
+});
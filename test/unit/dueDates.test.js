@@ -0,0 +1,63 @@
+const { dueReminder } = require('../../services/dueDates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTINGS = { reminderOffsetsDays: [-3, 0], overdueReminderIntervalDays: 7 };
+const DUE_DATE = new Date('2026-03-15T12:00:00Z');
+
+const loan = (remindersSent = []) => ({ DueDate: DUE_DATE, RemindersSent: remindersSent });
+const daysFromDue = (days) => new Date(DUE_DATE.getTime() + days * DAY_MS);
+
+describe('dueReminder', () => {
+  test('owes nothing before the first reminder day', () => {
+    expect(dueReminder(loan(), daysFromDue(-4), SETTINGS)).toBeNull();
+  });
+
+  test('sends the due-soon reminder from its offset on', () => {
+    expect(dueReminder(loan(), daysFromDue(-3), SETTINGS)).toEqual({
+      key: 'due-3',
+      kind: 'due-soon',
+      keys: ['due-3'],
+      daysUntilDue: 3,
+    });
+  });
+
+  test('sends the due reminder on the due date', () => {
+    expect(dueReminder(loan(['due-3']), daysFromDue(0), SETTINGS)).toEqual({
+      key: 'due0',
+      kind: 'due',
+      keys: ['due-3', 'due0'],
+      daysUntilDue: 0,
+    });
+  });
+
+  test('skips a missed earlier reminder, marking it as sent', () => {
+    const reminder = dueReminder(loan(), daysFromDue(1), SETTINGS);
+
+    expect(reminder).toMatchObject({ key: 'due0', keys: ['due-3', 'due0'] });
+  });
+
+  test('owes nothing once the latest reminder is sent', () => {
+    expect(dueReminder(loan(['due-3']), daysFromDue(-1), SETTINGS)).toBeNull();
+    expect(dueReminder(loan(['due-3', 'due0']), daysFromDue(6), SETTINGS)).toBeNull();
+  });
+
+  test('sends an overdue reminder every interval', () => {
+    const sent = ['due-3', 'due0'];
+
+    expect(dueReminder(loan(sent), daysFromDue(7), SETTINGS)).toEqual({
+      key: 'overdue-1',
+      kind: 'overdue',
+      keys: ['overdue-1'],
+      daysOverdue: 7,
+    });
+    expect(dueReminder(loan([...sent, 'overdue-1']), daysFromDue(13), SETTINGS)).toBeNull();
+    expect(dueReminder(loan([...sent, 'overdue-1']), daysFromDue(14), SETTINGS)).toMatchObject({
+      key: 'overdue-2',
+      daysOverdue: 14,
+    });
+  });
+
+  test('sends the overdue reminder of the current interval only', () => {
+    expect(dueReminder(loan(), daysFromDue(15), SETTINGS)).toMatchObject({ key: 'overdue-2', keys: ['overdue-2'] });
+  });
+});
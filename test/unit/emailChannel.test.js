@@ -0,0 +1,53 @@
+jest.mock('nodemailer');
+
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+const User = require('../../models/User');
+
+const sendMail = jest.fn();
+nodemailer.createTransport.mockReturnValue({ sendMail });
+
+const emailChannel = require('../../services/notifications/emailChannel');
+
+const NOTIFICATION = { UserID: 'user-1', Type: 'Exchange Status Update', Message: 'Your request was accepted.' };
+
+// User.findById(...).select(...) resolving to `user`
+const registered = (user) => jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendMail.mockClear();
+});
+
+describe('email channel', () => {
+  test('mails the notification to the user\'s address through the configured SMTP server', async () => {
+    registered({ Email: 'ada@example.com' });
+
+    await emailChannel.send(NOTIFICATION);
+
+    const { host, port, secure, from } = config.notifications.email;
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({ host, port, secure, auth: undefined });
+    expect(User.findById).toHaveBeenCalledWith('user-1');
+    expect(sendMail).toHaveBeenCalledWith({
+      from,
+      to: 'ada@example.com',
+      subject: 'Exchange Status Update',
+      text: 'Your request was accepted.',
+    });
+  });
+
+  test('sends nothing for users who are not registered', async () => {
+    registered(null);
+
+    await emailChannel.send(NOTIFICATION);
+
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  test('fails when the SMTP server refuses the mail', async () => {
+    registered({ Email: 'ada@example.com' });
+    sendMail.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+    await expect(emailChannel.send(NOTIFICATION)).rejects.toThrow('Mailbox unavailable');
+  });
+});
@@ -0,0 +1,69 @@
+const request = require('supertest');
+const { createApp } = require('../../App');
+const { registry } = require('../../services/metrics');
+const health = require('../../services/health');
+
+const app = createApp();
+
+// Count of http_request_duration_seconds observations with the given labels
+const observations = async (labels) => {
+  const metric = await registry.getSingleMetric('http_request_duration_seconds').get();
+  const sample = metric.values.find((value) => value.metricName === 'http_request_duration_seconds_count'
+    && Object.entries(labels).every(([name, label]) => String(value.labels[name]) === label));
+  return sample ? sample.value : 0;
+};
+
+describe('probes', () => {
+  test('GET /healthz answers while the process is up', async () => {
+    const res = await request(app).get('/healthz').expect(200);
+
+    expect(res.body).toEqual({ status: 'ok', uptime: expect.any(Number) });
+  });
+
+  test('GET /readyz answers 503 while MongoDB is not connected', async () => {
+    const res = await request(app).get('/readyz').expect(503);
+
+    expect(res.body).toEqual({ status: 'unavailable', checks: { mongo: 'disconnected', draining: false } });
+  });
+
+  test('GET /readyz reports a draining instance', async () => {
+    health.markDraining();
+
+    const res = await request(app).get('/readyz').expect(503);
+
+    expect(res.body.checks.draining).toBe(true);
+  });
+});
+
+describe('GET /metrics', () => {
+  test('serves the Prometheus text format', async () => {
+    const res = await request(app).get('/metrics').expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(res.text).toContain('# TYPE exchange_requests_created_total counter');
+    expect(res.text).toContain('process_cpu_seconds_total');
+  });
+
+  test('labels API calls with their route template', async () => {
+    const labels = { method: 'GET', route: '/api/request/{id}', status_code: '401' };
+    const before = await observations(labels);
+
+    await request(app).get('/api/request/65a000000000000000000000').expect(401);
+    await request(app).get('/api/request/65a000000000000000000001').expect(401);
+
+    expect(await observations(labels)).toBe(before + 2);
+  });
+
+  test('prefers literal paths over parameters', async () => {
+    await request(app).get('/api/transaction/overdue').expect(401);
+
+    expect(await observations({ route: '/api/transaction/overdue' })).toBe(1);
+  });
+
+  test('labels unknown paths as unmatched', async () => {
+    await request(app).get('/no/such/page').expect(404);
+
+    expect(await observations({ route: 'unmatched', status_code: '404' })).toBe(1);
+  });
+});
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const { createApp } = require('../../App');
+const logger = require('../../utils/logger');
+const requestContext = require('../../utils/requestContext');
+
+const app = createApp();
+
+describe('X-Request-Id', () => {
+  test('is generated when the caller sends none', async () => {
+    const res = await request(app).get('/healthz').expect(200);
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('echoes the ID sent by the caller', async () => {
+    const res = await request(app).get('/healthz').set('X-Request-Id', 'edge-42.abc').expect(200);
+
+    expect(res.headers['x-request-id']).toBe('edge-42.abc');
+  });
+
+  test('replaces an ID that is too long or not printable', async () => {
+    const res = await request(app).get('/healthz').set('X-Request-Id', 'x'.repeat(200)).expect(200);
+
+    expect(res.headers['x-request-id']).not.toBe('x'.repeat(200));
+  });
+
+  test('is set on error responses', async () => {
+    const res = await request(app).get('/api/nowhere').set('X-Request-Id', 'missing-route').expect(404);
+
+    expect(res.headers['x-request-id']).toBe('missing-route');
+  });
+});
+
+describe('access log', () => {
+  let info;
+
+  beforeEach(() => {
+    info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+  afterEach(() => info.mockRestore());
+
+  test('records the path without the query string, which may carry a token', async () => {
+    await request(app).get('/healthz?access_token=secret').expect(200);
+
+    expect(info).toHaveBeenCalledWith('request completed', expect.objectContaining({ path: '/healthz' }));
+    expect(JSON.stringify(info.mock.calls)).not.toContain('secret');
+  });
+});
+
+describe('logger', () => {
+  let write;
+
+  beforeEach(() => {
+    write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  });
+  afterEach(() => write.mockRestore());
+
+  const lines = () => write.mock.calls.map(([line]) => JSON.parse(line));
+
+  test('writes one JSON object per line', () => {
+    logger.error('Something broke', { job: 'due-dates' });
+
+    expect(lines()).toEqual([{ time: expect.any(String), level: 'error', msg: 'Something broke', job: 'due-dates' }]);
+  });
+
+  test('serializes errors with their stack', () => {
+    logger.warn('Retrying', { error: new Error('timed out') });
+
+    expect(lines()[0].error).toEqual({ name: 'Error', message: 'timed out', stack: expect.stringContaining('timed out') });
+  });
+
+  test('tags lines written during a call with its request ID', () => {
+    requestContext.run({ requestId: 'req-1' }, () => logger.error('Inside a call'));
+
+    expect(lines()[0].requestId).toBe('req-1');
+  });
+
+  test('skips levels below LOG_LEVEL', () => {
+    // The test profile logs at warn
+    logger.info('Not shown');
+    logger.debug('Not shown either');
+
+    expect(write).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+const rateLimit = require('../../services/rateLimit');
+
+// Enough of a Redis client for the store: integer counters whose expiry can
+// be set and read, with the clock under the test's control
+const createFakeRedis = () => {
+  const keys = new Map();
+  let now = 0;
+  const live = (key) => {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now) keys.delete(key);
+    return keys.get(key);
+  };
+
+  return {
+    advance(ms) {
+      now += ms;
+    },
+    async incr(key) {
+      const entry = live(key) || { value: 0, expiresAt: null };
+      entry.value += 1;
+      keys.set(key, entry);
+      return entry.value;
+    },
+    async pttl(key) {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - now;
+    },
+    async pexpire(key, ms) {
+      const entry = live(key);
+      if (entry) entry.expiresAt = now + ms;
+      return entry ? 1 : 0;
+    },
+  };
+};
+
+const LIMIT = { max: 2, windowMs: 60000 };
+
+afterEach(() => rateLimit.useStore(rateLimit.createMemoryStore()));
+
+describe('createStore', () => {
+  test('keeps the counters in memory by default', async () => {
+    const connect = jest.fn();
+
+    const store = rateLimit.createStore({ store: 'memory' }, { connect });
+
+    expect(connect).not.toHaveBeenCalled();
+    expect(await store.increment('auth:1.2.3.4', 1000)).toMatchObject({ count: 1 });
+  });
+
+  test('connects to REDIS_URL for the redis store', async () => {
+    const client = createFakeRedis();
+    const connect = jest.fn(() => client);
+
+    const store = rateLimit.createStore({ store: 'redis', redisUrl: 'redis://cache:6379' }, { connect });
+
+    expect(connect).toHaveBeenCalledWith('redis://cache:6379');
+    expect(await store.increment('auth:1.2.3.4', 1000)).toMatchObject({ count: 1 });
+    expect(await client.pttl('ratelimit:auth:1.2.3.4')).toBe(1000);
+  });
+});
+
+describe('Redis store', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createFakeRedis();
+    rateLimit.useStore(rateLimit.createRedisStore(client));
+  });
+
+  test('throttles calls over the limit until the window ends', async () => {
+    expect((await rateLimit.hit('auth', 'ip', LIMIT)).allowed).toBe(true);
+    expect(await rateLimit.hit('auth', 'ip', LIMIT)).toMatchObject({ allowed: true, remaining: 0 });
+    expect((await rateLimit.hit('auth', 'ip', LIMIT)).allowed).toBe(false);
+    expect((await rateLimit.hit('auth', 'other-ip', LIMIT)).allowed).toBe(true);
+
+    client.advance(LIMIT.windowMs);
+
+    expect(await rateLimit.hit('auth', 'ip', LIMIT)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  test('sets the expiry on the first hit only', async () => {
+    await rateLimit.hit('auth', 'ip', LIMIT);
+    client.advance(20000);
+    const { resetAt } = await rateLimit.hit('auth', 'ip', LIMIT);
+
+    expect(await client.pttl('ratelimit:auth:ip')).toBe(40000);
+    expect(resetAt - Date.now()).toBeLessThanOrEqual(40000);
+  });
+
+  test('gives a counter left without expiry a new window', async () => {
+    await client.incr('ratelimit:auth:ip');
+
+    await rateLimit.hit('auth', 'ip', LIMIT);
+
+    expect(await client.pttl('ratelimit:auth:ip')).toBe(LIMIT.windowMs);
+  });
+});
@@ -0,0 +1,30 @@
+const swaggerSpec = require('../../swagger');
+const {
+  CANCELLATION_REASONS,
+  DECLINE_REASONS,
+  WITHDRAWAL_REASONS,
+  checkReason,
+  labelOf,
+} = require('../../services/reasonCodes');
+
+describe('reason codes', () => {
+  test.each([
+    ['WithdrawInput', WITHDRAWAL_REASONS],
+    ['DeclineInput', DECLINE_REASONS],
+    ['CancelTransactionInput', CANCELLATION_REASONS],
+  ])('%s documents the codes of its flow', (schema, reasons) => {
+    expect(swaggerSpec.components.schemas[schema].properties.reasonCode.enum).toEqual(Object.keys(reasons));
+  });
+
+  test('other needs a reason', () => {
+    expect(() => checkReason({ reasonCode: 'other' })).toThrow(expect.objectContaining({ status: 400, code: 'VALIDATION_ERROR' }));
+    expect(() => checkReason({ reasonCode: 'other', reason: '  ' })).toThrow();
+    expect(() => checkReason({ reasonCode: 'other', reason: 'Moving abroad' })).not.toThrow();
+    expect(() => checkReason({ reasonCode: 'no-show' })).not.toThrow();
+  });
+
+  test('labels known codes and passes unknown ones through', () => {
+    expect(labelOf('request-deleted')).toBe('the request was deleted');
+    expect(labelOf('lost')).toBe('lost');
+  });
+});
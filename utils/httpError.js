@@ -0,0 +1,33 @@
+// Machine-readable codes used when an error has no more specific one
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+// Error carrying the HTTP status a route should answer with, a code, and
+// optional details such as per-field messages. It is sent to the client as
+// { error: { code, message, details } } by the central error handler.
+class HttpError extends Error {
+  constructor(status, message, details = {}, code = STATUS_CODES[status] || 'ERROR') {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: { code: this.code, message: this.message, details: this.details } };
+  }
+}
+
+module.exports = HttpError;
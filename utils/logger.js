@@ -0,0 +1,37 @@
+const config = require('../config');
+const { LOG_LEVELS } = require('../config/load');
+const requestContext = require('./requestContext');
+
+// Structured logging: one JSON object per line on stdout, filtered by LOG_LEVEL.
+// A level logs itself and every level before it in error, warn, info, debug.
+// Lines written while handling an HTTP call carry its requestId.
+const enabled = (level) => LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(config.logLevel);
+
+// Errors do not serialize to JSON on their own
+const serialize = (value) => (value instanceof Error
+  ? { name: value.name, message: value.message, ...(value.code !== undefined && { code: value.code }), stack: value.stack }
+  : value);
+
+// Builds the line for a message and extra fields, e.g. logger.error('Job failed', { job, error })
+const format = (level, message, fields = {}) => {
+  const context = requestContext.current();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(context && { requestId: context.requestId }),
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = serialize(value);
+  }
+  return JSON.stringify(entry);
+};
+
+module.exports = Object.fromEntries(LOG_LEVELS.map((level) => [
+  level,
+  (message, fields) => {
+    if (enabled(level)) process.stdout.write(`${format(level, message, fields)}\n`);
+  },
+]));
+
+module.exports.format = format;
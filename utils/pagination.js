@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const HttpError = require('./httpError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Opaque cursor holding the sort value and _id of the last returned document
+const encodeCursor = (doc, sortBy) => Buffer
+  .from(JSON.stringify({ v: doc[sortBy], id: doc._id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, Model, sortBy) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const value = Model.schema.path(sortBy).instance === 'Date' ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Turns list query-string parameters into a MongoDB filter.
+// `filters` maps query parameters to model fields (comma-separated values
+// match any of them); `from`/`to` bound `dateField`.
+const buildFilter = (query, { filters, dateField }) => {
+  const filter = {};
+
+  for (const [param, field] of Object.entries(filters)) {
+    if (query[param] === undefined) continue;
+    const values = String(query[param]).split(',').filter(Boolean);
+    filter[field] = values.length > 1 ? { $in: values } : values[0];
+  }
+
+  if (query.from || query.to) {
+    filter[dateField] = {};
+    if (query.from) filter[dateField].$gte = parseDate(query.from, 'from');
+    if (query.to) filter[dateField].$lte = parseDate(query.to, 'to');
+  }
+
+  return filter;
+};
+
+// Runs a cursor-paginated find.
+// Query parameters: limit, cursor, sortBy (one of `sortFields`), order (asc|desc)
+// and count=true to include the total number of matches.
+const paginate = async (Model, filter, query, { sortFields, populate } = {}) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sortBy = query.sortBy || sortFields[0];
+  if (!sortFields.includes(sortBy)) {
+    throw new HttpError(400, `sortBy must be one of: ${sortFields.join(', ')}`);
+  }
+
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw new HttpError(400, 'order must be asc or desc');
+  }
+  const direction = order === 'asc' ? 1 : -1;
+
+  // Continue after the last document of the previous page
+  let pageFilter = filter;
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor, Model, sortBy);
+    const after = direction === 1 ? '$gt' : '$lt';
+    pageFilter = {
+      $and: [
+        filter,
+        { $or: [{ [sortBy]: { [after]: value } }, { [sortBy]: value, _id: { [after]: id } }] },
+      ],
+    };
+  }
+
+  let find = Model.find(pageFilter)
+    .sort({ [sortBy]: direction, _id: direction })
+    .limit(limit + 1);
+  if (populate) find = find.populate(...populate);
+
+  const [docs, total] = await Promise.all([
+    find,
+    query.count === 'true' ? Model.countDocuments(filter) : undefined,
+  ]);
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortBy) : null,
+    ...(total !== undefined && { total }),
+  };
+};
+
+module.exports = {
+  buildFilter,
+  paginate,
+};
@@ -0,0 +1,22 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// The context of the HTTP call being handled, or undefined outside of one
+// (background jobs, scripts)
+const current = () => storage.getStore();
+
+// Runs `fn` with `context` as the current context
+const run = (context, fn) => storage.run(context, fn);
+
+// Records the caller once the token is verified, so later writes know their actor
+const setUser = (user) => {
+  const context = current();
+  if (context) context.user = user;
+};
+
+module.exports = {
+  current,
+  run,
+  setUser,
+};